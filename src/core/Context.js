@@ -7,6 +7,7 @@ export class Context {
       body: null
     };
     this.state = {};
+    this.params = {}; // Route parameters, e.g. { projectId: '42' } for /projects/:projectId
     this.keypoint = null;
     this.policyDecision = null;
     this.pluginData = new Map();
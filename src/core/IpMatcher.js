@@ -0,0 +1,162 @@
+// core/IpMatcher.js - IPv4 / IPv6 address, CIDR and range matching
+
+import net from 'net';
+
+export class IpMatcher {
+  // Returns { version, value } with value as a BigInt; IPv4-mapped IPv6 folds to IPv4
+  static parse(ip) {
+    if (typeof ip !== 'string') return null;
+    
+    let address = ip.trim();
+    if (address.startsWith('[') && address.endsWith(']')) {
+      address = address.slice(1, -1);
+    }
+    
+    // Drop IPv6 zone identifiers (fe80::1%eth0)
+    const zoneIndex = address.indexOf('%');
+    if (zoneIndex !== -1) {
+      address = address.slice(0, zoneIndex);
+    }
+    
+    const version = net.isIP(address);
+    
+    if (version === 4) {
+      return { version: 4, value: this.parseIPv4(address) };
+    }
+    
+    if (version === 6) {
+      const value = this.parseIPv6(address);
+      if (value >> 32n === 0xffffn) {
+        return { version: 4, value: value & 0xffffffffn };
+      }
+      return { version: 6, value };
+    }
+    
+    return null;
+  }
+  
+  static parseIPv4(address) {
+    return address.split('.').reduce((acc, octet) => (acc << 8n) | BigInt(parseInt(octet, 10)), 0n);
+  }
+  
+  static parseIPv6(address) {
+    const toGroups = part => {
+      if (!part) return [];
+      
+      return part.split(':').flatMap(group => {
+        // Embedded IPv4 tail (::ffff:192.0.2.1)
+        if (group.includes('.')) {
+          const value = this.parseIPv4(group);
+          return [(value >> 16n).toString(16), (value & 0xffffn).toString(16)];
+        }
+        return [group];
+      });
+    };
+    
+    let groups;
+    if (address.includes('::')) {
+      const [head, tail] = address.split('::');
+      const headGroups = toGroups(head);
+      const tailGroups = toGroups(tail);
+      const missing = 8 - headGroups.length - tailGroups.length;
+      groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+    } else {
+      groups = toGroups(address);
+    }
+    
+    return groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n);
+  }
+  
+  static isValid(ip) {
+    return this.parse(ip) !== null;
+  }
+  
+  static parseCIDR(cidr) {
+    const [address, prefixPart] = cidr.split('/');
+    const network = this.parse(address);
+    if (!network || !/^\d+$/.test(prefixPart || '')) return null;
+    
+    let prefix = parseInt(prefixPart, 10);
+    
+    // ::ffff:10.0.0.0/104 is the same network as 10.0.0.0/8
+    if (network.version === 4 && net.isIP(address.replace(/^\[|\]$/g, '')) === 6) {
+      prefix -= 96;
+    }
+    
+    const bits = network.version === 4 ? 32 : 128;
+    if (prefix < 0 || prefix > bits) return null;
+    
+    return { version: network.version, network: network.value, prefix, bits };
+  }
+  
+  static isInCIDR(ip, cidr) {
+    const address = typeof ip === 'string' ? this.parse(ip) : ip;
+    const range = this.parseCIDR(cidr);
+    if (!address || !range || address.version !== range.version) return false;
+    
+    const hostBits = BigInt(range.bits - range.prefix);
+    return (address.value >> hostBits) === (range.network >> hostBits);
+  }
+  
+  // Inclusive range notation: 10.0.0.1-10.0.0.50
+  static isInRange(ip, range) {
+    const address = typeof ip === 'string' ? this.parse(ip) : ip;
+    const [startPart, endPart] = range.split('-');
+    const start = this.parse(startPart);
+    const end = this.parse(endPart);
+    
+    if (!address || !start || !end) return false;
+    if (address.version !== start.version || start.version !== end.version) return false;
+    
+    return address.value >= start.value && address.value <= end.value;
+  }
+  
+  static matches(ip, entry) {
+    if (entry === '*') return true;
+    
+    const address = this.parse(ip);
+    if (!address) return false;
+    
+    if (entry.includes('/')) return this.isInCIDR(address, entry);
+    if (entry.includes('-')) return this.isInRange(address, entry);
+    
+    const other = this.parse(entry);
+    return !!other && other.version === address.version && other.value === address.value;
+  }
+  
+  static matchesAny(ip, entries = []) {
+    return entries.some(entry => this.matches(ip, entry));
+  }
+  
+  // First and last address an allowedIps entry covers, as { version, start, end }
+  static bounds(entry) {
+    if (entry.includes('/')) {
+      const range = this.parseCIDR(entry);
+      if (!range) return null;
+      const hostMask = (1n << BigInt(range.bits - range.prefix)) - 1n;
+      return { version: range.version, start: range.network & ~hostMask, end: range.network | hostMask };
+    }
+    
+    if (entry.includes('-') && !net.isIP(entry)) {
+      const [start, end] = entry.split('-').map(part => this.parse(part));
+      if (!start || !end || start.version !== end.version) return null;
+      return { version: start.version, start: start.value, end: end.value };
+    }
+    
+    const address = this.parse(entry);
+    return address && { version: address.version, start: address.value, end: address.value };
+  }
+  
+  // Whether every address `entry` covers is covered by one of `entries`
+  static covers(entries, entry) {
+    if (entries.includes('*')) return true;
+    
+    const inner = this.bounds(entry);
+    if (!inner) return false;
+    
+    return entries.some(outer => {
+      const range = this.bounds(outer);
+      return !!range && range.version === inner.version && range.start <= inner.start && range.end >= inner.end;
+    });
+  }
+}
\ No newline at end of file
@@ -1,6 +1,7 @@
 // core/ProtocolEngine.js - VERSION v.1.2.2
 
 import crypto from 'crypto';
+import { IpMatcher } from './IpMatcher.js';
 
 export class ProtocolEngine {
   constructor(options = {}) {
@@ -153,6 +154,7 @@ export class ProtocolEngine {
     // NEW: Use engine-specific parsing
     if (engine.shouldParseBody && await engine.shouldParseBody(request)) {
       context.request.body = await engine.parse(request, context);
+      context.request.rawBody = request.rawBody || null;
       context.metadata.bodyParsed = true;
     }
     
@@ -479,15 +481,11 @@ export class ProtocolEngine {
   
   isTrustedProxy(ip) {
     if (this.options.trustedProxies.length === 0) return true;
-    return this.options.trustedProxies.some(proxy =>
-      proxy === ip || this.isIPInCIDR(ip, proxy)
-    );
+    return IpMatcher.matchesAny(ip, this.options.trustedProxies);
   }
   
   isIPInCIDR(ip, cidr) {
-    // Simplified CIDR check
-    const [network, prefix] = cidr.split('/');
-    return ip.startsWith(network);
+    return IpMatcher.isInCIDR(ip, cidr);
   }
   
   normalizeHeaders(headers) {
@@ -536,6 +534,9 @@ export class ProtocolEngine {
       
       request.on('end', async () => {
         try {
+          // Keep the exact bytes for request signature verification
+          request.rawBody = body;
+          
           const contentType = request.headers['content-type'] || '';
           const mimeType = contentType.split(';')[0].trim();
           
@@ -0,0 +1,356 @@
+import net from 'net';
+
+export class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RespError';
+  }
+}
+
+const CRLF = '\r\n';
+
+// Encodes a command as a RESP array of bulk strings
+export function encodeCommand(args) {
+  let out = `*${args.length}${CRLF}`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  }
+  return out;
+}
+
+// Encodes a reply; used by servers speaking RESP (and the test stand-in)
+export function encodeReply(value) {
+  if (value === null || value === undefined) return `$-1${CRLF}`;
+  if (value instanceof RespError) return `-${value.message}${CRLF}`;
+  if (typeof value === 'number') return `:${value}${CRLF}`;
+  if (Array.isArray(value)) return `*${value.length}${CRLF}${value.map(encodeReply).join('')}`;
+  if (typeof value === 'object' && value.status) return `+${value.status}${CRLF}`;
+  
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}${CRLF}${text}${CRLF}`;
+}
+
+// Incremental RESP2 parser: feed() raw chunks, complete values come out of
+// parse(). Server errors are returned as RespError values, not thrown.
+export class RespParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+  
+  feed(chunk) {
+    this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+  }
+  
+  // Returns every complete value currently buffered
+  parse() {
+    const values = [];
+    let result;
+    while ((result = this.read(0)) !== null) {
+      values.push(result.value);
+      this.buffer = this.buffer.subarray(result.offset);
+    }
+    return values;
+  }
+  
+  read(offset) {
+    const end = this.buffer.indexOf(CRLF, offset);
+    if (end === -1) return null;
+    
+    const type = String.fromCharCode(this.buffer[offset]);
+    const line = this.buffer.toString('utf8', offset + 1, end);
+    const next = end + 2;
+    
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new RespError(line), offset: next };
+      case ':':
+        return { value: Number(line), offset: next };
+      case '$': {
+        const length = Number(line);
+        if (length === -1) return { value: null, offset: next };
+        if (this.buffer.length < next + length + 2) return null;
+        return { value: this.buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = Number(line);
+        if (count === -1) return { value: null, offset: next };
+        
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.read(position);
+          if (!item) return null;
+          items.push(item.value);
+          position = item.offset;
+        }
+        return { value: items, offset: position };
+      }
+      default:
+        throw new RespError(`Unexpected RESP type byte: ${type}`);
+    }
+  }
+}
+
+// Minimal client for Redis-protocol servers over a plain TCP socket.
+// Commands are pipelined; replies are matched to callers in order. Command
+// connections reconnect on the next command; subscriber connections have
+// none, so they reconnect on their own with backoff and resubscribe, emitting
+// 'error' for every failure and 'reconnect' once subscribed again.
+export class RespClient {
+  constructor(options = {}) {
+    this.options = {
+      host: '127.0.0.1',
+      port: 6379,
+      password: null,
+      database: 0,
+      connectTimeout: 5000,
+      reconnectDelay: 100, // ms before the first resubscribe attempt, doubled per failure
+      maxReconnectDelay: 10000,
+      ...options
+    };
+    
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.parser = null;
+    this.events = new Map();
+    
+    this.closing = false;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    
+    // WATCH/MULTI/EXEC sequences hold the connection so other commands cannot interleave
+    this.locked = false;
+    this.lock = Promise.resolve();
+    
+    // Subscriber connections only: channel -> Set of handlers
+    this.subscriptions = new Map();
+  }
+  
+  connect() {
+    if (this.socket) return Promise.resolve(this);
+    if (this.connecting) return this.connecting;
+    
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+      socket.setNoDelay(true);
+      socket.setTimeout(this.options.connectTimeout, () => {
+        socket.destroy(new RespError(`Connection to ${this.options.host}:${this.options.port} timed out`));
+      });
+      
+      socket.once('connect', async () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+        this.parser = new RespParser();
+        
+        try {
+          await this.handshake();
+          resolve(this);
+        } catch (error) {
+          socket.destroy();
+          reject(error);
+        }
+      });
+      
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('error', error => {
+        if (!this.socket) reject(error);
+        this.failPending(error);
+      });
+      socket.on('close', () => {
+        const wasConnected = this.socket === socket;
+        if (wasConnected) this.socket = null;
+        this.failPending(new RespError('Connection closed'));
+        
+        if (!this.closing && this.subscriptions.size > 0) {
+          if (wasConnected) this.emit('error', new RespError('Subscriber connection lost'));
+          this.scheduleReconnect();
+        }
+      });
+    }).finally(() => {
+      this.connecting = null;
+    });
+    
+    return this.connecting;
+  }
+  
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    
+    const delay = Math.min(this.options.reconnectDelay * 2 ** this.reconnectAttempts, this.options.maxReconnectDelay);
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      // A failed attempt closes its socket, which schedules the next one
+      this.connect().then(() => {
+        this.emit('reconnect', { attempts: this.reconnectAttempts });
+        this.reconnectAttempts = 0;
+      }, error => this.emit('error', error));
+    }, delay);
+  }
+  
+  async handshake() {
+    if (this.options.password) {
+      await this.send(['AUTH', this.options.password]);
+    }
+    if (this.options.database) {
+      await this.send(['SELECT', this.options.database]);
+    }
+    // Resubscribe after a reconnect, one channel per command so each gets one reply
+    for (const channel of this.subscriptions.keys()) {
+      await this.send(['SUBSCRIBE', channel]);
+    }
+  }
+  
+  onData(chunk) {
+    this.parser.feed(chunk);
+    
+    let values;
+    try {
+      values = this.parser.parse();
+    } catch (error) {
+      this.socket?.destroy(error);
+      return;
+    }
+    
+    for (const value of values) {
+      // Pub/sub pushes are not replies to a command
+      if (Array.isArray(value) && value[0] === 'message' && this.subscriptions.size > 0) {
+        this.dispatch(value[1], value[2]);
+        continue;
+      }
+      
+      const request = this.pending.shift();
+      if (!request) continue;
+      
+      if (value instanceof RespError) {
+        request.reject(value);
+      } else {
+        request.resolve(value);
+      }
+    }
+  }
+  
+  failPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    for (const request of pending) {
+      request.reject(error);
+    }
+  }
+  
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new RespError('Not connected'));
+        return;
+      }
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+  
+  async command(...args) {
+    await this.acquire();
+    return this.send(args);
+  }
+  
+  // Re-checked after every await: nothing may be written while a transaction holds the connection
+  async acquire() {
+    while (this.locked || !this.socket) {
+      await (this.locked ? this.lock : this.connect());
+    }
+  }
+  
+  // Runs fn with exclusive use of the connection; fn receives a command function
+  async exclusive(fn) {
+    await this.acquire();
+    
+    let release;
+    this.locked = true;
+    this.lock = new Promise(resolve => { release = resolve; });
+    
+    try {
+      return await fn((...args) => this.send(args));
+    } finally {
+      this.locked = false;
+      release();
+    }
+  }
+  
+  async subscribe(channel, handler) {
+    const isNew = !this.subscriptions.has(channel);
+    if (isNew) this.subscriptions.set(channel, new Set());
+    this.subscriptions.get(channel).add(handler);
+    
+    if (isNew) {
+      // connect() subscribes to every channel when it opens a new connection
+      const connected = Boolean(this.socket);
+      await this.connect();
+      if (connected) await this.send(['SUBSCRIBE', channel]);
+    }
+    
+    return () => this.unsubscribe(channel, handler);
+  }
+  
+  async unsubscribe(channel, handler) {
+    const handlers = this.subscriptions.get(channel);
+    if (!handlers) return;
+    
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.subscriptions.delete(channel);
+      if (this.socket) await this.send(['UNSUBSCRIBE', channel]);
+    }
+  }
+  
+  dispatch(channel, payload) {
+    for (const handler of this.subscriptions.get(channel) || []) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Error in subscription handler for ${channel}:`, error);
+      }
+    }
+  }
+  
+  on(event, handler) {
+    if (!this.events.has(event)) {
+      this.events.set(event, []);
+    }
+    this.events.get(event).push(handler);
+    return this;
+  }
+  
+  emit(event, data) {
+    for (const handler of this.events.get(event) || []) {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`Error in RespClient handler for ${event}:`, error);
+      }
+    }
+  }
+  
+  async close() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    await this.connecting?.catch(() => {});
+    if (!this.socket) return;
+    
+    const socket = this.socket;
+    this.closing = true;
+    try {
+      await new Promise(resolve => {
+        socket.once('close', resolve);
+        socket.end();
+      });
+    } finally {
+      this.closing = false;
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import { RespClient } from './RespClient.js';
+
+// Counters, sets and pub/sub used by the rate limiter, nonce cache,
+// revocation list and WebSocket fanout. MemorySharedState keeps them in this
+// process; RespSharedState shares them between instances through a
+// Redis-protocol server. All methods are async and TTLs are in ms.
+export class MemorySharedState {
+  constructor(options = {}) {
+    this.options = {
+      maxEntries: 100000,
+      ...options
+    };
+    
+    this.instanceId = crypto.randomUUID();
+    this.persistent = false; // Gone on restart, so quotas refuse it by default
+    this.values = new Map(); // key -> { value, expiresAt }
+    this.sets = new Map(); // key -> { members: Set, expiresAt }
+    this.handlers = new Map(); // channel -> Set of handlers
+  }
+  
+  read(map, key, now = Date.now()) {
+    const entry = map.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= now) {
+      map.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+  
+  write(map, key, entry) {
+    if (map.size >= this.options.maxEntries && !map.has(key)) {
+      this.purgeExpired();
+    }
+    map.set(key, entry);
+  }
+  
+  expiry(ttl) {
+    return ttl ? Date.now() + ttl : null;
+  }
+  
+  // Adds amount and returns the new value; the TTL is set when the counter is created
+  async increment(key, amount = 1, ttl = null) {
+    const entry = this.read(this.values, key);
+    if (entry) {
+      entry.value += amount;
+      return entry.value;
+    }
+    
+    this.write(this.values, key, { value: amount, expiresAt: this.expiry(ttl) });
+    return amount;
+  }
+  
+  async get(key) {
+    return this.read(this.values, key)?.value ?? null;
+  }
+  
+  async set(key, value, ttl = null) {
+    this.write(this.values, key, { value, expiresAt: this.expiry(ttl) });
+  }
+  
+  // Returns false when the key already exists
+  async setIfAbsent(key, value, ttl = null) {
+    if (this.read(this.values, key)) return false;
+    this.write(this.values, key, { value, expiresAt: this.expiry(ttl) });
+    return true;
+  }
+  
+  async delete(key) {
+    const removed = this.values.delete(key);
+    return this.sets.delete(key) || removed;
+  }
+  
+  async addToSet(key, member, ttl = null) {
+    let entry = this.read(this.sets, key);
+    if (!entry) {
+      entry = { members: new Set(), expiresAt: null };
+      this.write(this.sets, key, entry);
+    }
+    
+    entry.members.add(member);
+    if (ttl) entry.expiresAt = this.expiry(ttl);
+    return entry.members.size;
+  }
+  
+  async removeFromSet(key, member) {
+    const entry = this.read(this.sets, key);
+    if (!entry) return 0;
+    
+    entry.members.delete(member);
+    if (entry.members.size === 0) this.sets.delete(key);
+    return entry.members.size;
+  }
+  
+  async members(key) {
+    return Array.from(this.read(this.sets, key)?.members || []);
+  }
+  
+  async setSize(key) {
+    return this.read(this.sets, key)?.members.size || 0;
+  }
+  
+  async publish(channel, message) {
+    for (const handler of this.handlers.get(channel) || []) {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error(`Error in shared state handler for ${channel}:`, error);
+      }
+    }
+  }
+  
+  // Resolves to an unsubscribe function
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+    }
+    this.handlers.get(channel).add(handler);
+    
+    return () => this.handlers.get(channel)?.delete(handler);
+  }
+  
+  // { publish, subscribe } bound to one channel, e.g. for CachedKeypointStorage
+  channel(name) {
+    return {
+      publish: message => this.publish(name, message),
+      subscribe: handler => this.subscribe(name, handler)
+    };
+  }
+  
+  purgeExpired(now = Date.now()) {
+    let removed = 0;
+    
+    for (const map of [this.values, this.sets]) {
+      for (const [key, entry] of map) {
+        if (entry.expiresAt !== null && entry.expiresAt <= now) {
+          map.delete(key);
+          removed++;
+        }
+      }
+    }
+    
+    return removed;
+  }
+  
+  async close() {
+    this.handlers.clear();
+  }
+}
+
+export class RespSharedState {
+  constructor(options = {}) {
+    this.options = {
+      prefix: 'keypoint:',
+      client: null, // An existing RespClient to share
+      ...options
+    };
+    
+    this.instanceId = crypto.randomUUID();
+    this.client = this.options.client || new RespClient(this.options);
+    this.subscriber = null; // Created on first subscribe: subscribed connections cannot run commands
+    this.events = new Map();
+  }
+  
+  key(name) {
+    return `${this.options.prefix}${name}`;
+  }
+  
+  // The counter is created with its TTL before INCRBY runs, pipelined in
+  // order, so it never exists without one even if this process dies between
+  async increment(key, amount = 1, ttl = null) {
+    if (!ttl) return this.client.command('INCRBY', this.key(key), amount);
+    
+    const [, value] = await this.client.exclusive(command => Promise.all([
+      command('SET', this.key(key), 0, 'PX', Math.ceil(ttl), 'NX'),
+      command('INCRBY', this.key(key), amount)
+    ]));
+    return value;
+  }
+  
+  async get(key) {
+    const value = await this.client.command('GET', this.key(key));
+    return value === null ? null : JSON.parse(value);
+  }
+  
+  async set(key, value, ttl = null) {
+    const args = ['SET', this.key(key), JSON.stringify(value)];
+    if (ttl) args.push('PX', Math.ceil(ttl));
+    await this.client.command(...args);
+  }
+  
+  async setIfAbsent(key, value, ttl = null) {
+    const args = ['SET', this.key(key), JSON.stringify(value), 'NX'];
+    if (ttl) args.push('PX', Math.ceil(ttl));
+    return (await this.client.command(...args)) === 'OK';
+  }
+  
+  async delete(key) {
+    return (await this.client.command('DEL', this.key(key))) > 0;
+  }
+  
+  async addToSet(key, member, ttl = null) {
+    if (!ttl) {
+      await this.client.command('SADD', this.key(key), member);
+      return this.setSize(key);
+    }
+    
+    const [, , size] = await this.client.exclusive(command => Promise.all([
+      command('SADD', this.key(key), member),
+      command('PEXPIRE', this.key(key), Math.ceil(ttl)),
+      command('SCARD', this.key(key))
+    ]));
+    return size;
+  }
+  
+  async removeFromSet(key, member) {
+    await this.client.command('SREM', this.key(key), member);
+    return this.setSize(key);
+  }
+  
+  async members(key) {
+    return this.client.command('SMEMBERS', this.key(key));
+  }
+  
+  async setSize(key) {
+    return this.client.command('SCARD', this.key(key));
+  }
+  
+  async publish(channel, message) {
+    return this.client.command('PUBLISH', this.key(channel), JSON.stringify(message));
+  }
+  
+  async subscribe(channel, handler) {
+    if (!this.subscriber) {
+      this.subscriber = new RespClient(this.client.options);
+      // Lost subscriptions are restored by the client; these say when
+      for (const event of ['error', 'reconnect']) {
+        this.subscriber.on(event, data => this.emit(event, data));
+      }
+    }
+    
+    const unsubscribe = await this.subscriber.subscribe(this.key(channel), payload => {
+      handler(JSON.parse(payload));
+    });
+    return () => unsubscribe().catch(() => {});
+  }
+  
+  channel(name) {
+    return {
+      publish: message => this.publish(name, message),
+      subscribe: handler => this.subscribe(name, handler)
+    };
+  }
+  
+  // 'error' and 'reconnect' of the subscriber connection
+  on(event, handler) {
+    if (!this.events.has(event)) {
+      this.events.set(event, []);
+    }
+    this.events.get(event).push(handler);
+    return this;
+  }
+  
+  emit(event, data) {
+    for (const handler of this.events.get(event) || []) {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`Error in shared state handler for ${event}:`, error);
+      }
+    }
+  }
+  
+  async close() {
+    await this.subscriber?.close();
+    if (!this.options.client) {
+      await this.client.close();
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,88 @@
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Wall-clock arithmetic in an IANA time zone, using only Intl. Months are
+// 1-based and weekdays run from 0 (Sunday) to 6, as in Date#getDay.
+export class TimeZone {
+  constructor(name = 'UTC') {
+    // Throws a RangeError for unknown zones
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: name,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    this.name = name;
+  }
+  
+  static isValid(name) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: name });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  
+  parts(date = new Date()) {
+    const parts = {};
+    for (const { type, value } of this.formatter.formatToParts(new Date(date))) {
+      parts[type] = value;
+    }
+    
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAYS[parts.weekday]
+    };
+  }
+  
+  // Milliseconds the zone is ahead of UTC at that instant
+  offset(date) {
+    const time = new Date(date).getTime();
+    const { year, month, day, hour, minute, second } = this.parts(time);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - (time - (((time % 1000) + 1000) % 1000));
+  }
+  
+  // The instant a local wall-clock time happens. Out-of-range fields roll
+  // over (day 32 is the 1st of the next month); a time skipped by a DST
+  // change resolves to the same distance after the change.
+  toDate({ year, month, day = 1, hour = 0, minute = 0, second = 0 }) {
+    const local = Date.UTC(year, month - 1, day, hour, minute, second);
+    const guess = local - this.offset(local);
+    const corrected = local - this.offset(guess);
+    
+    if (corrected + this.offset(corrected) === local) return new Date(corrected);
+    return new Date(guess);
+  }
+  
+  dayKey(date = new Date()) {
+    const { year, month, day } = this.parts(date);
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+  
+  monthKey(date = new Date()) {
+    const { year, month } = this.parts(date);
+    return `${year}-${pad(month)}`;
+  }
+  
+  startOfNextDay(date = new Date()) {
+    const { year, month, day } = this.parts(date);
+    return this.toDate({ year, month, day: day + 1 });
+  }
+  
+  startOfNextMonth(date = new Date()) {
+    const { year, month } = this.parts(date);
+    return this.toDate({ year, month: month + 1 });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,108 @@
+import { TimeZone } from '../core/TimeZone.js';
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+const zones = new Map(); // One formatter per zone name
+
+// Recurring access windows for a keypoint, e.g.
+// { timezone: 'Europe/Berlin', windows: [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' }] }
+// Days are 0 (Sunday) to 6 and default to every day. `end` is exclusive and
+// may be '24:00'; an end before the start runs past midnight into the next day
+// (an end equal to the start covers a full day).
+export class AccessSchedule {
+  constructor({ timezone = 'UTC', windows = [] } = {}) {
+    if (!zones.has(timezone)) zones.set(timezone, new TimeZone(timezone));
+    this.timeZone = zones.get(timezone);
+    
+    this.windows = windows.map(window => ({
+      days: window.days || ALL_DAYS,
+      start: AccessSchedule.parseTime(window.start),
+      end: AccessSchedule.parseTime(window.end)
+    }));
+  }
+  
+  // 'HH:MM' to minutes after midnight
+  static parseTime(value) {
+    const match = TIME_PATTERN.exec(value || '');
+    if (!match || (match[1] === '24' && match[2] !== '00')) {
+      throw new Error(`Invalid schedule time: ${value}`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+  
+  // Problems with a schedule definition, as { field, message } entries
+  static validate(schedule) {
+    const errors = [];
+    if (!schedule || typeof schedule !== 'object') {
+      return [{ field: 'schedule', message: 'Schedule must be an object' }];
+    }
+    
+    if (schedule.timezone && !TimeZone.isValid(schedule.timezone)) {
+      errors.push({ field: 'schedule.timezone', message: `Unknown time zone: ${schedule.timezone}` });
+    }
+    
+    if (!Array.isArray(schedule.windows) || schedule.windows.length === 0) {
+      errors.push({ field: 'schedule.windows', message: 'At least one window is required' });
+      return errors;
+    }
+    
+    schedule.windows.forEach((window, index) => {
+      for (const field of ['start', 'end']) {
+        try {
+          AccessSchedule.parseTime(window[field]);
+        } catch (error) {
+          errors.push({ field: `schedule.windows[${index}].${field}`, message: error.message });
+        }
+      }
+      if (window.days && !(Array.isArray(window.days) && window.days.every(day => ALL_DAYS.includes(day)))) {
+        errors.push({ field: `schedule.windows[${index}].days`, message: 'Days must be numbers from 0 (Sunday) to 6' });
+      }
+    });
+    
+    return errors;
+  }
+  
+  contains(now = new Date()) {
+    const { weekday, hour, minute } = this.timeZone.parts(now);
+    const minutes = hour * 60 + minute;
+    const yesterday = (weekday + 6) % 7;
+    
+    return this.windows.some(({ days, start, end }) => {
+      if (start < end) {
+        return days.includes(weekday) && minutes >= start && minutes < end;
+      }
+      // Overnight: the evening part on a listed day, the morning part on the day after
+      return (days.includes(weekday) && minutes >= start) || (days.includes(yesterday) && minutes < end);
+    });
+  }
+  
+  // The next time a window opens after `now`, or null when none ever does
+  nextStart(now = new Date()) {
+    const { year, month, day, weekday } = this.timeZone.parts(now);
+    let next = null;
+    
+    for (let offset = 0; offset <= 7; offset++) {
+      for (const window of this.windows) {
+        if (!window.days.includes((weekday + offset) % 7)) continue;
+        
+        const start = this.timeZone.toDate({
+          year,
+          month,
+          day: day + offset,
+          hour: Math.floor(window.start / 60),
+          minute: window.start % 60
+        });
+        if (start > now && (!next || start < next)) next = start;
+      }
+      if (next) return next;
+    }
+    
+    return next;
+  }
+  
+  // Same as nextStart, but `now` itself when a window is open
+  nextAllowedAt(now = new Date()) {
+    return this.contains(now) ? new Date(now) : this.nextStart(now);
+  }
+}
\ No newline at end of file
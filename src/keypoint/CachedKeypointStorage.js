@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import { KeypointStorage } from './KeypointStorage.js';
+
+// Read-through cache in front of a slower driver. Lookups by id are served
+// from an LRU; every write through this wrapper invalidates the entry here
+// and is published on the invalidation channel for other processes, except
+// usage counters, which are patched into the cached entry in place.
+export class CachedKeypointStorage extends KeypointStorage {
+  constructor(storage, options = {}) {
+    super('cached');
+    
+    if (!storage) {
+      throw new Error('CachedKeypointStorage requires a storage to wrap');
+    }
+    
+    this.storage = storage;
+    this.options = {
+      maxEntries: 10000,
+      ttl: 30000, // ms a found keypoint is served from the cache
+      negativeTtl: 5000, // ms an unknown id is remembered, 0 to disable
+      maxNegativeEntries: 10000, // kept apart so an enumeration flood cannot evict real keypoints
+      channel: null, // { publish(message), subscribe(handler) }, e.g. sharedState.channel('keypoint:cache')
+      onInvalidate: null,
+      ...options
+    };
+    
+    this.instanceId = crypto.randomUUID();
+    this.entries = new Map();
+    this.unknown = new Map();
+    this.inflight = new Map();
+    this.stats = { hits: 0, misses: 0, negativeHits: 0, invalidations: 0 };
+    
+    // subscribe() may return the unsubscribe function or a promise of it
+    this.subscription = Promise.resolve(
+      this.options.channel?.subscribe?.(message => this.handleMessage(message))
+    ).catch(error => {
+      console.error('CachedKeypointStorage invalidation subscribe failed:', error);
+      return null;
+    });
+  }
+  
+  // Resolves once invalidations from other processes are being received
+  ready() {
+    return this.subscription;
+  }
+  
+  async get(keyId) {
+    const now = Date.now();
+    
+    const cached = this.entries.get(keyId);
+    if (cached && cached.expiresAt > now) {
+      // Refresh recency: Map iteration order is the LRU order
+      this.entries.delete(keyId);
+      this.entries.set(keyId, cached);
+      this.stats.hits++;
+      return cached.keypoint;
+    }
+    if (cached) this.entries.delete(keyId);
+    
+    const unknownUntil = this.unknown.get(keyId);
+    if (unknownUntil > now) {
+      this.stats.negativeHits++;
+      return null;
+    }
+    if (unknownUntil) this.unknown.delete(keyId);
+    
+    // Concurrent misses for the same id share one backend lookup
+    if (this.inflight.has(keyId)) {
+      return this.inflight.get(keyId);
+    }
+    
+    this.stats.misses++;
+    const lookup = this.storage.get(keyId).then(keypoint => {
+      // An invalidation while the lookup was running makes the result stale
+      if (this.inflight.get(keyId) === lookup) {
+        this.remember(keyId, keypoint);
+      }
+      return keypoint;
+    }).finally(() => {
+      if (this.inflight.get(keyId) === lookup) {
+        this.inflight.delete(keyId);
+      }
+    });
+    
+    this.inflight.set(keyId, lookup);
+    return lookup;
+  }
+  
+  remember(keyId, keypoint) {
+    if (keypoint) {
+      if (this.options.ttl <= 0) return;
+      this.entries.set(keyId, { keypoint, expiresAt: Date.now() + this.options.ttl });
+      this.trim(this.entries, this.options.maxEntries);
+    } else if (this.options.negativeTtl > 0) {
+      this.unknown.set(keyId, Date.now() + this.options.negativeTtl);
+      this.trim(this.unknown, this.options.maxNegativeEntries);
+    }
+  }
+  
+  trim(map, maxEntries) {
+    while (map.size > maxEntries) {
+      map.delete(map.keys().next().value);
+    }
+  }
+  
+  // Drops cached entries locally and tells other processes to do the same
+  async invalidate(keyIds) {
+    const ids = [].concat(keyIds);
+    this.evict(ids);
+    await this.publish({ keyIds: ids });
+  }
+  
+  async invalidateAll() {
+    this.evict(null);
+    await this.publish({ all: true });
+  }
+  
+  evict(keyIds) {
+    if (keyIds === null) {
+      this.entries.clear();
+      this.unknown.clear();
+      this.inflight.clear();
+    } else {
+      for (const keyId of keyIds) {
+        this.entries.delete(keyId);
+        this.unknown.delete(keyId);
+        this.inflight.delete(keyId);
+      }
+    }
+    
+    this.stats.invalidations++;
+    this.options.onInvalidate?.({ keyIds, all: keyIds === null });
+  }
+  
+  async publish(message) {
+    if (!this.options.channel) return;
+    
+    try {
+      await this.options.channel.publish({ type: 'keypoint:invalidate', origin: this.instanceId, ...message });
+    } catch (error) {
+      // Local entries are already gone; other processes fall back to the TTL
+      console.error('CachedKeypointStorage invalidation publish failed:', error);
+    }
+  }
+  
+  handleMessage(message) {
+    if (message?.type !== 'keypoint:invalidate' || message.origin === this.instanceId) {
+      return;
+    }
+    this.evict(message.all ? null : message.keyIds || []);
+  }
+  
+  async set(keypoint) {
+    const result = await this.storage.set(keypoint);
+    await this.invalidate(keypoint.keyId);
+    return result;
+  }
+  
+  async update(keyId, updates) {
+    const result = await this.storage.update(keyId, updates);
+    await this.invalidate(keyId);
+    return result;
+  }
+  
+  async rotateSecret(keyId, credentials, graceUntil) {
+    const result = await this.storage.rotateSecret(keyId, credentials, graceUntil);
+    await this.invalidate(keyId);
+    return result;
+  }
+  
+  // Counters change on every flush and nothing is validated against them, so
+  // other processes may serve their older usage until the entry expires
+  async updateUsage(keyId, apply) {
+    let usage;
+    const result = await this.storage.updateUsage(keyId, current => (usage = apply(current)));
+    
+    const cached = this.entries.get(keyId);
+    if (result && cached) {
+      const keypoint = cached.keypoint;
+      cached.keypoint = Object.assign(Object.create(Object.getPrototypeOf(keypoint)), keypoint, { usage });
+    }
+    return result;
+  }
+  
+  async pruneExpiredSecrets(keyId, now) {
+    const expired = await this.storage.pruneExpiredSecrets(keyId, now);
+    if (expired.length > 0) await this.invalidate(keyId);
+    return expired;
+  }
+  
+  async delete(keyId) {
+    const result = await this.storage.delete(keyId);
+    await this.invalidate(keyId);
+    return result;
+  }
+  
+  async cleanupExpired() {
+    const removed = await this.storage.cleanupExpired();
+    if (removed > 0) await this.invalidateAll();
+    return removed;
+  }
+  
+  // Queries other than get() go straight to the wrapped storage
+  async getBySecret(secret, hasher) {
+    return this.storage.getBySecret(secret, hasher);
+  }
+  
+  async getByCertificate(certificate) {
+    return this.storage.getByCertificate(certificate);
+  }
+  
+  async getByName(name) {
+    return this.storage.getByName(name);
+  }
+  
+  async getByScope(scope) {
+    return this.storage.getByScope(scope);
+  }
+  
+  async list(filter) {
+    return this.storage.list(filter);
+  }
+  
+  async count() {
+    return this.storage.count();
+  }
+  
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      unknown: this.unknown.size,
+      inflight: this.inflight.size
+    };
+  }
+  
+  async close() {
+    const unsubscribe = await this.subscription;
+    unsubscribe?.();
+    this.entries.clear();
+    this.unknown.clear();
+    await this.storage.close?.();
+  }
+}
\ No newline at end of file
@@ -0,0 +1,67 @@
+// Client certificate helpers for mutual TLS keypoint binding
+export class ClientCertificate {
+  // Reads the peer certificate from a TLS socket; null for plain connections
+  static fromRequest(request) {
+    if (request.clientCertificate !== undefined) {
+      return request.clientCertificate;
+    }
+    
+    const socket = request.socket || request.originalRequest?.socket;
+    const peer = socket?.getPeerCertificate?.();
+    if (!peer || Object.keys(peer).length === 0) {
+      return null;
+    }
+    
+    return this.normalize(peer, socket.authorized === true);
+  }
+  
+  static normalize(peer, authorized = false) {
+    return {
+      fingerprint256: this.normalizeFingerprint(peer.fingerprint256),
+      subject: { ...peer.subject },
+      issuer: { ...peer.issuer },
+      subjectAltNames: this.parseSubjectAltNames(peer.subjectaltname),
+      validTo: peer.valid_to ? new Date(peer.valid_to) : null,
+      authorized
+    };
+  }
+  
+  // "AB:CD:..." and "abcd..." compare equal
+  static normalizeFingerprint(fingerprint) {
+    return typeof fingerprint === 'string'
+      ? fingerprint.replace(/:/g, '').toUpperCase()
+      : null;
+  }
+  
+  // "DNS:api.example.com, URI:spiffe://..." -> ['DNS:api.example.com', 'URI:spiffe://...']
+  static parseSubjectAltNames(value) {
+    if (!value) return [];
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+  
+  // Every constraint present in the binding has to hold
+  static matches(binding, certificate) {
+    if (!binding || !certificate) return false;
+    
+    const constraints = ['fingerprint256', 'subject', 'san'].filter(key => binding[key]);
+    if (constraints.length === 0) return false;
+    
+    if (binding.fingerprint256) {
+      const allowed = [].concat(binding.fingerprint256).map(fp => this.normalizeFingerprint(fp));
+      if (!allowed.includes(certificate.fingerprint256)) return false;
+    }
+    
+    if (binding.subject) {
+      for (const [field, expected] of Object.entries(binding.subject)) {
+        if (certificate.subject?.[field] !== expected) return false;
+      }
+    }
+    
+    if (binding.san) {
+      const required = [].concat(binding.san);
+      if (!required.some(name => certificate.subjectAltNames.includes(name))) return false;
+    }
+    
+    return true;
+  }
+}
\ No newline at end of file
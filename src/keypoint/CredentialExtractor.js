@@ -0,0 +1,185 @@
+// Pulls keypoint credentials ({ keyId, secret }) out of an incoming request
+import { KeypointToken } from './KeypointToken.js';
+
+// "<keyId>.<secret>" - key ids must not contain a dot, secrets may
+function splitCredential(value) {
+  if (!value) return null;
+  
+  const index = value.indexOf('.');
+  if (index === -1) {
+    return { keyId: value, secret: null };
+  }
+  
+  return { keyId: value.slice(0, index), secret: value.slice(index + 1) || null };
+}
+
+function parseAuthorization(request) {
+  const header = request.headers?.authorization;
+  if (typeof header !== 'string') return null;
+  
+  const [scheme, ...rest] = header.trim().split(/\s+/);
+  const value = rest.join(' ');
+  if (!scheme || !value) return null;
+  
+  return { scheme: scheme.toLowerCase(), value };
+}
+
+function getQueryParam(request, name) {
+  return request.url?.searchParams?.get(name) ?? request.query?.[name] ?? null;
+}
+
+export const BuiltInExtractors = {
+  // X-Keypoint-ID / X-Keypoint-Secret
+  header(request, options) {
+    const keyId = request.headers?.[options.idHeader];
+    if (!keyId) return null;
+    
+    return { keyId, secret: request.headers[options.secretHeader] || null };
+  },
+  
+  // Authorization: Bearer kp_live_<id>_<secret>_<crc>, or X-Keypoint-Token
+  token(request, options) {
+    const auth = parseAuthorization(request);
+    const value = auth?.scheme === 'bearer' ? auth.value : request.headers?.[options.tokenHeader];
+    
+    const parsed = options.tokenFormat.parse(value);
+    if (!parsed) return null;
+    
+    return {
+      keyId: parsed.keyId,
+      secret: parsed.secret,
+      token: { environment: parsed.environment, valid: parsed.valid }
+    };
+  },
+  
+  // Authorization: Bearer <header>.<claims>.<signature> when stateless tokens are enabled
+  stateless(request, options) {
+    const auth = parseAuthorization(request);
+    if (!options.statelessTokens || auth?.scheme !== 'bearer') return null;
+    
+    const decoded = options.statelessTokens.decode(auth.value);
+    if (!decoded) return null;
+    
+    // The key id is unverified here; the validator checks the signature
+    return { keyId: decoded.claims.sub, secret: null, statelessToken: auth.value };
+  },
+  
+  // Authorization: Bearer <keyId>.<secret>
+  bearer(request) {
+    const auth = parseAuthorization(request);
+    if (auth?.scheme !== 'bearer') return null;
+    
+    const credential = splitCredential(auth.value);
+    return credential?.secret ? credential : null;
+  },
+  
+  // Authorization: Basic base64(<keyId>:<secret>)
+  basic(request) {
+    const auth = parseAuthorization(request);
+    if (auth?.scheme !== 'basic') return null;
+    
+    const decoded = Buffer.from(auth.value, 'base64').toString('utf8');
+    const index = decoded.indexOf(':');
+    if (index <= 0 || index === decoded.length - 1) return null;
+    
+    return { keyId: decoded.slice(0, index), secret: decoded.slice(index + 1) };
+  },
+  
+  // Authorization: <scheme> <keyId>[.<secret>]
+  scheme(request, options) {
+    const auth = parseAuthorization(request);
+    if (!options.scheme || auth?.scheme !== options.scheme.toLowerCase()) return null;
+    
+    return splitCredential(auth.value);
+  },
+  
+  // Cookie: <cookieName>=<keyId>[.<secret>]
+  cookie(request, options) {
+    return splitCredential(request.cookies?.[options.cookieName]);
+  },
+  
+  // ?keypointId=<keyId> - kept for compatibility, see allowQueryCredentials
+  query(request, options) {
+    const keyId = getQueryParam(request, options.queryParam);
+    return keyId ? { keyId, secret: null } : null;
+  }
+};
+
+export class CredentialExtractor {
+  constructor(options = {}) {
+    this.options = {
+      order: ['header', 'token', 'stateless', 'bearer', 'basic', 'scheme', 'cookie', 'query'],
+      idHeader: 'x-keypoint-id',
+      secretHeader: 'x-keypoint-secret',
+      tokenHeader: 'x-keypoint-token',
+      tokenFormat: null,
+      statelessTokens: null,
+      scheme: 'Keypoint',
+      cookieName: 'keypoint',
+      queryParam: 'keypointId',
+      allowQueryCredentials: true,
+      extractors: {},
+      ...options
+    };
+    
+    this.options.tokenFormat ||= new KeypointToken();
+    
+    this.extractors = new Map(Object.entries(BuiltInExtractors));
+    for (const [name, extractor] of Object.entries(this.options.extractors)) {
+      this.register(name, extractor);
+    }
+  }
+  
+  // Custom extractors receive (request, options) and return { keyId, secret } or null
+  register(name, extractor, position) {
+    if (typeof extractor !== 'function') {
+      throw new Error(`Credential extractor "${name}" must be a function`);
+    }
+    
+    this.extractors.set(name, extractor);
+    
+    if (!this.options.order.includes(name)) {
+      const order = [...this.options.order];
+      order.splice(position ?? order.length, 0, name);
+      this.options.order = order;
+    }
+    
+    return this;
+  }
+  
+  setOrder(order) {
+    const unknown = order.filter(name => !this.extractors.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown credential extractor(s): ${unknown.join(', ')}`);
+    }
+    
+    this.options.order = [...order];
+    return this;
+  }
+  
+  // First extractor in priority order that yields a key id wins
+  async extract(request) {
+    for (const name of this.options.order) {
+      if (name === 'query' && !this.options.allowQueryCredentials) continue;
+      
+      const extractor = this.extractors.get(name);
+      if (!extractor) continue;
+      
+      const credential = await extractor(request, this.options);
+      if (credential?.keyId) {
+        return {
+          ...credential,
+          keyId: String(credential.keyId),
+          secret: credential.secret ? String(credential.secret) : null,
+          source: name
+        };
+      }
+    }
+    
+    return null;
+  }
+  
+  hasQueryCredentials(request) {
+    return getQueryParam(request, this.options.queryParam) !== null;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+export class EncryptionError extends Error {
+  constructor(message, keyId = null) {
+    super(message);
+    this.name = 'EncryptionError';
+    this.keyId = keyId;
+  }
+}
+
+// Envelope encryption for persisted keypoint records: every record is
+// encrypted with its own random data key, and that data key is wrapped by
+// the master key. Rotating the master key only re-wraps the data keys.
+export class EnvelopeEncryption {
+  constructor(options = {}) {
+    this.options = {
+      masterKey: null, // 32 bytes as Buffer, base64 or hex
+      masterKeyEnv: 'KEYPOINT_MASTER_KEY',
+      masterKeyFile: null,
+      previousMasterKeys: [], // Still accepted for decryption while re-wrapping
+      allowPlaintext: false, // Read unencrypted records, e.g. while migrating an existing store
+      ...options
+    };
+    
+    this.masterKeys = new Map();
+    this.activeKeyId = this.addMasterKey(this.loadMasterKey());
+    
+    for (const key of this.options.previousMasterKeys) {
+      this.addMasterKey(key);
+    }
+  }
+  
+  static generateMasterKey() {
+    return crypto.randomBytes(KEY_LENGTH).toString('base64');
+  }
+  
+  static parseKey(value) {
+    let key = value;
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      key = /^[0-9a-f]{64}$/i.test(trimmed)
+        ? Buffer.from(trimmed, 'hex')
+        : Buffer.from(trimmed, 'base64');
+    }
+    
+    if (!Buffer.isBuffer(key) || key.length !== KEY_LENGTH) {
+      throw new EncryptionError('Master key must be 32 bytes (base64 or hex encoded)');
+    }
+    return key;
+  }
+  
+  // Stored with each envelope so the right master key can be picked after rotation
+  static keyIdFor(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+  
+  loadMasterKey() {
+    const { masterKey, masterKeyEnv, masterKeyFile } = this.options;
+    
+    if (masterKey) return masterKey;
+    if (masterKeyEnv && process.env[masterKeyEnv]) return process.env[masterKeyEnv];
+    if (masterKeyFile) return fs.readFileSync(masterKeyFile, 'utf-8');
+    
+    throw new EncryptionError(
+      `No master key configured: set masterKey, the ${masterKeyEnv} environment variable or masterKeyFile`
+    );
+  }
+  
+  addMasterKey(value) {
+    const key = EnvelopeEncryption.parseKey(value);
+    const keyId = EnvelopeEncryption.keyIdFor(key);
+    this.masterKeys.set(keyId, key);
+    return keyId;
+  }
+  
+  // New records and re-wraps use the new key; the old one stays available for reading
+  rotateMasterKey(value) {
+    const previousKeyId = this.activeKeyId;
+    this.activeKeyId = this.addMasterKey(value);
+    return { previousKeyId, keyId: this.activeKeyId };
+  }
+  
+  removeMasterKey(keyId) {
+    if (keyId === this.activeKeyId) {
+      throw new EncryptionError('Cannot remove the active master key', keyId);
+    }
+    return this.masterKeys.delete(keyId);
+  }
+  
+  isEnvelope(record) {
+    return record?.enc === ALGORITHM && typeof record.data === 'string';
+  }
+  
+  seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  }
+  
+  open(key, sealed, aad) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+  }
+  
+  wrapDataKey(dataKey, keyId = this.activeKeyId) {
+    return { kid: keyId, ...this.seal(this.masterKeys.get(keyId), dataKey, `kek:${keyId}`) };
+  }
+  
+  unwrapDataKey(wrapped, recordKeyId) {
+    const masterKey = this.masterKeys.get(wrapped.kid);
+    if (!masterKey) {
+      throw new EncryptionError(`Unknown master key ${wrapped.kid} for keypoint ${recordKeyId}`, recordKeyId);
+    }
+    
+    try {
+      return this.open(masterKey, wrapped, `kek:${wrapped.kid}`);
+    } catch {
+      throw new EncryptionError(`Data key for keypoint ${recordKeyId} failed authentication`, recordKeyId);
+    }
+  }
+  
+  encrypt(record) {
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    // The key id is authenticated, so an envelope cannot be moved to another record
+    const sealed = this.seal(dataKey, Buffer.from(JSON.stringify(record)), `keypoint:${record.keyId}`);
+    
+    return {
+      enc: ALGORITHM,
+      v: 1,
+      keyId: record.keyId,
+      key: this.wrapDataKey(dataKey),
+      ...sealed
+    };
+  }
+  
+  decrypt(envelope) {
+    if (!this.isEnvelope(envelope)) {
+      if (this.options.allowPlaintext) return envelope;
+      throw new EncryptionError(`Keypoint record ${envelope?.keyId ?? ''} is not encrypted`.trim(), envelope?.keyId);
+    }
+    
+    const dataKey = this.unwrapDataKey(envelope.key, envelope.keyId);
+    
+    let plaintext;
+    try {
+      plaintext = this.open(dataKey, envelope, `keypoint:${envelope.keyId}`);
+    } catch {
+      throw new EncryptionError(`Keypoint record ${envelope.keyId} failed authentication`, envelope.keyId);
+    }
+    
+    const record = JSON.parse(plaintext.toString('utf-8'));
+    if (record.keyId !== envelope.keyId) {
+      throw new EncryptionError(`Keypoint record ${envelope.keyId} failed authentication`, envelope.keyId);
+    }
+    return record;
+  }
+  
+  needsRewrap(envelope) {
+    return !this.isEnvelope(envelope) || envelope.key.kid !== this.activeKeyId;
+  }
+  
+  // Moves the data key under the active master key; the record ciphertext is untouched
+  rewrap(envelope) {
+    if (!this.isEnvelope(envelope)) {
+      return this.encrypt(this.decrypt(envelope));
+    }
+    if (!this.needsRewrap(envelope)) return envelope;
+    
+    const dataKey = this.unwrapDataKey(envelope.key, envelope.keyId);
+    return { ...envelope, key: this.wrapDataKey(dataKey) };
+  }
+}
\ No newline at end of file
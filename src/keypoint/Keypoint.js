@@ -1,36 +1,150 @@
+import { IpMatcher } from '../core/IpMatcher.js';
+import { ClientCertificate } from './ClientCertificate.js';
+import { AccessSchedule } from './AccessSchedule.js';
+import { defaultScopeManager } from './ScopeManager.js';
+
+export const KeypointStatus = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  REVOKED: 'revoked',
+  PENDING: 'pending'
+};
+
+const DATE_FIELDS = ['expiresAt', 'notBefore', 'activatesAt', 'createdAt', 'updatedAt', 'revokedAt', 'rotatedAt'];
+
 export class Keypoint {
   constructor(data) {
     this.keyId = data.keyId;
-    this.secret = data.secret;
+    this.tenantId = data.tenantId || null; // Owning tenant; null for single-tenant setups
+    this.secret = data.secret; // Legacy plaintext, upgraded to secretHash on first use
+    this.secretHash = data.secretHash || null;
+    this.signingKey = data.signingKey || null; // Derived HMAC key for signed requests
+    this.authModes = data.authModes || ['secret']; // 'secret', 'signature' and/or 'certificate'
+    this.secretGeneration = data.secretGeneration || 1;
+    this.previousSecrets = data.previousSecrets || []; // Rotated secrets still inside their grace period
     this.name = data.name || '';
     this.scopes = data.scopes || [];
     this.protocols = data.protocols || ['https'];
     this.allowedOrigins = data.allowedOrigins || [];
     this.allowedIps = data.allowedIps || [];
+    this.certificateBinding = data.certificateBinding || null; // { fingerprint256, subject, san }
     this.rateLimit = data.rateLimit || {
       requests: 100,
       window: 60 // seconds
     };
+    this.quota = data.quota || null; // { daily, monthly, costs } long-term request quotas
     this.expiresAt = data.expiresAt || null;
+    this.notBefore = data.notBefore || null; // Requests are refused before this date
+    this.schedule = data.schedule || null; // Recurring access windows, see AccessSchedule
+    this.sessionLimits = data.sessionLimits || null; // { maxDuration, maxIdle } in seconds, for WebSocket sessions
+    this.status = data.status || KeypointStatus.ACTIVE;
+    this.activatesAt = data.activatesAt || null; // Pending keypoints become active at this date
+    this.statusReason = data.statusReason || null;
+    this.statusHistory = data.statusHistory || [];
+    this.parentKeyId = data.parentKeyId || null;
+    this.delegationChain = data.delegationChain || []; // Ancestor key ids, root first
+    this.canDelegate = data.canDelegate || false; // May mint child keypoints
     this.createdAt = data.createdAt || new Date();
     this.metadata = data.metadata || {};
+    this.usage = data.usage || null; // Request counters maintained by UsageTracker
   }
   
-  hasScope(requiredScope) {
-    return this.scopes.includes('*') || this.scopes.includes(requiredScope);
+  // Rebuilds a Keypoint from a plain record, e.g. one read back from JSON
+  static fromJSON(data) {
+    if (data instanceof Keypoint) return data;
+    
+    const keypoint = new Keypoint(data);
+    
+    // Fields set after creation (updatedAt, revokedAt, ...) are kept too
+    for (const [key, value] of Object.entries(data)) {
+      if (!(key in keypoint)) keypoint[key] = value;
+    }
+    
+    for (const field of DATE_FIELDS) {
+      if (keypoint[field]) keypoint[field] = new Date(keypoint[field]);
+    }
+    
+    keypoint.statusHistory = keypoint.statusHistory.map(entry => ({ ...entry, at: new Date(entry.at) }));
+    keypoint.previousSecrets = keypoint.previousSecrets.map(entry => ({
+      ...entry,
+      expiresAt: new Date(entry.expiresAt)
+    }));
+    
+    return keypoint;
+  }
+  
+  // Follows the scope hierarchy and wildcards of the given ScopeManager
+  hasScope(requiredScope, scopeManager = defaultScopeManager) {
+    return scopeManager.keypointHasScope(this, requiredScope);
   }
   
   isExpired() {
     return this.expiresAt && new Date() > this.expiresAt;
   }
   
+  // notBefore and schedule together: { allowed, reason, nextAllowedAt }, where
+  // nextAllowedAt is null when the schedule never opens again
+  checkAccessTime(now = new Date()) {
+    const schedule = this.schedule ? new AccessSchedule(this.schedule) : null;
+    
+    if (this.notBefore && now < new Date(this.notBefore)) {
+      const notBefore = new Date(this.notBefore);
+      return {
+        allowed: false,
+        reason: 'not-before',
+        nextAllowedAt: schedule ? schedule.nextAllowedAt(notBefore) : notBefore
+      };
+    }
+    
+    if (schedule && !schedule.contains(now)) {
+      return { allowed: false, reason: 'schedule', nextAllowedAt: schedule.nextStart(now) };
+    }
+    
+    return { allowed: true, reason: null, nextAllowedAt: null };
+  }
+  
+  // Effective status: a pending keypoint turns active once activatesAt has passed
+  getStatus(now = new Date()) {
+    if (this.status === KeypointStatus.PENDING && this.activatesAt && now >= new Date(this.activatesAt)) {
+      return KeypointStatus.ACTIVE;
+    }
+    return this.status;
+  }
+  
+  isActive(now = new Date()) {
+    return this.getStatus(now) === KeypointStatus.ACTIVE;
+  }
+  
+  isDelegated() {
+    return this.parentKeyId !== null;
+  }
+  
   validateOrigin(origin) {
     if (this.allowedOrigins.length === 0) return true;
     return this.allowedOrigins.includes('*') || 
            this.allowedOrigins.includes(origin);
   }
   
+  // allowedIps entries may be addresses, CIDR blocks or ranges (IPv4 and IPv6)
+  validateIp(ip) {
+    if (this.allowedIps.length === 0) return true;
+    return IpMatcher.matchesAny(ip, this.allowedIps);
+  }
+  
   validateProtocol(protocol) {
     return this.protocols.includes(protocol);
   }
+  
+  validateCertificate(certificate) {
+    if (!this.certificateBinding) return true;
+    return ClientCertificate.matches(this.certificateBinding, certificate);
+  }
+  
+  acceptsAuthMode(mode) {
+    return this.authModes.includes(mode);
+  }
+  
+  getActivePreviousSecrets(now = new Date()) {
+    return this.previousSecrets.filter(entry => new Date(entry.expiresAt) > now);
+  }
 }
\ No newline at end of file
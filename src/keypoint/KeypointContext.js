@@ -1,34 +1,71 @@
 import { Context } from '../core/Context.js';
+import { resolveScopeTemplate } from './ScopeManager.js';
 
 export class KeypointContext extends Context {
   constructor(request) {
     super(request);
     this.keypoint = null;
+    this.tenantId = null; // From the request (see TenantResolver) or the keypoint
+    this.scopeManager = null; // The application's ScopeManager; the default one when not set
+    this.authentication = null;
     this.scopes = [];
     this.rateLimit = null;
     this.accessLog = [];
   }
   
   // Keypoint-specific methods
+  
+  // Scope templates take route params first, then fields of the parsed body;
+  // null when a value is missing
+  resolveScope(scope) {
+    const body = this.body && typeof this.body === 'object' ? this.body : {};
+    return resolveScopeTemplate(scope, name => this.params?.[name] ?? body[name]);
+  }
+  
   hasScope(scope) {
     if (!this.keypoint) return false;
-    return this.keypoint.hasScope(scope);
+    
+    const resolved = this.resolveScope(scope);
+    return resolved !== null && this.keypoint.hasScope(resolved, this.scopeManager || undefined);
   }
   
   hasAnyScope(scopes) {
     if (!this.keypoint) return false;
-    return scopes.some(scope => this.keypoint.hasScope(scope));
+    return scopes.some(scope => this.hasScope(scope));
   }
   
   hasAllScopes(scopes) {
     if (!this.keypoint) return false;
-    return scopes.every(scope => this.keypoint.hasScope(scope));
+    return scopes.every(scope => this.hasScope(scope));
   }
   
   getKeypointId() {
     return this.keypoint?.keyId;
   }
   
+  getTenantId() {
+    return this.tenantId;
+  }
+  
+  // Key ids from the root keypoint down to this one
+  getDelegationChain() {
+    if (!this.keypoint) return [];
+    return [...(this.keypoint.delegationChain || []), this.keypoint.keyId];
+  }
+  
+  getParentKeypointId() {
+    return this.keypoint?.parentKeyId || null;
+  }
+  
+  getAuthMode() {
+    return this.authentication?.mode || null;
+  }
+  
+  // Which secret generation authenticated the request (null when no secret was checked)
+  getSecretGeneration() {
+    return this.authentication?.secretGeneration ?? null;
+  }
+  
   getKeypointMetadata() {
     return this.keypoint?.metadata || {};
   }
@@ -67,6 +104,11 @@ export class KeypointContext extends Context {
     return this.keypoint.validateOrigin(origin);
   }
   
+  validateIp() {
+    if (!this.keypoint) return false;
+    return this.keypoint.validateIp(this.ip);
+  }
+  
   validateProtocol() {
     if (!this.keypoint) return false;
     return this.keypoint.validateProtocol(this.protocol);
@@ -0,0 +1,46 @@
+// Errors thrown while authenticating a keypoint. Kept apart from keypointJS.js
+// so the validator can throw them without importing the main module.
+
+export const KeypointErrorCodes = {
+  MISSING: 'KEYPOINT_MISSING',
+  INVALID: 'KEYPOINT_INVALID',
+  EXPIRED: 'KEYPOINT_EXPIRED',
+  REVOKED: 'KEYPOINT_REVOKED',
+  SUSPENDED: 'KEYPOINT_SUSPENDED',
+  NOT_YET_ACTIVE: 'KEYPOINT_NOT_YET_ACTIVE',
+  NOT_BEFORE: 'KEYPOINT_NOT_BEFORE',
+  OUTSIDE_SCHEDULE: 'KEYPOINT_OUTSIDE_SCHEDULE',
+  IP_NOT_ALLOWED: 'KEYPOINT_IP_NOT_ALLOWED',
+  PARENT_INVALID: 'KEYPOINT_PARENT_INVALID',
+  CERTIFICATE_REQUIRED: 'KEYPOINT_CERTIFICATE_REQUIRED',
+  CERTIFICATE_UNTRUSTED: 'KEYPOINT_CERTIFICATE_UNTRUSTED',
+  CERTIFICATE_MISMATCH: 'KEYPOINT_CERTIFICATE_MISMATCH',
+  CERTIFICATE_AMBIGUOUS: 'KEYPOINT_CERTIFICATE_AMBIGUOUS',
+  TOKEN_CHECKSUM_INVALID: 'KEYPOINT_TOKEN_CHECKSUM_INVALID',
+  TOKEN_INVALID: 'KEYPOINT_TOKEN_INVALID',
+  TOKEN_EXPIRED: 'KEYPOINT_TOKEN_EXPIRED',
+  TOKEN_REVOKED: 'KEYPOINT_TOKEN_REVOKED',
+  QUERY_CREDENTIALS_FORBIDDEN: 'KEYPOINT_QUERY_CREDENTIALS_FORBIDDEN',
+  INVALID_SECRET: 'KEYPOINT_INVALID_SECRET',
+  AUTH_MODE_NOT_ALLOWED: 'KEYPOINT_AUTH_MODE_NOT_ALLOWED',
+  SIGNATURE_REQUIRED: 'KEYPOINT_SIGNATURE_REQUIRED',
+  SIGNATURE_MALFORMED: 'KEYPOINT_SIGNATURE_MALFORMED',
+  SIGNATURE_EXPIRED: 'KEYPOINT_SIGNATURE_EXPIRED',
+  SIGNATURE_INVALID: 'KEYPOINT_SIGNATURE_INVALID',
+  SIGNATURE_REPLAYED: 'KEYPOINT_SIGNATURE_REPLAYED',
+  NONCE_CACHE_FULL: 'KEYPOINT_NONCE_CACHE_FULL',
+  QUOTA_EXCEEDED: 'KEYPOINT_QUOTA_EXCEEDED',
+  TENANT_REQUIRED: 'KEYPOINT_TENANT_REQUIRED',
+  TENANT_INVALID: 'KEYPOINT_TENANT_INVALID',
+  INSUFFICIENT_SCOPE: 'KEYPOINT_INSUFFICIENT_SCOPE'
+};
+
+export class KeypointError extends Error {
+  constructor(message, code = 401, details = {}) {
+    super(message);
+    this.name = 'KeypointError';
+    this.code = code;
+    this.details = details;
+    this.timestamp = new Date();
+  }
+}
\ No newline at end of file
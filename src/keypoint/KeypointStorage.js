@@ -1,12 +1,28 @@
+import fs from 'fs/promises';
+import { watchFile, unwatchFile } from 'fs';
+import { SecretHasher } from './SecretHasher.js';
+import { RequestSigner } from './RequestSigner.js';
+import { Keypoint } from './Keypoint.js';
+import { isDenyScope, scopesOverlap } from './ScopeManager.js';
+
+const EXPORT_FORMATS = ['json', 'ndjson'];
+const SECRET_FIELDS = ['secret', 'secretHash', 'signingKey'];
+const MASKED_FIELDS = [...SECRET_FIELDS, 'previousSecrets'];
+const RUNTIME_FIELDS = ['updatedAt', 'usage']; // Maintained by the deployment, not part of a keypoint's configuration
+const IMPORT_COUNTERS = { create: 'created', update: 'updated', unchanged: 'unchanged', skip: 'skipped', error: 'failed' };
+
+let getBySecretWarned = false;
+
 export class KeypointStorage {
   constructor(driver = 'memory') {
     this.driver = driver;
     this.store = new Map();
     this.indexes = {
-      bySecret: new Map(),
       byName: new Map(),
       byScope: new Map()
     };
+    this.encryption = null; // EnvelopeEncryption for drivers that persist records
+    this.recordLocks = new Map(); // keyId -> tail of the changes queued for that record
   }
   
   async set(keypoint) {
@@ -17,10 +33,6 @@ export class KeypointStorage {
     this.store.set(keypoint.keyId, keypoint);
     
     // Update indexes
-    if (keypoint.secret) {
-      this.indexes.bySecret.set(keypoint.secret, keypoint.keyId);
-    }
-    
     if (keypoint.name) {
       if (!this.indexes.byName.has(keypoint.name)) {
         this.indexes.byName.set(keypoint.name, new Set());
@@ -43,9 +55,36 @@ export class KeypointStorage {
     return this.store.get(keyId) || null;
   }
   
-  async getBySecret(secret) {
-    const keyId = this.indexes.bySecret.get(secret);
-    return keyId ? await this.get(keyId) : null;
+  // Deprecated: secrets are salted, so there is no index to consult and every
+  // record is hashed and checked. Look keypoints up by keyId instead.
+  async getBySecret(secret, hasher = new SecretHasher()) {
+    if (!getBySecretWarned) {
+      getBySecretWarned = true;
+      process.emitWarning('getBySecret() checks every stored keypoint; look keypoints up by keyId instead', {
+        type: 'DeprecationWarning',
+        code: 'KEYPOINT_GET_BY_SECRET'
+      });
+    }
+    
+    for (const keypoint of await this.list()) {
+      const matches = keypoint.secretHash
+        ? await hasher.verify(secret, keypoint.secretHash)
+        : SecretHasher.safeEqual(keypoint.secret, secret);
+      
+      if (matches) return keypoint;
+    }
+    return null;
+  }
+  
+  // Keypoints whose client certificate binding matches a presented certificate
+  async getByCertificate(certificate) {
+    const results = [];
+    for (const keypoint of await this.list()) {
+      if (keypoint.certificateBinding && keypoint.validateCertificate(certificate)) {
+        results.push(keypoint);
+      }
+    }
+    return results;
   }
   
   async getByName(name) {
@@ -73,41 +112,128 @@ export class KeypointStorage {
   }
   
   async update(keyId, updates) {
+    return this.withRecordLock(keyId, async () => {
+      const existing = await this.get(keyId);
+      if (!existing) return false;
+      
+      // Remove old indexes
+      await this.removeIndexes(existing);
+      
+      // Apply updates (keeping the Keypoint prototype)
+      const updated = Object.assign(
+        Object.create(Object.getPrototypeOf(existing)),
+        existing,
+        updates,
+        { updatedAt: new Date() }
+      );
+      
+      // Save updated keypoint
+      await this.set(updated);
+      return true;
+    });
+  }
+  
+  // Read-modify-write changes to one record (update, updateUsage, delete) run
+  // one after another, so a change read before another was written cannot
+  // undo it. Drivers with their own atomic writes (SQLite, Redis) override
+  // those methods and do not go through here.
+  async withRecordLock(keyId, fn) {
+    const run = (this.recordLocks.get(keyId) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    this.recordLocks.set(keyId, tail);
+    
+    try {
+      return await run;
+    } finally {
+      if (this.recordLocks.get(keyId) === tail) this.recordLocks.delete(keyId);
+    }
+  }
+  
+  // Replaces the current secret, keeping the old one valid until graceUntil
+  async rotateSecret(keyId, credentials, graceUntil = null) {
+    const existing = await this.get(keyId);
+    if (!existing) return null;
+    
+    await this.update(keyId, KeypointStorage.rotationUpdates(existing, credentials, graceUntil));
+    return await this.get(keyId);
+  }
+  
+  // Drops rotated secrets whose grace period is over and returns them
+  async pruneExpiredSecrets(keyId, now = new Date()) {
     const existing = await this.get(keyId);
-    if (!existing) return false;
+    if (!existing || !existing.previousSecrets?.length) return [];
     
-    // Remove old indexes
-    await this.removeIndexes(existing);
+    const expired = existing.previousSecrets.filter(entry => new Date(entry.expiresAt) <= now);
+    if (expired.length === 0) return [];
     
-    // Apply updates
-    const updated = {
-      ...existing,
-      ...updates,
-      updatedAt: new Date()
-    };
+    await this.update(keyId, {
+      previousSecrets: existing.previousSecrets.filter(entry => new Date(entry.expiresAt) > now)
+    });
     
-    // Save updated keypoint
-    await this.set(updated);
-    return true;
+    return expired;
   }
   
-  async delete(keyId) {
-    const keypoint = await this.get(keyId);
-    if (!keypoint) return false;
+  // Folds usage counters into the record. apply(usage) returns the new totals;
+  // this is bookkeeping rather than an edit, so updatedAt is left alone.
+  async updateUsage(keyId, apply) {
+    return this.withRecordLock(keyId, async () => {
+      const existing = await this.get(keyId);
+      if (!existing) return false;
+      
+      await this.removeIndexes(existing);
+      await this.set(Keypoint.fromJSON({ ...existing, usage: apply(existing.usage || null) }));
+      return true;
+    });
+  }
+  
+  // Shared by every driver so rotation behaves the same regardless of backend
+  static rotationUpdates(existing, credentials, graceUntil, now = new Date()) {
+    const previousSecrets = (existing.previousSecrets || [])
+      .filter(entry => new Date(entry.expiresAt) > now);
     
-    // Remove indexes
-    await this.removeIndexes(keypoint);
+    if (graceUntil && graceUntil > now && existing.secretHash) {
+      previousSecrets.unshift({
+        generation: existing.secretGeneration || 1,
+        secretHash: existing.secretHash,
+        signingKey: existing.signingKey || null,
+        expiresAt: graceUntil
+      });
+    }
     
-    // Remove from store
-    return this.store.delete(keyId);
+    return {
+      secret: undefined,
+      secretHash: credentials.secretHash,
+      signingKey: credentials.signingKey || null,
+      secretGeneration: (existing.secretGeneration || 1) + 1,
+      previousSecrets,
+      rotatedAt: now
+    };
+  }
+  
+  // Persistent drivers pass records through these, so encryption at rest
+  // applies the same way whatever the backend
+  encodeRecord(keypoint) {
+    return this.encryption ? this.encryption.encrypt(keypoint) : keypoint;
+  }
+  
+  decodeRecord(record) {
+    return Keypoint.fromJSON(this.encryption ? this.encryption.decrypt(record) : record);
+  }
+  
+  async delete(keyId) {
+    return this.withRecordLock(keyId, async () => {
+      const keypoint = await this.get(keyId);
+      if (!keypoint) return false;
+      
+      // Remove indexes
+      await this.removeIndexes(keypoint);
+      
+      // Remove from store
+      return this.store.delete(keyId);
+    });
   }
   
   async removeIndexes(keypoint) {
-    // Remove from secret index
-    if (keypoint.secret) {
-      this.indexes.bySecret.delete(keypoint.secret);
-    }
-    
     // Remove from name index
     if (keypoint.name) {
       const nameSet = this.indexes.byName.get(keypoint.name);
@@ -135,29 +261,7 @@ export class KeypointStorage {
     const results = [];
     
     for (const keypoint of this.store.values()) {
-      let match = true;
-      
-      // Apply filters
-      if (filter.scope && !keypoint.hasScope(filter.scope)) {
-        match = false;
-      }
-      
-      if (filter.protocol && !keypoint.protocols.includes(filter.protocol)) {
-        match = false;
-      }
-      
-      if (filter.expired !== undefined) {
-        const isExpired = keypoint.isExpired();
-        if (filter.expired !== isExpired) {
-          match = false;
-        }
-      }
-      
-      if (filter.name && keypoint.name !== filter.name) {
-        match = false;
-      }
-      
-      if (match) {
+      if (this.matchesFilter(keypoint, filter)) {
         results.push(keypoint);
       }
     }
@@ -165,6 +269,58 @@ export class KeypointStorage {
     return results;
   }
   
+  // The list() filter semantics, shared by drivers that filter in memory
+  matchesFilter(keypoint, filter = {}) {
+    // Literal like the SQL and Redis indexes: no hierarchy, only the '*' scope,
+    // but a deny touching the scope still keeps the keypoint out
+    if (filter.scope && !keypoint.scopes.includes('*') && !keypoint.scopes.includes(filter.scope)) {
+      return false;
+    }
+    if (filter.scope && keypoint.scopes.some(scope => isDenyScope(scope) && scopesOverlap(scope.slice(1), filter.scope))) {
+      return false;
+    }
+    
+    if (filter.protocol && !keypoint.protocols.includes(filter.protocol)) {
+      return false;
+    }
+    
+    if (filter.expired !== undefined && filter.expired !== keypoint.isExpired()) {
+      return false;
+    }
+    
+    if (filter.name && keypoint.name !== filter.name) {
+      return false;
+    }
+    
+    if (filter.parentKeyId !== undefined && keypoint.parentKeyId !== filter.parentKeyId) {
+      return false;
+    }
+    
+    // null selects keypoints that belong to no tenant
+    if (filter.tenantId !== undefined && keypoint.tenantId !== filter.tenantId) {
+      return false;
+    }
+    
+    if (filter.status) {
+      const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+      if (!statuses.includes(keypoint.getStatus())) {
+        return false;
+      }
+    }
+    
+    // Usage filters: used (any request recorded) and unusedSince (no request since that date)
+    if (filter.used !== undefined && filter.used !== Boolean(keypoint.usage?.requests)) {
+      return false;
+    }
+    
+    const lastSeenAt = keypoint.usage?.lastSeenAt;
+    if (filter.unusedSince && lastSeenAt && new Date(lastSeenAt) >= new Date(filter.unusedSince)) {
+      return false;
+    }
+    
+    return true;
+  }
+  
   async count() {
     return this.store.size;
   }
@@ -184,6 +340,190 @@ export class KeypointStorage {
     
     return expired.length;
   }
+  
+  // Serializes the keypoints matching a list() filter as 'json' (an array) or
+  // 'ndjson' (one record per line). See exportRecord for the secrets and
+  // signingKeys options.
+  async exportKeypoints({ filter = {}, format = 'json', secrets = 'hash', signingKeys = false, hasher = new SecretHasher() } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    
+    const records = [];
+    for (const keypoint of await this.list(filter)) {
+      records.push(await KeypointStorage.exportRecord(keypoint, secrets, hasher, signingKeys));
+    }
+    
+    if (format === 'ndjson') {
+      return records.map(record => `${JSON.stringify(record)}\n`).join('');
+    }
+    return JSON.stringify(records, null, 2);
+  }
+  
+  // secrets: 'include' keeps the stored hashes and signing keys, 'hash' also
+  // hashes legacy plaintext secrets and drops signing keys, 'redact' removes
+  // every piece of secret material. A hash can only check a secret, not sign
+  // with it, so signed requests need signingKeys: true to keep working with
+  // 'hash'; the signing keys are then exported as they are stored.
+  static async exportRecord(keypoint, secrets = 'hash', hasher = new SecretHasher(), signingKeys = false) {
+    const record = JSON.parse(JSON.stringify(keypoint));
+    
+    switch (secrets) {
+      case 'include':
+        return record;
+      
+      case 'hash':
+        if (record.secret) {
+          record.secretHash = await hasher.hash(record.secret);
+          // Legacy plaintext records derive their signing key from the secret
+          if (signingKeys && !record.signingKey && record.authModes?.includes('signature')) {
+            record.signingKey = RequestSigner.deriveSigningKey(record.secret);
+          }
+        }
+        delete record.secret;
+        if (!signingKeys) {
+          delete record.signingKey;
+          record.previousSecrets = (record.previousSecrets || []).map(({ signingKey, ...entry }) => entry);
+        }
+        return record;
+      
+      case 'redact':
+        for (const field of SECRET_FIELDS) {
+          delete record[field];
+        }
+        record.previousSecrets = [];
+        return record;
+      
+      default:
+        throw new Error(`Unsupported secrets option: ${secrets}`);
+    }
+  }
+  
+  // Accepts an export in either format (or an already parsed array)
+  static parseExport(data, format = 'auto') {
+    if (Array.isArray(data)) return data;
+    
+    const text = Buffer.isBuffer(data) ? data.toString('utf-8') : String(data);
+    const detected = format === 'auto'
+      ? (text.trimStart().startsWith('[') ? 'json' : 'ndjson')
+      : format;
+    
+    if (detected === 'json') {
+      const records = JSON.parse(text);
+      if (!Array.isArray(records)) {
+        throw new Error('JSON keypoint export must be an array');
+      }
+      return records;
+    }
+    
+    if (detected !== 'ndjson') {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    
+    return text.split('\n').flatMap((line, index) => {
+      if (!line.trim()) return [];
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        throw new Error(`Invalid NDJSON on line ${index + 1}: ${error.message}`);
+      }
+    });
+  }
+  
+  // Fields whose values differ, with secret material masked
+  static diffRecords(before, after) {
+    const a = JSON.parse(JSON.stringify(before));
+    const b = JSON.parse(JSON.stringify(after));
+    const changes = [];
+    
+    for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (RUNTIME_FIELDS.includes(field)) continue;
+      if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+      
+      const mask = value => MASKED_FIELDS.includes(field) && value !== undefined ? '[redacted]' : value;
+      changes.push({ field, from: mask(a[field]), to: mask(b[field]) });
+    }
+    
+    return changes;
+  }
+  
+  // onConflict: 'update' overwrites existing keypoints, 'skip' leaves them,
+  // 'error' reports them as failures. dryRun only reports what would change.
+  // validate(record) may throw to reject a record; its message is reported.
+  async importKeypoints(data, { format = 'auto', onConflict = 'update', dryRun = false, validate = null } = {}) {
+    const report = { dryRun, total: 0, created: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0, items: [] };
+    
+    for (const record of KeypointStorage.parseExport(data, format)) {
+      report.total++;
+      const item = await this.importRecord(record, onConflict, dryRun, validate);
+      report[IMPORT_COUNTERS[item.action]]++;
+      report.items.push(item);
+    }
+    
+    return report;
+  }
+  
+  async importRecord(record, onConflict, dryRun, validate = null) {
+    const keyId = record?.keyId;
+    if (!keyId || typeof keyId !== 'string') {
+      return { keyId: keyId ?? null, action: 'error', error: 'Record has no keyId' };
+    }
+    
+    try {
+      validate?.(record);
+    } catch (error) {
+      return { keyId, action: 'error', error: error.message, ...(error.errors?.length && { errors: error.errors }) };
+    }
+    
+    const incoming = Keypoint.fromJSON(record);
+    const existing = await this.get(keyId);
+    
+    if (!existing) {
+      if (!dryRun) await this.set(incoming);
+      return { keyId, action: 'create', ...KeypointStorage.signingKeyWarning(incoming) };
+    }
+    
+    if (onConflict === 'error') {
+      return { keyId, action: 'error', error: 'Keypoint already exists' };
+    }
+    
+    // A redacted export carries no secret material, and a hashed one no
+    // signing keys; importing it over a keypoint keeps the ones it has
+    if (!incoming.secret && !incoming.secretHash) {
+      Object.assign(incoming, {
+        secret: existing.secret,
+        secretHash: existing.secretHash,
+        signingKey: existing.signingKey,
+        secretGeneration: existing.secretGeneration,
+        previousSecrets: existing.previousSecrets
+      });
+    } else if (!incoming.signingKey && incoming.secretHash === existing.secretHash) {
+      incoming.signingKey = existing.signingKey;
+    }
+    
+    const changes = KeypointStorage.diffRecords(existing, incoming);
+    if (changes.length === 0) {
+      return { keyId, action: 'unchanged' };
+    }
+    
+    if (onConflict === 'skip') {
+      return { keyId, action: 'skip', changes };
+    }
+    
+    if (!dryRun) {
+      incoming.usage = existing.usage;
+      await this.removeIndexes(existing);
+      await this.set(incoming);
+    }
+    return { keyId, action: 'update', changes, ...KeypointStorage.signingKeyWarning(incoming) };
+  }
+  
+  // e.g. a 'hash' export made without signingKeys: the keypoint is imported,
+  // but its signed requests fail until the secret is rotated
+  static signingKeyWarning(keypoint) {
+    const unsigned = keypoint.authModes?.includes('signature') && !keypoint.signingKey && !keypoint.secret;
+    return unsigned ? { warning: 'No signing key; signed requests fail until the secret is rotated' } : {};
+  }
 }
 
 // Memory storage implementation (default)
@@ -194,43 +534,398 @@ export class MemoryKeypointStorage extends KeypointStorage {
 }
 
 // File storage implementation
+//
+// Layout: `<file>` holds a JSON array snapshot, `<file>.journal` holds one JSON
+// mutation per line written since the last snapshot. Mutations are batched into
+// a single journal append; once the journal grows past compactThreshold the
+// snapshot is rewritten (temp file + rename) and the journal truncated.
 export class FileKeypointStorage extends KeypointStorage {
-  constructor(filePath) {
+  constructor(filePath, options = {}) {
     super('file');
     this.filePath = filePath;
-    this.loadFromFile();
+    this.journalPath = `${filePath}.journal`;
+    this.options = {
+      flushDelay: 50, // ms to coalesce mutations into one journal write
+      compactThreshold: 500, // journal entries before the snapshot is rewritten
+      watch: true, // reload when the snapshot or journal is changed by another process
+      watchInterval: 2000,
+      onExternalChange: null,
+      encryption: null, // EnvelopeEncryption; records are stored encrypted when set
+      ...options
+    };
+    
+    this.encryption = this.options.encryption;
+    this.pending = [];
+    this.journalSize = 0;
+    this.flushTimer = null;
+    this.writeQueue = Promise.resolve();
+    this.knownStat = null;
+    this.journalBytes = 0; // journal length this instance has read or written
+    
+    this.readyPromise = null;
+    this.setLoading(this.loadFromFile());
+    this.counters = new FileCounterState(`${filePath}.counters`, { flushDelay: this.options.flushDelay });
+    
+    if (this.options.watch) {
+      this.onFileChange = () => {
+        this.checkForExternalChanges().catch(error => console.error('FileKeypointStorage reload failed:', error));
+      };
+      for (const watched of [this.filePath, this.journalPath]) {
+        watchFile(watched, { interval: this.options.watchInterval, persistent: false }, this.onFileChange);
+      }
+    }
+  }
+  
+  // Resolves once the snapshot and journal have been loaded
+  ready() {
+    return this.readyPromise;
   }
   
-  async loadFromFile() {
+  // Operations wait for the load. A failed first load (corrupt snapshot, failed
+  // decrypt) rejects them; a failed reload keeps serving the previous data.
+  setLoading(load) {
+    const previous = this.readyPromise;
+    this.readyPromise = previous ? load.catch(() => previous) : load;
+    this.readyPromise.catch(() => {});
+    return load;
+  }
+  
+  // Reads into a fresh store and swaps it in only once everything has loaded;
+  // replay holds local entries to re-apply on top
+  async loadFromFile(replay = []) {
+    const loaded = new KeypointStorage(this.driver);
+    
     try {
-      const fs = await import('fs/promises');
       const data = await fs.readFile(this.filePath, 'utf-8');
-      const parsed = JSON.parse(data);
-      
-      for (const item of parsed) {
-        await this.set(item);
+      for (const item of JSON.parse(data)) {
+        await this.applyEntry(loaded, { op: 'set', keypoint: item });
       }
     } catch (error) {
-      // File doesn't exist or is empty
-      await this.saveToFile();
+      // A missing snapshot just means an empty store
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    let journalSize = 0;
+    let journalBytes = 0;
+    try {
+      const journal = await fs.readFile(this.journalPath, 'utf-8');
+      journalBytes = Buffer.byteLength(journal);
+      for (const line of journal.split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // A torn final line from a crash mid-append is skipped
+          continue;
+        }
+        // Records that fail decryption are not skipped: tampering has to surface
+        await this.applyEntry(loaded, entry);
+        journalSize++;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    for (const entry of replay) {
+      await this.applyEntry(loaded, entry);
     }
+    
+    this.store = loaded.store;
+    this.indexes = loaded.indexes;
+    this.journalSize = journalSize;
+    this.journalBytes = journalBytes;
+    this.knownStat = await this.statSnapshot();
   }
   
-  async saveToFile() {
-    const fs = await import('fs/promises');
-    const data = Array.from(this.store.values());
-    await fs.writeFile(this.filePath, JSON.stringify(data, null, 2));
+  async applyEntry(target, entry) {
+    if (entry.op === 'delete') {
+      const existing = target.store.get(entry.keyId);
+      if (existing) {
+        await target.removeIndexes(existing);
+        target.store.delete(entry.keyId);
+      }
+      return;
+    }
+    
+    const keypoint = this.decodeRecord(entry.keypoint);
+    const existing = target.store.get(keypoint.keyId);
+    if (existing) await target.removeIndexes(existing);
+    await target.set(keypoint);
   }
   
   async set(keypoint) {
-    await super.set(keypoint);
-    await this.saveToFile();
+    await this.readyPromise;
+    const record = Keypoint.fromJSON(keypoint);
+    
+    await super.set(record);
+    this.enqueue({ op: 'set', keypoint: this.encodeRecord(record) });
     return true;
   }
   
   async delete(keyId) {
+    await this.readyPromise;
     const result = await super.delete(keyId);
-    if (result) await this.saveToFile();
+    if (result) this.enqueue({ op: 'delete', keyId });
     return result;
   }
+  
+  async get(keyId) {
+    await this.readyPromise;
+    return super.get(keyId);
+  }
+  
+  async getByName(name) {
+    await this.readyPromise;
+    return super.getByName(name);
+  }
+  
+  async getByScope(scope) {
+    await this.readyPromise;
+    return super.getByScope(scope);
+  }
+  
+  async list(filter) {
+    await this.readyPromise;
+    return super.list(filter);
+  }
+  
+  async count() {
+    await this.readyPromise;
+    return super.count();
+  }
+  
+  enqueue(entry) {
+    this.pending.push(JSON.stringify(entry));
+    
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flush().catch(error => console.error('FileKeypointStorage flush failed:', error));
+      }, this.options.flushDelay);
+    }
+  }
+  
+  // Writes pending mutations to the journal now
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    
+    return this.serialize(async () => {
+      if (this.pending.length === 0) return;
+      
+      const lines = this.pending;
+      this.pending = [];
+      
+      const data = lines.join('\n') + '\n';
+      await fs.appendFile(this.journalPath, data);
+      this.journalSize += lines.length;
+      this.journalBytes += Buffer.byteLength(data);
+      
+      if (this.journalSize >= this.options.compactThreshold) {
+        await this.writeSnapshot();
+      }
+    });
+  }
+  
+  // Folds the journal into a fresh snapshot
+  async compact() {
+    // Never overwrite a snapshot that failed to load with an empty store
+    await this.readyPromise;
+    await this.flush();
+    return this.serialize(() => this.writeSnapshot());
+  }
+  
+  async writeSnapshot() {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const records = Array.from(this.store.values(), keypoint => this.encodeRecord(keypoint));
+    const data = JSON.stringify(records, null, 2);
+    
+    const handle = await fs.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    
+    // rename is atomic: readers see the old or the new snapshot, never a partial one
+    await fs.rename(tmpPath, this.filePath);
+    await fs.rm(this.journalPath, { force: true });
+    this.journalSize = 0;
+    this.journalBytes = 0;
+    this.knownStat = await this.statSnapshot();
+  }
+  
+  // Switches to a new master key and rewrites the snapshot so every record is
+  // wrapped by it; the previous key can be dropped once this resolves
+  async rotateMasterKey(masterKey) {
+    if (!this.encryption) {
+      throw new Error('FileKeypointStorage is not encrypted');
+    }
+    
+    await this.readyPromise;
+    const rotation = this.encryption.rotateMasterKey(masterKey);
+    await this.compact();
+    return { ...rotation, count: this.store.size };
+  }
+  
+  // Saves are coalesced now; kept for callers that want the old "write everything" call
+  async saveToFile() {
+    return this.compact();
+  }
+  
+  serialize(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+  
+  async statSnapshot() {
+    try {
+      const { mtimeMs, size } = await fs.stat(this.filePath);
+      return { mtimeMs, size };
+    } catch {
+      return null;
+    }
+  }
+  
+  async journalLength() {
+    try {
+      return (await fs.stat(this.journalPath)).size;
+    } catch {
+      return 0;
+    }
+  }
+  
+  // Reloads when the snapshot no longer matches what this instance last wrote
+  // or read, or the journal holds entries another process appended
+  async checkForExternalChanges() {
+    // A failed first load is retried here, so a repaired file is picked up
+    await this.readyPromise.catch(() => {});
+    
+    return this.serialize(async () => {
+      const stat = await this.statSnapshot();
+      const known = this.knownStat;
+      const unchanged = stat?.mtimeMs === known?.mtimeMs && stat?.size === known?.size &&
+        await this.journalLength() === this.journalBytes;
+      if (unchanged) return false;
+      
+      // Local mutations that have not been flushed yet are re-applied on top
+      const pending = this.pending.map(line => JSON.parse(line));
+      await this.setLoading(this.loadFromFile(pending));
+      
+      this.options.onExternalChange?.({ filePath: this.filePath, count: this.store.size });
+      return true;
+    });
+  }
+  
+  async reload() {
+    await this.flush();
+    return this.setLoading(this.serialize(() => this.loadFromFile()));
+  }
+  
+  async close() {
+    if (this.onFileChange) {
+      unwatchFile(this.filePath, this.onFileChange);
+      unwatchFile(this.journalPath, this.onFileChange);
+    }
+    await this.counters.flush();
+    await this.compact();
+  }
+}
+
+// Quota counters for FileKeypointStorage, in a file next to the snapshot.
+// Writes are coalesced like the journal's, so a crash loses at most the last
+// flushDelay ms of charges; the counters are not shared between processes.
+export class FileCounterState {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.options = {
+      flushDelay: 50,
+      ...options
+    };
+    
+    this.values = new Map(); // key -> { value, expiresAt }
+    this.flushTimer = null;
+    this.writeQueue = Promise.resolve();
+    // A counters file that cannot be read fails every charge instead of starting over
+    this.readyPromise = this.load();
+    this.readyPromise.catch(() => {});
+  }
+  
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      for (const [key, entry] of Object.entries(data)) {
+        this.values.set(key, entry);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  
+  read(key, now = Date.now()) {
+    const entry = this.values.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= now) {
+      this.values.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+  
+  // Adds amount and returns the new value; the TTL is set when the counter is created
+  async increment(key, amount = 1, ttl = null) {
+    await this.readyPromise;
+    let entry = this.read(key);
+    if (entry) {
+      entry.value += amount;
+    } else {
+      entry = { value: amount, expiresAt: ttl ? Date.now() + ttl : null };
+      this.values.set(key, entry);
+    }
+    
+    this.scheduleFlush();
+    return entry.value;
+  }
+  
+  async get(key) {
+    await this.readyPromise;
+    return this.read(key)?.value ?? null;
+  }
+  
+  async delete(key) {
+    await this.readyPromise;
+    const removed = this.values.delete(key);
+    if (removed) this.scheduleFlush();
+    return removed;
+  }
+  
+  scheduleFlush() {
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flush().catch(error => console.error('FileKeypointStorage counter flush failed:', error));
+      }, this.options.flushDelay);
+    }
+  }
+  
+  // Writes the live counters now, replacing the file atomically
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    
+    const run = this.writeQueue.then(async () => {
+      await this.readyPromise;
+      const now = Date.now();
+      const live = {};
+      for (const [key, entry] of this.values) {
+        if (entry.expiresAt === null || entry.expiresAt > now) live[key] = entry;
+      }
+      
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(live));
+      await fs.rename(tmpPath, this.filePath);
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
 }
\ No newline at end of file
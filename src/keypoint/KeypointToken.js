@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const CHECKSUM_LENGTH = 6; // 62^6 > 2^32
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(value) {
+  let crc = 0xffffffff;
+  for (const byte of Buffer.from(value, 'utf8')) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function encodeBase62(number, length) {
+  let result = '';
+  let rest = number;
+  while (rest > 0) {
+    result = BASE62[rest % 62] + result;
+    rest = Math.floor(rest / 62);
+  }
+  return result.padStart(length, '0');
+}
+
+// Tokens look like `kp_live_<id>_<secret>_<crc>`. Every part is base62, so
+// underscores only ever separate fields and the whole token is double-click selectable.
+export class KeypointToken {
+  constructor(options = {}) {
+    this.options = {
+      prefix: 'kp',
+      environment: 'live',
+      idLength: 16,
+      secretLength: 32,
+      ...options
+    };
+    
+    if (!/^[a-z][a-z0-9]*$/.test(this.options.prefix)) {
+      throw new Error('Token prefix must be lowercase alphanumeric');
+    }
+    
+    const source = `${this.options.prefix}_([a-z0-9]+)_([A-Za-z0-9]+)_([A-Za-z0-9]+)_([A-Za-z0-9]{${CHECKSUM_LENGTH}})`;
+    this.exactPattern = new RegExp(`^${source}$`);
+    this.scanPattern = new RegExp(`\\b${source}\\b`, 'g');
+  }
+  
+  static checksum(body) {
+    return encodeBase62(crc32(body), CHECKSUM_LENGTH);
+  }
+  
+  static randomBase62(length) {
+    let result = '';
+    while (result.length < length) {
+      for (const byte of crypto.randomBytes(length * 2)) {
+        // 248 = 62 * 4, rejecting the rest keeps the distribution uniform
+        if (byte < 248 && result.length < length) {
+          result += BASE62[byte % 62];
+        }
+      }
+    }
+    return result;
+  }
+  
+  generate({ environment = this.options.environment, keyId, secret } = {}) {
+    if (!/^[a-z0-9]+$/.test(environment)) {
+      throw new Error('Token environment must be lowercase alphanumeric');
+    }
+    
+    const id = keyId || KeypointToken.randomBase62(this.options.idLength);
+    const tokenSecret = secret || KeypointToken.randomBase62(this.options.secretLength);
+    
+    if (!/^[A-Za-z0-9]+$/.test(id) || !/^[A-Za-z0-9]+$/.test(tokenSecret)) {
+      throw new Error('Token key ids and secrets must be base62');
+    }
+    
+    const body = `${this.options.prefix}_${environment}_${id}_${tokenSecret}`;
+    
+    return {
+      token: `${body}_${KeypointToken.checksum(body)}`,
+      environment,
+      keyId: id,
+      secret: tokenSecret
+    };
+  }
+  
+  // Recognizes the format only; `valid` says whether the checksum matches
+  parse(token) {
+    if (typeof token !== 'string') return null;
+    
+    const match = this.exactPattern.exec(token.trim());
+    if (!match) return null;
+    
+    const [full, environment, keyId, secret, checksum] = match;
+    const body = full.slice(0, -(CHECKSUM_LENGTH + 1));
+    
+    return {
+      environment,
+      keyId,
+      secret,
+      checksum,
+      valid: KeypointToken.checksum(body) === checksum
+    };
+  }
+  
+  isToken(value) {
+    return this.parse(value) !== null;
+  }
+  
+  verifyChecksum(token) {
+    return this.parse(token)?.valid === true;
+  }
+  
+  // Offline scan for leaked tokens, e.g. in logs or commits. Only checksum-valid matches count.
+  find(text) {
+    const found = [];
+    for (const match of String(text).matchAll(this.scanPattern)) {
+      const parsed = this.parse(match[0]);
+      if (parsed?.valid) {
+        found.push({ token: match[0], index: match.index, environment: parsed.environment, keyId: parsed.keyId });
+      }
+    }
+    return found;
+  }
+}
\ No newline at end of file
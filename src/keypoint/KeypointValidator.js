@@ -1,51 +1,431 @@
+import { KeypointError, KeypointErrorCodes } from './KeypointErrors.js';
+import { KeypointStorage } from './KeypointStorage.js';
+import { KeypointStatus } from './Keypoint.js';
+import { SecretHasher } from './SecretHasher.js';
+import { RequestSigner } from './RequestSigner.js';
+import { NonceCache } from './NonceCache.js';
+import { CredentialExtractor } from './CredentialExtractor.js';
+import { KeypointToken } from './KeypointToken.js';
+import { RevocationList } from './RevocationList.js';
+import { ClientCertificate } from './ClientCertificate.js';
+
+// Re-exported: the codes were defined here first
+export { KeypointErrorCodes };
+
 export class KeypointValidator {
-  constructor(storage) {
+  constructor(storage, options = {}) {
     this.storage = storage || new KeypointStorage();
+    this.secretHasher = options.secretHasher || new SecretHasher();
+    this.requestSigner = options.requestSigner || new RequestSigner(options.signature);
+    this.nonceCache = options.nonceCache || new NonceCache();
+    this.tokenFormat = options.tokenFormat || new KeypointToken(options.tokens);
+    this.statelessTokens = options.statelessTokens || null;
+    this.revocationList = options.revocationList || new RevocationList();
+    this.certificateOptions = {
+      requireAuthorized: true, // Certificate must chain to the server's trusted CA
+      allowCertificateOnly: false, // Resolve the keypoint from the certificate when no credential is sent
+      ...options.certificates
+    };
+    this.credentialExtractor = options.credentialExtractor || new CredentialExtractor({
+      tokenFormat: this.tokenFormat,
+      statelessTokens: this.statelessTokens,
+      ...options.credentials
+    });
   }
   
   async validate(context) {
     const { request } = context;
+    const signatureHeader = request.headers[this.requestSigner.options.header];
+    
+    // Signed requests carry the keypoint id inside the signature
+    let signature = null;
+    if (signatureHeader) {
+      signature = this.requestSigner.parse(signatureHeader);
+      if (!signature) {
+        throw this.error('Malformed request signature', 401, KeypointErrorCodes.SIGNATURE_MALFORMED);
+      }
+    }
+    
+    // Credentials in URLs end up in logs and browser history
+    if (!this.credentialExtractor.options.allowQueryCredentials &&
+        this.credentialExtractor.hasQueryCredentials(request)) {
+      throw this.error('Keypoint credentials are not allowed in the query string', 400, KeypointErrorCodes.QUERY_CREDENTIALS_FORBIDDEN);
+    }
     
     // Extract keypoint from request
-    const keypointId = this.extractKeypointId(request);
+    const credential = signature ? null : await this.credentialExtractor.extract(request);
+    let keypointId = signature ? signature.keyId : credential?.keyId;
+    
+    // With mutual TLS a verified client certificate alone can identify the keypoint
+    let certificateKeypoint = null;
+    if (!keypointId && this.certificateOptions.allowCertificateOnly) {
+      certificateKeypoint = await this.resolveByCertificate(request, context.tenantId);
+      keypointId = certificateKeypoint?.keyId;
+    }
+    
     if (!keypointId) {
-      throw new KeypointError('Keypoint header required', 401);
+      throw this.error('Keypoint header required', 401, KeypointErrorCodes.MISSING);
+    }
+    
+    // Mistyped or forged tokens are rejected without a storage lookup
+    if (credential?.token && !credential.token.valid) {
+      throw this.error('Malformed keypoint token', 401, KeypointErrorCodes.TOKEN_CHECKSUM_INVALID);
+    }
+    
+    if (credential?.statelessToken) {
+      return this.validateStatelessToken(context, credential);
     }
     
     // Load keypoint from storage
-    const keypoint = await this.storage.get(keypointId);
-    if (!keypoint) {
-      throw new KeypointError('Invalid keypoint', 401);
+    const keypoint = certificateKeypoint || await this.storage.get(keypointId);
+    if (!keypoint || !this.matchesTenant(keypoint, context)) {
+      throw this.error('Invalid keypoint', 401, KeypointErrorCodes.INVALID);
     }
     
     // Validate keypoint
+    this.validateStatus(keypoint);
+    
     if (keypoint.isExpired()) {
-      throw new KeypointError('Keypoint expired', 401);
+      throw this.error('Keypoint expired', 401, KeypointErrorCodes.EXPIRED);
     }
     
-    // Verify secret if provided
-    if (request.headers['x-keypoint-secret']) {
-      const isValid = await this.verifySecret(
-        keypoint, 
-        request.headers['x-keypoint-secret']
-      );
-      if (!isValid) {
-        throw new KeypointError('Invalid secret', 401);
+    this.validateAccessTime(keypoint);
+    
+    if (keypoint.isDelegated()) {
+      await this.validateDelegationChain(keypoint, request);
+    }
+    
+    // Checked before any secret work so disallowed networks cannot probe secrets
+    if (!keypoint.validateIp(request.ip)) {
+      throw this.error('IP address not allowed for this keypoint', 403, KeypointErrorCodes.IP_NOT_ALLOWED);
+    }
+    
+    const certificate = keypoint.certificateBinding
+      ? this.validateCertificate(keypoint, request)
+      : null;
+    
+    let mode = 'keypoint';
+    let secretMatch = null;
+    
+    if (signature) {
+      secretMatch = await this.verifySignature(keypoint, request, signature);
+      mode = 'signature';
+    } else if (certificateKeypoint) {
+      mode = 'certificate';
+    } else {
+      if (!keypoint.acceptsAuthMode('secret')) {
+        throw this.error('Request signature required', 401, KeypointErrorCodes.SIGNATURE_REQUIRED);
+      }
+      
+      // Verify secret if provided
+      if (credential.secret) {
+        secretMatch = await this.matchSecret(keypoint, credential.secret);
+        if (!secretMatch) {
+          throw this.error('Invalid secret', 401, KeypointErrorCodes.INVALID_SECRET);
+        }
+        mode = 'secret';
       }
     }
     
     // Attach keypoint to context
     context.keypoint = keypoint;
+    context.tenantId = context.tenantId || keypoint.tenantId || null;
+    context.authentication = {
+      mode,
+      source: credential?.source || (signature ? 'signature' : 'certificate'),
+      ...secretMatch,
+      ...(certificate && { certificateFingerprint: certificate.fingerprint256 })
+    };
+    return true;
+  }
+  
+  validateStatus(keypoint) {
+    switch (keypoint.getStatus()) {
+      case KeypointStatus.ACTIVE:
+        return true;
+        
+      case KeypointStatus.REVOKED:
+        throw this.error('Keypoint revoked', 401, KeypointErrorCodes.REVOKED);
+        
+      case KeypointStatus.SUSPENDED:
+        throw this.error('Keypoint suspended', 403, KeypointErrorCodes.SUSPENDED, {
+          reason: keypoint.statusReason
+        });
+        
+      case KeypointStatus.PENDING:
+        throw this.error('Keypoint not yet active', 403, KeypointErrorCodes.NOT_YET_ACTIVE, {
+          activatesAt: keypoint.activatesAt
+        });
+        
+      default:
+        throw this.error(`Unknown keypoint status: ${keypoint.status}`, 401, KeypointErrorCodes.INVALID);
+    }
+  }
+  
+  // When the request names a tenant, keypoints of other tenants (or of none)
+  // fail exactly like unknown ones, so ids cannot be probed across tenants
+  matchesTenant(keypoint, context) {
+    return !context.tenantId || keypoint.tenantId === context.tenantId;
+  }
+  
+  // notBefore and schedule; the error says when the keypoint may be used again
+  validateAccessTime(keypoint, now = new Date()) {
+    const access = keypoint.checkAccessTime(now);
+    if (access.allowed) return true;
+    
+    const { nextAllowedAt } = access;
+    const error = access.reason === 'not-before'
+      ? this.error('Keypoint not valid yet', 403, KeypointErrorCodes.NOT_BEFORE, { nextAllowedAt })
+      : this.error('Keypoint not allowed at this time', 403, KeypointErrorCodes.OUTSIDE_SCHEDULE, { nextAllowedAt });
+    
+    if (nextAllowedAt) {
+      error.headers = { 'Retry-After': String(Math.max(1, Math.ceil((nextAllowedAt - now) / 1000))) };
+    }
+    throw error;
+  }
+  
+  // Verified locally; storage is only consulted when the signer's fallback is 'always'
+  async validateStatelessToken(context, credential) {
+    const { request } = context;
+    const result = this.statelessTokens.verify(credential.statelessToken);
+    
+    if (!result.valid) {
+      if (result.reason === 'expired') {
+        throw this.error('Keypoint token expired', 401, KeypointErrorCodes.TOKEN_EXPIRED);
+      }
+      throw this.error('Invalid keypoint token', 401, KeypointErrorCodes.TOKEN_INVALID, { reason: result.reason });
+    }
+    
+    const { claims } = result;
+    if (await this.revocationList.isRevoked({ tokenId: claims.jti, keyId: claims.sub })) {
+      throw this.error('Keypoint token revoked', 401, KeypointErrorCodes.TOKEN_REVOKED);
+    }
+    
+    let keypoint;
+    if (this.statelessTokens.options.fallback === 'always') {
+      keypoint = await this.storage.get(claims.sub);
+      if (!keypoint || !this.matchesTenant(keypoint, context)) {
+        throw this.error('Invalid keypoint', 401, KeypointErrorCodes.INVALID);
+      }
+      
+      this.validateStatus(keypoint);
+      
+      if (keypoint.isExpired()) {
+        throw this.error('Keypoint expired', 401, KeypointErrorCodes.EXPIRED);
+      }
+      
+      if (keypoint.isDelegated()) {
+        await this.validateDelegationChain(keypoint, request);
+      }
+    } else {
+      keypoint = this.statelessTokens.toKeypoint(claims);
+      if (!this.matchesTenant(keypoint, context)) {
+        throw this.error('Invalid keypoint', 401, KeypointErrorCodes.INVALID);
+      }
+      
+      for (const ancestor of this.statelessTokens.toAncestors(claims)) {
+        this.validateAncestorAccess(ancestor, request);
+      }
+    }
+    
+    this.validateAccessTime(keypoint);
+    
+    if (!keypoint.validateIp(request.ip)) {
+      throw this.error('IP address not allowed for this keypoint', 403, KeypointErrorCodes.IP_NOT_ALLOWED);
+    }
+    
+    const certificate = keypoint.certificateBinding
+      ? this.validateCertificate(keypoint, request)
+      : null;
+    
+    context.keypoint = keypoint;
+    context.tenantId = context.tenantId || keypoint.tenantId || null;
+    context.authentication = {
+      mode: 'stateless',
+      source: credential.source,
+      tokenId: claims.jti,
+      expiresAt: new Date(claims.exp * 1000),
+      ...(certificate && { certificateFingerprint: certificate.fingerprint256 })
+    };
     return true;
   }
   
-  extractKeypointId(request) {
-    return request.headers['x-keypoint-id'] || 
-           request.query.keypointId;
+  validateCertificate(keypoint, request) {
+    const certificate = ClientCertificate.fromRequest(request);
+    
+    if (!certificate) {
+      throw this.error('Client certificate required', 401, KeypointErrorCodes.CERTIFICATE_REQUIRED);
+    }
+    
+    if (this.certificateOptions.requireAuthorized && !certificate.authorized) {
+      throw this.error('Client certificate not trusted', 401, KeypointErrorCodes.CERTIFICATE_UNTRUSTED);
+    }
+    
+    if (!keypoint.validateCertificate(certificate)) {
+      throw this.error('Client certificate does not match keypoint', 401, KeypointErrorCodes.CERTIFICATE_MISMATCH);
+    }
+    
+    return certificate;
+  }
+  
+  async resolveByCertificate(request, tenantId = null) {
+    const certificate = ClientCertificate.fromRequest(request);
+    if (!certificate?.authorized) return null;
+    
+    const matches = (await this.storage.getByCertificate(certificate))
+      .filter(keypoint => !tenantId || keypoint.tenantId === tenantId);
+    if (matches.length > 1) {
+      throw this.error('Client certificate matches more than one keypoint', 401, KeypointErrorCodes.CERTIFICATE_AMBIGUOUS);
+    }
+    
+    const [keypoint] = matches;
+    if (keypoint && !keypoint.acceptsAuthMode('certificate')) {
+      throw this.error('Certificate-only authentication not allowed for this keypoint', 401, KeypointErrorCodes.AUTH_MODE_NOT_ALLOWED);
+    }
+    
+    return keypoint || null;
+  }
+  
+  // A revoked, suspended, expired or deleted ancestor invalidates the whole subtree
+  // Every ancestor must still be valid, and with a request its access times,
+  // IP restrictions and certificate binding apply to the child as well
+  async validateDelegationChain(keypoint, request = null) {
+    const ancestors = [];
+    
+    for (const ancestorId of keypoint.delegationChain) {
+      const ancestor = await this.storage.get(ancestorId);
+      if (!ancestor || !ancestor.isActive() || ancestor.isExpired()) {
+        throw this.error('Parent keypoint is no longer valid', 401, KeypointErrorCodes.PARENT_INVALID, {
+          parentKeyId: ancestorId
+        });
+      }
+      
+      if (request) {
+        this.validateAncestorAccess(ancestor, request);
+      }
+      ancestors.push(ancestor);
+    }
+    
+    return ancestors;
+  }
+  
+  validateAncestorAccess(ancestor, request) {
+    this.validateAccessTime(ancestor);
+    if (!ancestor.validateIp(request.ip)) {
+      throw this.error('IP address not allowed for this keypoint', 403, KeypointErrorCodes.IP_NOT_ALLOWED);
+    }
+    if (ancestor.certificateBinding) {
+      this.validateCertificate(ancestor, request);
+    }
+  }
+  
+  async extractKeypointId(request) {
+    const credential = await this.credentialExtractor.extract(request);
+    return credential?.keyId;
   }
   
   async verifySecret(keypoint, providedSecret) {
-    // Implement secure secret verification
-    return keypoint.secret === providedSecret;
+    return (await this.matchSecret(keypoint, providedSecret)) !== null;
+  }
+  
+  // Resolves which secret generation the provided secret belongs to, or null
+  async matchSecret(keypoint, providedSecret) {
+    if (keypoint.secretHash) {
+      if (await this.secretHasher.verify(providedSecret, keypoint.secretHash)) {
+        if (this.secretHasher.needsRehash(keypoint.secretHash)) {
+          await this.upgradeSecret(keypoint, providedSecret);
+        }
+        return { secretGeneration: keypoint.secretGeneration, previousSecret: false };
+      }
+    } else if (SecretHasher.safeEqual(keypoint.secret, providedSecret)) {
+      // Legacy plaintext record: compare in constant time, then migrate it
+      await this.upgradeSecret(keypoint, providedSecret);
+      return { secretGeneration: keypoint.secretGeneration, previousSecret: false };
+    }
+    
+    // Rotated secrets stay valid until their grace period ends
+    for (const previous of keypoint.getActivePreviousSecrets()) {
+      if (await this.secretHasher.verify(providedSecret, previous.secretHash)) {
+        return {
+          secretGeneration: previous.generation,
+          previousSecret: true,
+          graceUntil: new Date(previous.expiresAt)
+        };
+      }
+    }
+    
+    return null;
+  }
+  
+  async upgradeSecret(keypoint, secret) {
+    const updates = {
+      secretHash: await this.secretHasher.hash(secret),
+      secret: undefined
+    };
+    
+    if (keypoint.acceptsAuthMode('signature') && !keypoint.signingKey) {
+      updates.signingKey = RequestSigner.deriveSigningKey(secret);
+    }
+    
+    await this.storage.update(keypoint.keyId, updates);
+    Object.assign(keypoint, updates);
+  }
+  
+  async verifySignature(keypoint, request, signature) {
+    if (!keypoint.acceptsAuthMode('signature')) {
+      throw this.error('Signed requests not allowed for this keypoint', 401, KeypointErrorCodes.AUTH_MODE_NOT_ALLOWED);
+    }
+    
+    if (!this.requestSigner.isWithinClockSkew(signature.timestamp)) {
+      throw this.error('Request signature expired', 401, KeypointErrorCodes.SIGNATURE_EXPIRED);
+    }
+    
+    if (!this.requestSigner.hasRequiredHeaders(signature)) {
+      throw this.error('Request signature does not cover required headers', 401, KeypointErrorCodes.SIGNATURE_MALFORMED, {
+        requiredHeaders: this.requestSigner.options.requiredHeaders
+      });
+    }
+    
+    const secretMatch = this.matchSigningKey(keypoint, request, signature);
+    if (!secretMatch) {
+      throw this.error('Invalid request signature', 401, KeypointErrorCodes.SIGNATURE_INVALID);
+    }
+    
+    // Nonces only need to outlive the window in which the timestamp is accepted
+    const ttl = this.requestSigner.options.clockSkew * 2 * 1000;
+    const isFresh = await this.nonceCache.checkAndStore(`${keypoint.keyId}:${signature.nonce}`, ttl);
+    if (isFresh === null) {
+      throw this.error('Too many signed requests in flight', 503, KeypointErrorCodes.NONCE_CACHE_FULL);
+    }
+    if (!isFresh) {
+      throw this.error('Request signature replayed', 401, KeypointErrorCodes.SIGNATURE_REPLAYED);
+    }
+    
+    return secretMatch;
+  }
+  
+  matchSigningKey(keypoint, request, signature) {
+    const currentKey = keypoint.signingKey ||
+      (keypoint.secret && RequestSigner.deriveSigningKey(keypoint.secret));
+    
+    if (currentKey && this.requestSigner.verify(signature, request, currentKey)) {
+      return { secretGeneration: keypoint.secretGeneration, previousSecret: false };
+    }
+    
+    for (const previous of keypoint.getActivePreviousSecrets()) {
+      if (previous.signingKey && this.requestSigner.verify(signature, request, previous.signingKey)) {
+        return {
+          secretGeneration: previous.generation,
+          previousSecret: true,
+          graceUntil: new Date(previous.expiresAt)
+        };
+      }
+    }
+    
+    return null;
+  }
+  
+  error(message, status, errorCode, details = {}) {
+    return new KeypointError(message, status, { errorCode, ...details });
   }
 }
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Replay protection for signed requests. Kept in memory unless a shared
+// state is given, in which case every instance sees the same nonces.
+export class NonceCache {
+  constructor(options = {}) {
+    this.options = {
+      maxEntries: 100000,
+      state: null,
+      ...options
+    };
+    
+    this.state = this.options.state;
+    this.entries = new Map();
+  }
+  
+  // Returns true the first time a nonce is seen within its TTL, false for a
+  // replay, and null when the cache is full of live nonces: evicting one would
+  // let it be replayed, so new nonces are refused until some expire
+  async checkAndStore(nonce, ttlMs) {
+    if (this.state) {
+      return this.state.setIfAbsent(`nonce:${nonce}`, 1, ttlMs);
+    }
+    
+    const now = Date.now();
+    const expiresAt = this.entries.get(nonce);
+    
+    if (expiresAt && expiresAt > now) {
+      return false;
+    }
+    
+    if (this.entries.size >= this.options.maxEntries) {
+      this.purgeExpired(now);
+      if (this.entries.size >= this.options.maxEntries) return null;
+    }
+    
+    this.entries.set(nonce, now + ttlMs);
+    return true;
+  }
+  
+  purgeExpired(now = Date.now()) {
+    let removed = 0;
+    
+    for (const [nonce, expiresAt] of this.entries) {
+      if (expiresAt <= now) {
+        this.entries.delete(nonce);
+        removed++;
+      }
+    }
+    
+    return removed;
+  }
+  
+  clear() {
+    this.entries.clear();
+  }
+  
+  get size() {
+    return this.entries.size;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,134 @@
+import { TimeZone } from '../core/TimeZone.js';
+
+export const QUOTA_PERIODS = ['daily', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily and monthly request quotas from `keypoint.quota` ({ daily, monthly,
+// costs }), separate from the short-window rate limit. Periods follow calendar
+// days and months in `timezone`. Counters live in `state` ({ increment, get,
+// delete }), which has to outlive the process: a RESP server, or the counters
+// of a SQLite or file storage. A quota that starts over on every restart is
+// not enforced, so a state marked `persistent: false` (MemorySharedState) is
+// refused unless allowVolatileState is set, e.g. in tests.
+export class QuotaManager {
+  constructor(options = {}) {
+    this.options = {
+      timezone: 'UTC',
+      costs: {}, // route ('POST:/reports') -> cost; keypoint.quota.costs overrides
+      defaultCost: 1,
+      thresholds: [0.8, 1], // Fractions of a limit reported once crossed
+      state: null,
+      allowVolatileState: false,
+      ...options
+    };
+    
+    this.timeZone = new TimeZone(this.options.timezone);
+    this.state = this.options.state;
+  }
+  
+  requireState() {
+    if (!this.state) {
+      throw new Error('Quotas need a shared state that survives restarts: set sharedState, use a Redis, SQLite or file storage, or pass quotas.state');
+    }
+    if (this.state.persistent === false && !this.options.allowVolatileState) {
+      throw new Error('Quotas need a shared state that survives restarts: this one starts over on every restart; set quotas.allowVolatileState to accept that');
+    }
+    return this.state;
+  }
+  
+  costOf(keypoint, route = null) {
+    const costs = { ...this.options.costs, ...keypoint.quota?.costs };
+    return route && costs[route] !== undefined ? costs[route] : this.options.defaultCost;
+  }
+  
+  period(name, now = new Date()) {
+    return name === 'daily'
+      ? { id: this.timeZone.dayKey(now), resetAt: this.timeZone.startOfNextDay(now) }
+      : { id: this.timeZone.monthKey(now), resetAt: this.timeZone.startOfNextMonth(now) };
+  }
+  
+  // Periods the keypoint has a limit for, with their counter keys (under the
+  // keypoint's tenant, when it has one)
+  limits(keypoint, now = new Date()) {
+    const owner = keypoint.tenantId ? `${keypoint.tenantId}:${keypoint.keyId}` : keypoint.keyId;
+    return QUOTA_PERIODS
+      .filter(name => keypoint.quota?.[name])
+      .map(name => {
+        const { id, resetAt } = this.period(name, now);
+        return { period: name, key: `quota:${owner}:${name}:${id}`, limit: keypoint.quota[name], resetAt };
+      });
+  }
+  
+  // Charges the route's cost against every period. A denied request is
+  // refunded, so it does not use up quota. `crossed` lists the thresholds this
+  // request went past.
+  async consume(keypoint, route = null, now = new Date()) {
+    const state = this.requireState();
+    const cost = this.costOf(keypoint, route);
+    const periods = [];
+    
+    for (const entry of this.limits(keypoint, now)) {
+      // Counters outlive their period by a day so a late refund still finds them
+      const used = await state.increment(entry.key, cost, entry.resetAt - now + DAY_MS);
+      periods.push({ ...entry, used });
+    }
+    
+    const exceeded = periods.find(entry => entry.used > entry.limit);
+    if (exceeded) {
+      for (const entry of periods) {
+        await state.increment(entry.key, -cost);
+        entry.used -= cost;
+      }
+      return { allowed: false, cost, periods: periods.map(describe), exceeded: describe(exceeded), crossed: [] };
+    }
+    
+    const crossed = [];
+    for (const entry of periods) {
+      for (const threshold of this.options.thresholds) {
+        const mark = threshold * entry.limit;
+        if (entry.used - cost < mark && entry.used >= mark) {
+          crossed.push({ ...describe(entry), threshold });
+        }
+      }
+    }
+    
+    return { allowed: true, cost, periods: periods.map(describe), exceeded: null, crossed };
+  }
+  
+  async getStatus(keypoint, now = new Date()) {
+    const state = this.requireState();
+    const periods = [];
+    for (const entry of this.limits(keypoint, now)) {
+      periods.push(describe({ ...entry, used: Number(await state.get(entry.key)) || 0 }));
+    }
+    return periods;
+  }
+  
+  // Clears the current period's counters (all periods when none is given)
+  async reset(keypoint, period = null, now = new Date()) {
+    const state = this.requireState();
+    for (const entry of this.limits(keypoint, now)) {
+      if (!period || entry.period === period) {
+        await state.delete(entry.key);
+      }
+    }
+  }
+  
+  // Headers for the period closest to its limit; X-Quota-Reset is in epoch seconds
+  static headers(periods) {
+    if (periods.length === 0) return {};
+    
+    const tightest = periods.reduce((a, b) => b.remaining < a.remaining ? b : a);
+    return {
+      'X-Quota-Period': tightest.period,
+      'X-Quota-Limit': String(tightest.limit),
+      'X-Quota-Remaining': String(tightest.remaining),
+      'X-Quota-Reset': String(Math.ceil(tightest.resetAt.getTime() / 1000))
+    };
+  }
+}
+
+function describe({ period, limit, used, resetAt }) {
+  return { period, limit, used, remaining: Math.max(0, limit - used), resetAt };
+}
\ No newline at end of file
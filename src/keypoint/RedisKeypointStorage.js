@@ -0,0 +1,217 @@
+import { KeypointStorage } from './KeypointStorage.js';
+import { Keypoint } from './Keypoint.js';
+import { RespClient } from '../core/RespClient.js';
+import { RespSharedState } from '../core/SharedState.js';
+
+// Storage on a Redis-protocol server, spoken directly over TCP.
+//
+// Layout (under `prefix`): `record:<keyId>` holds the JSON record, `ids` the
+// set of all key ids, and `name:<name>`, `scope:<scope>`, `parent:<keyId>`,
+// `tenant:<tenantId>` are index sets. Writes run under WATCH/MULTI/EXEC and retry when another
+// instance changed the record in between.
+export class RedisKeypointStorage extends KeypointStorage {
+  constructor(options = {}) {
+    super('redis');
+    
+    this.options = {
+      prefix: 'keypoint:',
+      client: null, // An existing RespClient; otherwise one is created from these options
+      maxRetries: 10,
+      encryption: null,
+      ...options
+    };
+    
+    this.encryption = this.options.encryption;
+    this.client = this.options.client || new RespClient(this.options);
+    
+    // Counters, sets and pub/sub on the same server, for KeypointJS({ sharedState })
+    this.state = new RespSharedState({ client: this.client, prefix: this.options.prefix });
+  }
+  
+  key(...parts) {
+    return `${this.options.prefix}${parts.join(':')}`;
+  }
+  
+  indexKeys(keypoint) {
+    const keys = keypoint.scopes.map(scope => this.key('scope', scope));
+    if (keypoint.name) keys.push(this.key('name', keypoint.name));
+    if (keypoint.parentKeyId) keys.push(this.key('parent', keypoint.parentKeyId));
+    if (keypoint.tenantId) keys.push(this.key('tenant', keypoint.tenantId));
+    return keys;
+  }
+  
+  parse(value) {
+    return value === null ? null : this.decodeRecord(JSON.parse(value));
+  }
+  
+  async get(keyId) {
+    return this.parse(await this.client.command('GET', this.key('record', keyId)));
+  }
+  
+  async getMany(keyIds) {
+    if (keyIds.length === 0) return [];
+    
+    const values = await this.client.command('MGET', ...keyIds.map(keyId => this.key('record', keyId)));
+    return values.map(value => this.parse(value)).filter(Boolean);
+  }
+  
+  async getByName(name) {
+    return this.getMany(await this.client.command('SMEMBERS', this.key('name', name)));
+  }
+  
+  async getByScope(scope) {
+    return this.getMany(await this.client.command('SMEMBERS', this.key('scope', scope)));
+  }
+  
+  // Read-modify-write of one record. change(existing) returns the new record,
+  // null to delete it, or undefined to leave it alone.
+  async mutate(keyId, change) {
+    const recordKey = this.key('record', keyId);
+    
+    for (let attempt = 0; attempt < this.options.maxRetries; attempt++) {
+      const result = await this.client.exclusive(async command => {
+        await command('WATCH', recordKey);
+        
+        let existing;
+        let next;
+        let encoded;
+        try {
+          existing = this.parse(await command('GET', recordKey));
+          next = change(existing);
+          encoded = next ? JSON.stringify(this.encodeRecord(next)) : null;
+        } catch (error) {
+          // The WATCH would otherwise outlive this call on the shared connection
+          await command('UNWATCH').catch(() => {});
+          throw error;
+        }
+        
+        if (next === undefined) {
+          await command('UNWATCH');
+          return { existing, next };
+        }
+        
+        // Queued commands are pipelined; their replies are just QUEUED
+        const queued = [command('MULTI')];
+        if (existing) {
+          for (const key of this.indexKeys(existing)) {
+            queued.push(command('SREM', key, keyId));
+          }
+        }
+        
+        if (next === null) {
+          queued.push(command('DEL', recordKey), command('SREM', this.key('ids'), keyId));
+        } else {
+          queued.push(
+            command('SET', recordKey, encoded),
+            command('SADD', this.key('ids'), keyId)
+          );
+          for (const key of this.indexKeys(next)) {
+            queued.push(command('SADD', key, keyId));
+          }
+        }
+        
+        // null: the watched record changed, so nothing was applied
+        const [applied] = await Promise.all([command('EXEC'), ...queued]);
+        return applied === null ? null : { existing, next };
+      });
+      
+      if (result) return result;
+    }
+    
+    throw new Error(`Keypoint ${keyId} is being modified concurrently; giving up after ${this.options.maxRetries} attempts`);
+  }
+  
+  async set(keypoint) {
+    if (!keypoint.keyId) {
+      throw new Error('Keypoint must have keyId');
+    }
+    
+    const record = Keypoint.fromJSON(keypoint);
+    await this.mutate(record.keyId, () => record);
+    return true;
+  }
+  
+  async update(keyId, updates) {
+    const { existing } = await this.mutate(keyId, existing => existing
+      ? Keypoint.fromJSON({ ...existing, ...updates, updatedAt: new Date() })
+      : undefined);
+    return Boolean(existing);
+  }
+  
+  async rotateSecret(keyId, credentials, graceUntil = null) {
+    const { next } = await this.mutate(keyId, existing => existing
+      ? Keypoint.fromJSON({
+        ...existing,
+        ...KeypointStorage.rotationUpdates(existing, credentials, graceUntil),
+        updatedAt: new Date()
+      })
+      : undefined);
+    return next || null;
+  }
+  
+  async updateUsage(keyId, apply) {
+    const { existing } = await this.mutate(keyId, existing => existing
+      ? Keypoint.fromJSON({ ...existing, usage: apply(existing.usage || null) })
+      : undefined);
+    return Boolean(existing);
+  }
+  
+  async pruneExpiredSecrets(keyId, now = new Date()) {
+    let expired = [];
+    
+    await this.mutate(keyId, existing => {
+      expired = (existing?.previousSecrets || []).filter(entry => new Date(entry.expiresAt) <= now);
+      if (expired.length === 0) return undefined;
+      
+      return Keypoint.fromJSON({
+        ...existing,
+        previousSecrets: existing.previousSecrets.filter(entry => new Date(entry.expiresAt) > now),
+        updatedAt: new Date()
+      });
+    });
+    
+    return expired;
+  }
+  
+  async delete(keyId) {
+    const { existing } = await this.mutate(keyId, existing => existing ? null : undefined);
+    return Boolean(existing);
+  }
+  
+  // Indexes are maintained by mutate()
+  async removeIndexes() {}
+  
+  async list(filter = {}) {
+    const keyIds = await this.client.command('SMEMBERS', filter.tenantId
+      ? this.key('tenant', filter.tenantId)
+      : this.key('ids'));
+    const keypoints = await this.getMany(keyIds);
+    return keypoints
+      .filter(keypoint => this.matchesFilter(keypoint, filter))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+  
+  async count() {
+    return this.client.command('SCARD', this.key('ids'));
+  }
+  
+  async cleanupExpired() {
+    let removed = 0;
+    
+    for (const keypoint of await this.list({ expired: true })) {
+      // Re-checked inside the transaction in case the keypoint was extended meanwhile
+      const { next } = await this.mutate(keypoint.keyId, existing =>
+        existing?.isExpired() ? null : undefined);
+      if (next === null) removed++;
+    }
+    
+    return removed;
+  }
+  
+  async close() {
+    await this.state.close();
+    if (!this.options.client) {
+      await this.client.close();
+    }
+  }
+}
\ No newline at end of file
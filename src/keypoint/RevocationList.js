@@ -0,0 +1,93 @@
+// Short-lived revocations for stateless tokens. Entries only need to outlive
+// the tokens they block, so the list stays small. With a shared state the
+// revocations apply to every instance.
+export class RevocationList {
+  constructor(options = {}) {
+    this.options = {
+      maxEntries: 100000,
+      state: null,
+      ...options
+    };
+    
+    this.state = this.options.state;
+    this.entries = new Map();
+  }
+  
+  async revokeToken(tokenId, until) {
+    await this.add(`token:${tokenId}`, until);
+  }
+  
+  // Blocks every token issued for the keypoint until `until`
+  async revokeKey(keyId, until) {
+    await this.add(`key:${keyId}`, until);
+  }
+  
+  async restoreKey(keyId) {
+    if (this.state) {
+      return this.state.delete(`revoked:key:${keyId}`);
+    }
+    return this.entries.delete(`key:${keyId}`);
+  }
+  
+  async isRevoked({ tokenId, keyId }, now = Date.now()) {
+    if (this.state) {
+      const [token, key] = await Promise.all([
+        this.state.get(`revoked:token:${tokenId}`),
+        this.state.get(`revoked:key:${keyId}`)
+      ]);
+      return [token, key].some(until => until !== null && until > now);
+    }
+    return this.isListed(`token:${tokenId}`, now) || this.isListed(`key:${keyId}`, now);
+  }
+  
+  async add(entry, until) {
+    const now = Date.now();
+    const untilMs = new Date(until).getTime();
+    
+    if (this.state) {
+      if (untilMs > now) {
+        await this.state.set(`revoked:${entry}`, untilMs, untilMs - now);
+      }
+      return;
+    }
+    
+    if (this.entries.size >= this.options.maxEntries) {
+      this.purgeExpired(now);
+    }
+    
+    this.entries.set(entry, untilMs);
+  }
+  
+  isListed(entry, now) {
+    const until = this.entries.get(entry);
+    if (until === undefined) return false;
+    
+    if (until <= now) {
+      this.entries.delete(entry);
+      return false;
+    }
+    
+    return true;
+  }
+  
+  purgeExpired(now = Date.now()) {
+    let removed = 0;
+    
+    for (const [entry, until] of this.entries) {
+      if (until <= now) {
+        this.entries.delete(entry);
+        removed++;
+      }
+    }
+    
+    return removed;
+  }
+  
+  clear() {
+    this.entries.clear();
+  }
+  
+  get size() {
+    return this.entries.size;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,291 @@
+import { readFileSync } from 'fs';
+
+// A scope catalog lists every scope an application knows, e.g. in YAML:
+//
+//   scopes:
+//     billing:read:
+//       description: Read invoices
+//       owner: payments
+//     billing:admin:
+//       description: Manage billing
+//       inherits: [billing:read, invoice:*]
+//     post:read:
+//       description: Read posts
+//       deprecated: Use content:read
+//       replacedBy: content:read
+//
+// An entry may also be just its description. `deprecated` is true or a reason.
+
+const ENTRY_FIELDS = ['description', 'inherits', 'deprecated', 'replacedBy', 'owner'];
+const SCOPE_NAME = /^[^\s!{}]+$/;
+
+// The scopes every ScopeManager starts with when no catalog is given. admin
+// does not inherit '*': grant that with addInheritance('admin', ['*']) if wanted
+export const DEFAULT_SCOPE_CATALOG = {
+  scopes: {
+    '*': 'Full access to all resources',
+    read: 'Read-only access',
+    write: { description: 'Read and write access', inherits: ['read'] },
+    admin: { description: 'Administrative access', inherits: ['read', 'write'] },
+    'api:public': 'Public API access',
+    'api:private': 'Private API access',
+    'api:internal': { description: 'Internal API access', inherits: ['api:private', 'api:public'] },
+    'user:read': 'Read user data',
+    'user:write': 'Write user data',
+    'post:read': 'Read posts',
+    'post:write': 'Write posts'
+  }
+};
+
+export class ScopeCatalogError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ScopeCatalogError';
+    this.errors = errors;
+  }
+}
+
+export class ScopeCatalog {
+  constructor(definition = {}) {
+    const errors = ScopeCatalog.validate(definition);
+    if (errors.length > 0) {
+      throw new ScopeCatalogError('Invalid scope catalog', errors);
+    }
+    
+    this.scopes = Object.entries(definition.scopes).map(([name, entry]) => {
+      const { description = '', inherits = [], deprecated = false, replacedBy = null, owner = null } =
+        typeof entry === 'string' ? { description: entry } : entry || {};
+      return { name, description, inherits, deprecated, replacedBy, owner };
+    });
+  }
+  
+  // JSON, or the YAML subset above: nested maps, [a, b] and '- item' lists,
+  // quoted or plain scalars and # comments
+  static parse(text, format = text.trimStart().startsWith('{') ? 'json' : 'yaml') {
+    return format === 'json' ? JSON.parse(text) : parseYaml(text);
+  }
+  
+  static fromFile(filePath) {
+    const format = /\.json$/i.test(filePath) ? 'json' : 'yaml';
+    return new ScopeCatalog(ScopeCatalog.parse(readFileSync(filePath, 'utf-8'), format));
+  }
+  
+  // Problems with a catalog definition, as { field, message } entries
+  static validate(definition) {
+    if (!definition || typeof definition !== 'object' || !definition.scopes || typeof definition.scopes !== 'object' || Array.isArray(definition.scopes)) {
+      return [{ field: 'scopes', message: 'Catalog must have a scopes map' }];
+    }
+    
+    const errors = [];
+    const names = Object.keys(definition.scopes);
+    
+    for (const [name, entry] of Object.entries(definition.scopes)) {
+      const field = `scopes.${name}`;
+      if (!SCOPE_NAME.test(name)) {
+        errors.push({ field, message: 'Scope names cannot be empty or contain whitespace, !, { or }' });
+      }
+      if (typeof entry === 'string' || entry === null) continue;
+      if (typeof entry !== 'object' || Array.isArray(entry)) {
+        errors.push({ field, message: 'Entry must be a description or a map' });
+        continue;
+      }
+      
+      for (const key of Object.keys(entry).filter(key => !ENTRY_FIELDS.includes(key))) {
+        errors.push({ field: `${field}.${key}`, message: 'Unknown field' });
+      }
+      for (const key of ['description', 'owner', 'replacedBy']) {
+        if (entry[key] != null && typeof entry[key] !== 'string') {
+          errors.push({ field: `${field}.${key}`, message: 'Must be a string' });
+        }
+      }
+      if (entry.deprecated != null && typeof entry.deprecated !== 'boolean' && typeof entry.deprecated !== 'string') {
+        errors.push({ field: `${field}.deprecated`, message: 'Must be true, false or a reason' });
+      }
+      if (typeof entry.replacedBy === 'string' && !names.includes(entry.replacedBy)) {
+        errors.push({ field: `${field}.replacedBy`, message: `Unknown scope: ${entry.replacedBy}` });
+      }
+      
+      if (entry.inherits == null) continue;
+      if (!Array.isArray(entry.inherits) || !entry.inherits.every(scope => typeof scope === 'string' && scope)) {
+        errors.push({ field: `${field}.inherits`, message: 'Must be a list of scopes' });
+        continue;
+      }
+      // Wildcards and denies may reach past the catalog; plain scopes may not
+      for (const scope of entry.inherits) {
+        if (!scope.startsWith('!') && !scope.includes('*') && !names.includes(scope)) {
+          errors.push({ field: `${field}.inherits`, message: `Unknown scope: ${scope}` });
+        }
+      }
+    }
+    
+    const cycle = findCycle(definition.scopes);
+    if (cycle) {
+      errors.push({ field: `scopes.${cycle[0]}.inherits`, message: `Inheritance cycle: ${cycle.join(' -> ')}` });
+    }
+    
+    return errors;
+  }
+}
+
+// The first inheritance loop found, as a path that ends where it started
+function findCycle(scopes) {
+  const children = name => {
+    const inherits = scopes[name]?.inherits;
+    return Array.isArray(inherits) ? inherits.filter(scope => Object.hasOwn(scopes, scope)) : [];
+  };
+  const done = new Set();
+  
+  const visit = (name, path) => {
+    if (path.includes(name)) return [...path.slice(path.indexOf(name)), name];
+    if (done.has(name)) return null;
+    
+    for (const child of children(name)) {
+      const cycle = visit(child, [...path, name]);
+      if (cycle) return cycle;
+    }
+    done.add(name);
+    return null;
+  };
+  
+  for (const name of Object.keys(scopes)) {
+    const cycle = visit(name, []);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+function parseYaml(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = stripComment(raw).trimEnd();
+    if (!line.trim()) return;
+    
+    const indent = line.length - line.trimStart().length;
+    if (line.slice(0, indent).includes('\t')) {
+      throw new ScopeCatalogError(`Tabs cannot indent YAML (line ${index + 1})`);
+    }
+    lines.push({ indent, text: line.trim(), number: index + 1 });
+  });
+  
+  let position = 0;
+  const isListItem = line => line.text === '-' || line.text.startsWith('- ');
+  
+  const fail = (line, message) => {
+    throw new ScopeCatalogError(`${message} (line ${line.number})`);
+  };
+  
+  const parseBlock = indent => {
+    const isList = isListItem(lines[position]);
+    const result = isList ? [] : {};
+    
+    while (position < lines.length && lines[position].indent === indent) {
+      const line = lines[position];
+      
+      if (isList) {
+        // A list under a key may sit at the key's own indent
+        if (!isListItem(line)) break;
+        if (line.text === '-') fail(line, 'Nested list items are not supported');
+        result.push(parseScalar(line.text.slice(2).trim(), line));
+        position++;
+        continue;
+      }
+      
+      const { key, rest } = splitKey(line);
+      if (Object.hasOwn(result, key)) fail(line, `Duplicate key: ${key}`);
+      position++;
+      
+      if (rest) {
+        result[key] = parseScalar(rest, line);
+      } else if (position < lines.length && lines[position].indent > indent) {
+        result[key] = parseBlock(lines[position].indent);
+      } else if (position < lines.length && lines[position].indent === indent && isListItem(lines[position])) {
+        result[key] = parseBlock(indent);
+      } else {
+        result[key] = null;
+      }
+    }
+    
+    if (position < lines.length && lines[position].indent > indent) {
+      fail(lines[position], 'Unexpected indentation');
+    }
+    return result;
+  };
+  
+  // Keys end at the first ': ' or a trailing ':', so 'billing:read:' is the key 'billing:read'
+  const splitKey = line => {
+    if (line.text.startsWith('"') || line.text.startsWith("'")) {
+      const end = closingQuote(line.text);
+      if (end === -1 || line.text[end + 1] !== ':') fail(line, 'Expected a key');
+      return { key: parseScalar(line.text.slice(0, end + 1), line), rest: line.text.slice(end + 2).trim() };
+    }
+    
+    const separator = line.text.indexOf(': ');
+    if (separator !== -1) {
+      return { key: line.text.slice(0, separator), rest: line.text.slice(separator + 2).trim() };
+    }
+    if (line.text.endsWith(':')) {
+      return { key: line.text.slice(0, -1), rest: '' };
+    }
+    return fail(line, 'Expected a key');
+  };
+  
+  const parseScalar = (value, line) => {
+    if (value.startsWith('[')) {
+      if (!value.endsWith(']')) fail(line, 'Unclosed list');
+      const inner = value.slice(1, -1).trim();
+      return inner ? inner.split(',').map(item => parseScalar(item.trim(), line)) : [];
+    }
+    if (value.startsWith('"')) {
+      try {
+        return JSON.parse(value);
+      } catch {
+        return fail(line, 'Invalid quoted string');
+      }
+    }
+    if (value.startsWith("'")) {
+      if (closingQuote(value) !== value.length - 1) fail(line, 'Invalid quoted string');
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (value === 'null' || value === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+  };
+  
+  return lines.length > 0 ? parseBlock(lines[0].indent) : {};
+}
+
+// Index of the quote closing the one at text[0], or -1
+function closingQuote(text) {
+  const quote = text[0];
+  for (let i = 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+        continue;
+      }
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Drops a '#' comment that starts the line or follows whitespace outside
+// quotes; quotes only open a value, so the apostrophe in "don't" is text
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && (i === 0 || /[\s[,]/.test(line[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
\ No newline at end of file
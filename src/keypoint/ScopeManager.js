@@ -1,32 +1,92 @@
+import { ScopeCatalog, DEFAULT_SCOPE_CATALOG } from './ScopeCatalog.js';
+
+// Segment-aware wildcards: '*' alone grants everything, a '*' segment stands
+// for exactly one segment and a trailing '*' for one or more, so 'user:*'
+// grants 'user:read' and 'user:profile:read' but not 'user' or 'username'
+export function scopeMatches(granted, required) {
+  if (granted === '*' || granted === required) return true;
+  if (!granted.includes('*')) return false;
+  
+  const pattern = granted.split(':');
+  const segments = required.split(':');
+  const trailing = pattern[pattern.length - 1] === '*';
+  if (trailing ? segments.length < pattern.length : segments.length !== pattern.length) {
+    return false;
+  }
+  
+  return pattern.every((segment, index) => segment === '*' || segment === segments[index]);
+}
+
+// Whether any scope could match both patterns, e.g. 'billing:*' and '*:read'
+export function scopesOverlap(a, b) {
+  const x = a.split(':');
+  const y = b.split(':');
+  const xRest = x[x.length - 1] === '*';
+  const yRest = y[y.length - 1] === '*';
+  
+  if (!xRest && !yRest && x.length !== y.length) return false;
+  if (xRest && !yRest && y.length < x.length) return false;
+  if (yRest && !xRest && x.length < y.length) return false;
+  
+  for (let i = 0; i < Math.min(x.length, y.length); i++) {
+    if (x[i] !== '*' && y[i] !== '*' && x[i] !== y[i]) return false;
+  }
+  return true;
+}
+
+// Deny scopes ('!billing:*') take away whatever they match, whatever grants it
+export const isDenyScope = scope => scope.startsWith('!');
+
+const TEMPLATE_PARAM = /\{([A-Za-z_$][\w$]*)\}/g;
+const TEMPLATE_VALUE = /^[^\s:*{}]+$/;
+
+// Fills a scope template such as 'project:{projectId}:write' with values from
+// lookup(name). Returns null when a value is missing, or when it would change
+// the scope's shape (a ':' or '*' in an id), so the check fails closed.
+export function resolveScopeTemplate(template, lookup) {
+  if (!template.includes('{')) return template;
+  
+  let complete = true;
+  const resolved = template.replace(TEMPLATE_PARAM, (placeholder, name) => {
+    const value = lookup(name);
+    if ((typeof value !== 'string' && typeof value !== 'number') || !TEMPLATE_VALUE.test(String(value))) {
+      complete = false;
+      return placeholder;
+    }
+    return String(value);
+  });
+  
+  return complete ? resolved : null;
+}
+
 export class ScopeManager {
-  constructor() {
+  // options.catalog: a ScopeCatalog or catalog definition replacing the default scopes
+  constructor(options = {}) {
     this.scopeDefinitions = new Map();
     this.scopeHierarchy = new Map();
-    this.initializeDefaultScopes();
+    this.hierarchyVersion = 0; // Bumped on every inheritance change to invalidate cached grants
+    this.grantCache = new WeakMap(); // keypoint -> { version, signature, granted }
+    this.catalog = null;
+    this.loadCatalog(options.catalog || DEFAULT_SCOPE_CATALOG);
   }
   
-  initializeDefaultScopes() {
-    // Built-in scopes
-    this.defineScope('*', 'Full access to all resources');
-    this.defineScope('read', 'Read-only access');
-    this.defineScope('write', 'Read and write access');
-    this.defineScope('admin', 'Administrative access');
+  // Replaces every definition and inheritance with the catalog's. An invalid
+  // catalog throws a ScopeCatalogError and leaves the current scopes in place.
+  loadCatalog(catalog) {
+    const parsed = catalog instanceof ScopeCatalog ? catalog : new ScopeCatalog(catalog);
     
-    // API scopes
-    this.defineScope('api:public', 'Public API access');
-    this.defineScope('api:private', 'Private API access');
-    this.defineScope('api:internal', 'Internal API access');
-    
-    // Resource-specific scopes
-    this.defineScope('user:read', 'Read user data');
-    this.defineScope('user:write', 'Write user data');
-    this.defineScope('post:read', 'Read posts');
-    this.defineScope('post:write', 'Write posts');
+    this.scopeDefinitions = new Map();
+    this.scopeHierarchy = new Map();
+    for (const { name, description, inherits, deprecated, replacedBy, owner } of parsed.scopes) {
+      this.defineScope(name, description, { deprecated, replacedBy, owner });
+      if (inherits.length > 0) {
+        this.scopeHierarchy.set(name, new Set(inherits));
+      }
+    }
     
-    // Define hierarchy
-    this.addInheritance('admin', ['read', 'write', '*']);
-    this.addInheritance('write', ['read']);
-    this.addInheritance('api:internal', ['api:private', 'api:public']);
+    this.catalog = parsed;
+    this.hierarchyVersion++;
+    return this;
   }
   
   defineScope(name, description, metadata = {}) {
@@ -39,6 +99,12 @@ export class ScopeManager {
   }
   
   addInheritance(parentScope, childScopes) {
+    for (const child of childScopes) {
+      if (child === parentScope || this.getInheritedScopes(child).includes(parentScope)) {
+        throw new Error(`Inheriting ${child} from ${parentScope} would create a cycle`);
+      }
+    }
+    
     if (!this.scopeHierarchy.has(parentScope)) {
       this.scopeHierarchy.set(parentScope, new Set());
     }
@@ -47,6 +113,7 @@ export class ScopeManager {
     for (const child of childScopes) {
       parentSet.add(child);
     }
+    this.hierarchyVersion++;
   }
   
   validateScope(scope) {
@@ -78,20 +145,50 @@ export class ScopeManager {
     return Array.from(inherited);
   }
   
+  // A held scope grants everything it inherits (admin -> read); a deny scope
+  // wins over any grant, '*' included
   hasScope(availableScopes, requiredScope) {
-    if (availableScopes.includes('*')) {
-      return true;
+    return this.grants(this.grantedScopes(availableScopes), requiredScope);
+  }
+  
+  // Held scopes plus everything they inherit, with wildcard patterns and
+  // denies (without their '!') kept apart
+  grantedScopes(scopes) {
+    const exact = new Set();
+    const patterns = [];
+    const denies = [];
+    
+    for (const scope of this.expandScopes(scopes)) {
+      if (isDenyScope(scope)) {
+        denies.push(scope.slice(1));
+      } else if (scope.includes('*')) {
+        patterns.push(scope);
+      } else {
+        exact.add(scope);
+      }
     }
     
-    if (availableScopes.includes(requiredScope)) {
-      return true;
+    return { exact, patterns, denies };
+  }
+  
+  // A wildcard requirement ('org:7:*') is refused when a deny touches any part of it
+  grants({ exact, patterns, denies }, requiredScope) {
+    if (denies.some(deny => scopesOverlap(deny, requiredScope))) return false;
+    return exact.has(requiredScope) || patterns.some(pattern => scopeMatches(pattern, requiredScope));
+  }
+  
+  // Like hasScope, with the expanded set cached on the keypoint until its
+  // scopes or the hierarchy change
+  keypointHasScope(keypoint, requiredScope) {
+    const signature = keypoint.scopes.join(' ');
+    let entry = this.grantCache.get(keypoint);
+    
+    if (!entry || entry.version !== this.hierarchyVersion || entry.signature !== signature) {
+      entry = { version: this.hierarchyVersion, signature, granted: this.grantedScopes(keypoint.scopes) };
+      this.grantCache.set(keypoint, entry);
     }
     
-    // Check inheritance
-    const inherited = this.getInheritedScopes(requiredScope);
-    return inherited.some(inheritedScope => 
-      availableScopes.includes(inheritedScope)
-    );
+    return this.grants(entry.granted, requiredScope);
   }
   
   hasAnyScope(availableScopes, requiredScopes) {
@@ -119,39 +216,54 @@ export class ScopeManager {
       }
     }
     
-    return Array.from(expanded);
+    // Grants a deny takes away completely are left out; the denies stay
+    const denies = Array.from(expanded).filter(isDenyScope).map(scope => scope.slice(1));
+    return Array.from(expanded).filter(scope =>
+      isDenyScope(scope) || !denies.some(deny => scopeMatches(deny, scope))
+    );
   }
   
+  // Drops scopes that change nothing: grants another held scope already gives,
+  // grants a deny takes away completely, and denies that match no grant
   reduceScopes(scopes) {
-    const expanded = this.expandScopes(scopes);
-    const reduced = new Set();
+    const denies = scopes.filter(isDenyScope).map(scope => scope.slice(1));
+    const kept = scopes.filter(scope =>
+      !isDenyScope(scope) && !denies.some(deny => scopeMatches(deny, scope))
+    );
     
-    for (const scope of scopes) {
-      // Check if this scope is covered by another scope
-      const inherited = this.getInheritedScopes(scope);
-      const isCovered = inherited.some(inheritedScope => 
-        scope !== inheritedScope && scopes.includes(inheritedScope)
-      );
-      
-      if (!isCovered) {
-        reduced.add(scope);
+    for (const scope of [...kept]) {
+      const others = kept.filter(other => other !== scope);
+      if (this.grants({ ...this.grantedScopes(others), denies: [] }, scope)) {
+        kept.splice(kept.indexOf(scope), 1);
       }
     }
     
-    return Array.from(reduced);
+    const granted = this.expandScopes(kept);
+    const usefulDenies = denies.filter((deny, index) =>
+      granted.some(scope => scopesOverlap(deny, scope)) &&
+      !denies.some((other, otherIndex) => otherIndex !== index && other !== deny && scopeMatches(other, deny))
+    );
+    
+    return [...new Set([...kept, ...usefulDenies.map(deny => `!${deny}`)])];
   }
   
   validateScopeRequest(requestedScopes, allowedScopes) {
     const invalid = [];
     const denied = [];
+    // A request that repeats an allowed deny may ask for the grant around it
+    // ('*' next to '!billing:*')
+    const allowed = allowedScopes.filter(scope => !isDenyScope(scope) || !requestedScopes.includes(scope));
     
     for (const scope of requestedScopes) {
+      // Denies only take permissions away, so they can always be requested
+      if (isDenyScope(scope)) continue;
+      
       if (!this.validateScope(scope)) {
         invalid.push(scope);
         continue;
       }
       
-      if (!this.hasScope(allowedScopes, scope)) {
+      if (!this.hasScope(allowed, scope)) {
         denied.push(scope);
       }
     }
@@ -167,16 +279,7 @@ export class ScopeManager {
   }
   
   createScopePattern(pattern) {
-    if (pattern === '*') {
-      return () => true; // Matches all scopes
-    }
-    
-    if (pattern.includes('*')) {
-      const regex = new RegExp('^' + pattern.replace('*', '.*') + '$');
-      return (scope) => regex.test(scope);
-    }
-    
-    return (scope) => scope === pattern;
+    return (scope) => scopeMatches(pattern, scope);
   }
   
   matchScopes(pattern, scopes) {
@@ -184,6 +287,32 @@ export class ScopeManager {
     return scopes.filter(scope => matcher(scope));
   }
   
+  // Scopes that are neither defined (exactly or through a wildcard entry such
+  // as 'project:*:write') nor match a defined scope, and deprecated ones
+  checkScopes(scopes) {
+    // '*' grants everything but does not define everything
+    const defined = this.getAllScopes().filter(name => name !== '*');
+    const warnings = [];
+    
+    for (const held of scopes) {
+      const scope = isDenyScope(held) ? held.slice(1) : held;
+      const definition = this.scopeDefinitions.get(scope);
+      
+      if (!definition && !defined.some(name => scopeMatches(name, scope) || scopeMatches(scope, name))) {
+        warnings.push({ scope: held, problem: 'undefined' });
+      } else if (definition?.metadata.deprecated) {
+        warnings.push({
+          scope: held,
+          problem: 'deprecated',
+          ...(typeof definition.metadata.deprecated === 'string' && { reason: definition.metadata.deprecated }),
+          ...(definition.metadata.replacedBy && { replacedBy: definition.metadata.replacedBy })
+        });
+      }
+    }
+    
+    return warnings;
+  }
+  
   getAllScopes() {
     return Array.from(this.scopeDefinitions.keys());
   }
@@ -197,10 +326,31 @@ export class ScopeManager {
       tree[scope] = {
         ...definition,
         inherits: inherited,
-        children: Array.from(this.scopeHierarchy.get(scope) || [])
+        children: Array.from(this.scopeHierarchy.get(scope) || []),
+        conflicts: this.findConflicts([scope, ...inherited])
       };
     }
     
     return tree;
   }
-}
\ No newline at end of file
+  
+  // Grants that denies in the same set take away: partial when only some of
+  // what the grant covers is denied ('*' with '!billing:*')
+  findConflicts(scopes) {
+    const conflicts = [];
+    const denies = scopes.filter(isDenyScope);
+    
+    for (const scope of scopes.filter(scope => !isDenyScope(scope))) {
+      for (const deny of denies) {
+        if (scopesOverlap(deny.slice(1), scope)) {
+          conflicts.push({ scope, deniedBy: deny, partial: !scopeMatches(deny.slice(1), scope) });
+        }
+      }
+    }
+    
+    return conflicts;
+  }
+}
+
+// Used wherever no application ScopeManager is passed in
+export const defaultScopeManager = new ScopeManager();
\ No newline at end of file
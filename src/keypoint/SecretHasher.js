@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+export class SecretHasher {
+  constructor(options = {}) {
+    this.options = {
+      algorithm: 'scrypt', // 'scrypt' or 'pbkdf2'
+      keyLength: 32,
+      saltLength: 16,
+      // scrypt parameters
+      cost: 16384,
+      blockSize: 8,
+      parallelization: 1,
+      // pbkdf2 parameters
+      iterations: 210000,
+      digest: 'sha256',
+      ...options
+    };
+  }
+  
+  generateSecret(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+  }
+  
+  // Encoded as `scrypt$N$r$p$salt$hash` or `pbkdf2$digest$iterations$salt$hash`
+  async hash(secret) {
+    const salt = crypto.randomBytes(this.options.saltLength);
+    
+    if (this.options.algorithm === 'pbkdf2') {
+      const { iterations, digest, keyLength } = this.options;
+      const derived = await pbkdf2(String(secret), salt, iterations, keyLength, digest);
+      return ['pbkdf2', digest, iterations, salt.toString('base64'), derived.toString('base64')].join('$');
+    }
+    
+    const { cost, blockSize, parallelization, keyLength } = this.options;
+    const derived = await scrypt(String(secret), salt, keyLength, {
+      N: cost,
+      r: blockSize,
+      p: parallelization
+    });
+    return ['scrypt', cost, blockSize, parallelization, salt.toString('base64'), derived.toString('base64')].join('$');
+  }
+  
+  async verify(secret, secretHash) {
+    if (typeof secret !== 'string' || !this.isHash(secretHash)) {
+      return false;
+    }
+    
+    const parsed = this.parse(secretHash);
+    let derived;
+    
+    try {
+      if (parsed.algorithm === 'pbkdf2') {
+        derived = await pbkdf2(secret, parsed.salt, parsed.iterations, parsed.hash.length, parsed.digest);
+      } else {
+        derived = await scrypt(secret, parsed.salt, parsed.hash.length, {
+          N: parsed.cost,
+          r: parsed.blockSize,
+          p: parsed.parallelization
+        });
+      }
+    } catch {
+      return false;
+    }
+    
+    return crypto.timingSafeEqual(derived, parsed.hash);
+  }
+  
+  parse(secretHash) {
+    const parts = secretHash.split('$');
+    
+    if (parts[0] === 'pbkdf2') {
+      return {
+        algorithm: 'pbkdf2',
+        digest: parts[1],
+        iterations: parseInt(parts[2], 10),
+        salt: Buffer.from(parts[3], 'base64'),
+        hash: Buffer.from(parts[4], 'base64')
+      };
+    }
+    
+    return {
+      algorithm: 'scrypt',
+      cost: parseInt(parts[1], 10),
+      blockSize: parseInt(parts[2], 10),
+      parallelization: parseInt(parts[3], 10),
+      salt: Buffer.from(parts[4], 'base64'),
+      hash: Buffer.from(parts[5], 'base64')
+    };
+  }
+  
+  isHash(value) {
+    if (typeof value !== 'string') return false;
+    const parts = value.split('$');
+    return (parts[0] === 'scrypt' && parts.length === 6) ||
+           (parts[0] === 'pbkdf2' && parts.length === 5);
+  }
+  
+  // True when the hash was produced with weaker or different parameters
+  needsRehash(secretHash) {
+    if (!this.isHash(secretHash)) return true;
+    
+    const parsed = this.parse(secretHash);
+    if (parsed.algorithm !== this.options.algorithm) return true;
+    
+    if (parsed.algorithm === 'pbkdf2') {
+      return parsed.digest !== this.options.digest ||
+             parsed.iterations < this.options.iterations;
+    }
+    
+    return parsed.cost < this.options.cost ||
+           parsed.blockSize !== this.options.blockSize ||
+           parsed.parallelization !== this.options.parallelization;
+  }
+  
+  // Constant-time comparison for values of arbitrary length
+  static safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    
+    const digestA = crypto.createHash('sha256').update(a).digest();
+    const digestB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(digestA, digestB) && a.length === b.length;
+  }
+}
\ No newline at end of file
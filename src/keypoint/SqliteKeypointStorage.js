@@ -0,0 +1,456 @@
+import { createRequire } from 'module';
+import { KeypointStorage } from './KeypointStorage.js';
+import { Keypoint, KeypointStatus } from './Keypoint.js';
+
+const require = createRequire(import.meta.url);
+
+// Applied in order; each version runs once inside its own transaction
+export const SQLITE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create keypoints and scope index tables',
+    up: `
+      CREATE TABLE keypoints (
+        key_id TEXT PRIMARY KEY,
+        name TEXT,
+        status TEXT NOT NULL,
+        activates_at TEXT,
+        expires_at TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+      );
+      CREATE INDEX idx_keypoints_name ON keypoints (name);
+      CREATE INDEX idx_keypoints_status ON keypoints (status, activates_at);
+      CREATE INDEX idx_keypoints_expires_at ON keypoints (expires_at);
+      
+      CREATE TABLE keypoint_scopes (
+        key_id TEXT NOT NULL REFERENCES keypoints (key_id) ON DELETE CASCADE,
+        scope TEXT NOT NULL,
+        PRIMARY KEY (key_id, scope)
+      );
+      CREATE INDEX idx_keypoint_scopes_scope ON keypoint_scopes (scope);
+    `
+  },
+  {
+    version: 2,
+    description: 'Track delegation parents',
+    up: `
+      ALTER TABLE keypoints ADD COLUMN parent_key_id TEXT;
+      CREATE INDEX idx_keypoints_parent_key_id ON keypoints (parent_key_id);
+      UPDATE keypoints SET parent_key_id = json_extract(data, '$.parentKeyId');
+    `
+  }
+];
+
+function toISO(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Persistent storage on the built-in node:sqlite module (Node.js 22.5+)
+export class SqliteKeypointStorage extends KeypointStorage {
+  constructor(options = {}) {
+    super('sqlite');
+    
+    this.options = {
+      path: ':memory:',
+      database: null, // An already open DatabaseSync
+      migrations: [],
+      encryption: null, // EnvelopeEncryption for the data column; indexed columns stay readable
+      ...options
+    };
+    
+    this.encryption = this.options.encryption;
+    this.db = this.options.database || SqliteKeypointStorage.openDatabase(this.options.path);
+    // Tracked here: DatabaseSync#isTransaction and #isOpen are missing from early Node 22 releases
+    this.transactionDepth = 0;
+    this.closed = false;
+    this.db.exec('PRAGMA foreign_keys = ON');
+    this.db.exec('PRAGMA journal_mode = WAL');
+    
+    this.migrate([...SQLITE_MIGRATIONS, ...this.options.migrations]);
+    this.prepareStatements();
+    this.counters = new SqliteCounterState(this);
+  }
+  
+  static openDatabase(path) {
+    let sqlite;
+    try {
+      sqlite = require('node:sqlite');
+    } catch (error) {
+      throw new Error(`SqliteKeypointStorage requires node:sqlite (Node.js 22.5+): ${error.message}`);
+    }
+    return new sqlite.DatabaseSync(path);
+  }
+  
+  migrate(migrations) {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        description TEXT,
+        applied_at TEXT NOT NULL
+      )
+    `);
+    
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+    
+    const pending = migrations
+      .filter(migration => !applied.has(migration.version))
+      .sort((a, b) => a.version - b.version);
+    
+    for (const migration of pending) {
+      this.transaction(() => {
+        if (typeof migration.up === 'function') {
+          migration.up(this.db);
+        } else {
+          this.db.exec(migration.up);
+        }
+        
+        this.db.prepare('INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.description || null, new Date().toISOString());
+      });
+    }
+    
+    return pending.map(migration => migration.version);
+  }
+  
+  getSchemaVersion() {
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    return row?.version || 0;
+  }
+  
+  prepareStatements() {
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM keypoints WHERE key_id = ?'),
+      all: this.db.prepare('SELECT key_id, data FROM keypoints'),
+      updateData: this.db.prepare('UPDATE keypoints SET data = ? WHERE key_id = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO keypoints (key_id, name, status, activates_at, expires_at, parent_key_id, data, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (key_id) DO UPDATE SET
+          name = excluded.name,
+          status = excluded.status,
+          activates_at = excluded.activates_at,
+          expires_at = excluded.expires_at,
+          parent_key_id = excluded.parent_key_id,
+          data = excluded.data,
+          updated_at = excluded.updated_at
+      `),
+      deleteScopes: this.db.prepare('DELETE FROM keypoint_scopes WHERE key_id = ?'),
+      insertScope: this.db.prepare('INSERT OR IGNORE INTO keypoint_scopes (key_id, scope) VALUES (?, ?)'),
+      delete: this.db.prepare('DELETE FROM keypoints WHERE key_id = ?'),
+      byName: this.db.prepare('SELECT data FROM keypoints WHERE name = ?'),
+      byScope: this.db.prepare(`
+        SELECT k.data FROM keypoints k
+        JOIN keypoint_scopes s ON s.key_id = k.key_id
+        WHERE s.scope = ?
+      `),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM keypoints'),
+      expired: this.db.prepare('SELECT key_id FROM keypoints WHERE expires_at IS NOT NULL AND expires_at < ?')
+    };
+  }
+  
+  // Runs fn inside a transaction. fn must be synchronous so no other
+  // operation can interleave with it on the shared connection.
+  transaction(fn) {
+    if (this.transactionDepth > 0) {
+      this.transactionDepth++;
+      try {
+        return fn();
+      } finally {
+        this.transactionDepth--;
+      }
+    }
+    
+    this.db.exec('BEGIN IMMEDIATE');
+    this.transactionDepth = 1;
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    } finally {
+      this.transactionDepth = 0;
+    }
+  }
+  
+  hydrate(row) {
+    return row ? this.decodeRecord(JSON.parse(row.data)) : null;
+  }
+  
+  read(keyId) {
+    return this.hydrate(this.statements.get.get(keyId));
+  }
+  
+  write(keypoint) {
+    const record = Keypoint.fromJSON(keypoint);
+    
+    this.statements.upsert.run(
+      record.keyId,
+      record.name || null,
+      record.status,
+      toISO(record.activatesAt),
+      toISO(record.expiresAt),
+      record.parentKeyId || null,
+      JSON.stringify(this.encodeRecord(record)),
+      toISO(record.createdAt),
+      toISO(record.updatedAt)
+    );
+    
+    this.statements.deleteScopes.run(record.keyId);
+    for (const scope of record.scopes) {
+      this.statements.insertScope.run(record.keyId, scope);
+    }
+  }
+  
+  async set(keypoint) {
+    if (!keypoint.keyId) {
+      throw new Error('Keypoint must have keyId');
+    }
+    
+    this.transaction(() => this.write(keypoint));
+    return true;
+  }
+  
+  async get(keyId) {
+    return this.read(keyId);
+  }
+  
+  async getByName(name) {
+    return this.statements.byName.all(name).map(row => this.hydrate(row));
+  }
+  
+  async getByScope(scope) {
+    return this.statements.byScope.all(scope).map(row => this.hydrate(row));
+  }
+  
+  async update(keyId, updates) {
+    return this.transaction(() => this.applyUpdate(keyId, () => updates));
+  }
+  
+  // Read-modify-write in one transaction; buildUpdates sees the current record
+  applyUpdate(keyId, buildUpdates) {
+    const existing = this.read(keyId);
+    if (!existing) return false;
+    
+    this.write({ ...existing, ...buildUpdates(existing), updatedAt: new Date() });
+    return true;
+  }
+  
+  // Like applyUpdate, but counters are not an edit so updatedAt stays
+  async updateUsage(keyId, apply) {
+    return this.transaction(() => {
+      const existing = this.read(keyId);
+      if (!existing) return false;
+      
+      this.write({ ...existing, usage: apply(existing.usage || null) });
+      return true;
+    });
+  }
+  
+  async rotateSecret(keyId, credentials, graceUntil = null) {
+    const rotated = this.transaction(() => this.applyUpdate(keyId, existing =>
+      KeypointStorage.rotationUpdates(existing, credentials, graceUntil)
+    ));
+    
+    return rotated ? this.read(keyId) : null;
+  }
+  
+  async pruneExpiredSecrets(keyId, now = new Date()) {
+    return this.transaction(() => {
+      const existing = this.read(keyId);
+      if (!existing || existing.previousSecrets.length === 0) return [];
+      
+      const expired = existing.previousSecrets.filter(entry => new Date(entry.expiresAt) <= now);
+      if (expired.length > 0) {
+        this.applyUpdate(keyId, () => ({
+          previousSecrets: existing.previousSecrets.filter(entry => new Date(entry.expiresAt) > now)
+        }));
+      }
+      
+      return expired;
+    });
+  }
+  
+  async delete(keyId) {
+    return this.transaction(() => {
+      this.statements.deleteScopes.run(keyId);
+      return this.statements.delete.run(keyId).changes > 0;
+    });
+  }
+  
+  // Indexes live in SQL and are maintained by write()
+  async removeIndexes() {}
+  
+  async list(filter = {}) {
+    const where = [];
+    const params = [];
+    const now = new Date().toISOString();
+    
+    if (filter.scope) {
+      where.push(`EXISTS (SELECT 1 FROM keypoint_scopes s WHERE s.key_id = k.key_id AND s.scope IN (?, '*'))`);
+      params.push(filter.scope);
+    }
+    
+    // Encrypted rows cannot be searched in SQL, so protocols and tenants are
+    // matched after decryption, like usage, which only exists inside the record
+    const matchProtocolAfter = filter.protocol && this.encryption;
+    if (filter.protocol && !matchProtocolAfter) {
+      where.push(`EXISTS (SELECT 1 FROM json_each(k.data, '$.protocols') p WHERE p.value = ?)`);
+      params.push(filter.protocol);
+    }
+    
+    const matchTenantAfter = filter.tenantId !== undefined && this.encryption;
+    if (filter.tenantId !== undefined && !matchTenantAfter) {
+      if (filter.tenantId === null) {
+        where.push(`json_extract(k.data, '$.tenantId') IS NULL`);
+      } else {
+        where.push(`json_extract(k.data, '$.tenantId') = ?`);
+        params.push(filter.tenantId);
+      }
+    }
+    
+    if (filter.expired !== undefined) {
+      where.push(filter.expired
+        ? 'k.expires_at IS NOT NULL AND k.expires_at < ?'
+        : '(k.expires_at IS NULL OR k.expires_at >= ?)');
+      params.push(now);
+    }
+    
+    if (filter.name) {
+      where.push('k.name = ?');
+      params.push(filter.name);
+    }
+    
+    if (filter.parentKeyId !== undefined) {
+      if (filter.parentKeyId === null) {
+        where.push('k.parent_key_id IS NULL');
+      } else {
+        where.push('k.parent_key_id = ?');
+        params.push(filter.parentKeyId);
+      }
+    }
+    
+    if (filter.status) {
+      const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+      const clauses = statuses.map(status => this.statusClause(status, params, now));
+      where.push(`(${clauses.join(' OR ')})`);
+    }
+    
+    const sql = `SELECT k.data FROM keypoints k${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY k.created_at`;
+    const results = this.db.prepare(sql).all(...params).map(row => this.hydrate(row));
+    
+    return results.filter(keypoint => this.matchesFilter(keypoint, {
+      scope: filter.scope, // Deny scopes are only checked here
+      protocol: matchProtocolAfter ? filter.protocol : undefined,
+      tenantId: matchTenantAfter ? filter.tenantId : undefined,
+      used: filter.used,
+      unusedSince: filter.unusedSince
+    }));
+  }
+  
+  // Mirrors Keypoint#getStatus: pending keypoints count as active once activatesAt has passed
+  statusClause(status, params, now) {
+    if (status === KeypointStatus.ACTIVE) {
+      params.push(now);
+      return `(k.status = 'active' OR (k.status = 'pending' AND k.activates_at IS NOT NULL AND k.activates_at <= ?))`;
+    }
+    
+    if (status === KeypointStatus.PENDING) {
+      params.push(now);
+      return `(k.status = 'pending' AND (k.activates_at IS NULL OR k.activates_at > ?))`;
+    }
+    
+    params.push(status);
+    return 'k.status = ?';
+  }
+  
+  async count() {
+    return this.statements.count.get().count;
+  }
+  
+  async cleanupExpired() {
+    return this.transaction(() => {
+      const expired = this.statements.expired.all(new Date().toISOString());
+      for (const { key_id: keyId } of expired) {
+        this.statements.deleteScopes.run(keyId);
+        this.statements.delete.run(keyId);
+      }
+      return expired.length;
+    });
+  }
+  
+  // Re-wraps every data key under the new master key in one transaction
+  async rotateMasterKey(masterKey) {
+    if (!this.encryption) {
+      throw new Error('SqliteKeypointStorage is not encrypted');
+    }
+    
+    const rotation = this.encryption.rotateMasterKey(masterKey);
+    const count = this.transaction(() => {
+      const rows = this.statements.all.all();
+      for (const row of rows) {
+        const rewrapped = this.encryption.rewrap(JSON.parse(row.data));
+        this.statements.updateData.run(JSON.stringify(rewrapped), row.key_id);
+      }
+      return rows.length;
+    });
+    
+    return { ...rotation, count };
+  }
+  
+  close() {
+    if (!this.closed) {
+      this.closed = true;
+      this.db.close();
+    }
+  }
+}
+
+// Quota counters in the storage's own database, so they survive restarts and
+// are shared by every process using the file. TTLs are in ms. The table is
+// created like schema_migrations, outside the versions left to applications.
+export class SqliteCounterState {
+  constructor(storage) {
+    this.storage = storage;
+    storage.db.exec(`
+      CREATE TABLE IF NOT EXISTS counters (
+        key TEXT PRIMARY KEY,
+        value INTEGER NOT NULL,
+        expires_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_counters_expires_at ON counters (expires_at);
+    `);
+    this.statements = {
+      purge: storage.db.prepare('DELETE FROM counters WHERE expires_at IS NOT NULL AND expires_at <= ?'),
+      increment: storage.db.prepare(`
+        INSERT INTO counters (key, value, expires_at) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = value + excluded.value
+        RETURNING value
+      `),
+      get: storage.db.prepare('SELECT value FROM counters WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)'),
+      delete: storage.db.prepare('DELETE FROM counters WHERE key = ?')
+    };
+  }
+  
+  // Adds amount and returns the new value; the TTL is set when the counter is created
+  async increment(key, amount = 1, ttl = null) {
+    const now = Date.now();
+    return this.storage.transaction(() => {
+      this.statements.purge.run(now);
+      return this.statements.increment.get(key, amount, ttl ? now + ttl : null).value;
+    });
+  }
+  
+  async get(key) {
+    return this.statements.get.get(key, Date.now())?.value ?? null;
+  }
+  
+  async delete(key) {
+    return this.statements.delete.run(key).changes > 0;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,216 @@
+import crypto from 'crypto';
+import { Keypoint } from './Keypoint.js';
+
+const ALGORITHMS = ['HS256', 'EdDSA'];
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// IP, access time and certificate restrictions, as claims
+function accessClaims(keypoint) {
+  const claims = {};
+  if (keypoint.allowedIps?.length > 0) claims.ips = keypoint.allowedIps;
+  if (keypoint.notBefore) claims.nbf = Math.floor(new Date(keypoint.notBefore).getTime() / 1000);
+  if (keypoint.schedule) claims.sch = keypoint.schedule;
+  if (keypoint.certificateBinding) claims.cnf = keypoint.certificateBinding;
+  return claims;
+}
+
+// Compact JWT-style tokens (header.claims.signature) that carry everything
+// needed to authorize a request, so edge services can skip the storage lookup
+export class StatelessTokenSigner {
+  constructor(options = {}) {
+    this.options = {
+      algorithm: 'HS256', // 'HS256' or 'EdDSA' (Ed25519)
+      secret: null, // HS256 key, at least 32 bytes
+      privateKey: null, // EdDSA signing key (PEM or KeyObject)
+      publicKey: null, // EdDSA verification key; derived from privateKey when omitted
+      keyId: null, // Optional `kid` header for key rotation
+      issuer: 'keypointjs',
+      ttl: 900, // seconds
+      maxTtl: 3600, // seconds; also how long key-wide revocations are kept
+      clockSkew: 30, // seconds
+      fallback: 'never', // 'never' trusts the claims, 'always' also checks the stored keypoint
+      ...options
+    };
+    
+    if (!ALGORITHMS.includes(this.options.algorithm)) {
+      throw new Error(`Unsupported stateless token algorithm: ${this.options.algorithm}`);
+    }
+    
+    if (this.options.algorithm === 'HS256') {
+      if (!this.options.secret || Buffer.byteLength(this.options.secret) < 32) {
+        throw new Error('HS256 stateless tokens require a secret of at least 32 bytes');
+      }
+      this.hmacKey = Buffer.from(this.options.secret);
+    } else {
+      const { privateKey, publicKey } = this.options;
+      if (!privateKey && !publicKey) {
+        throw new Error('EdDSA stateless tokens require a privateKey or publicKey');
+      }
+      this.privateKey = privateKey instanceof crypto.KeyObject || !privateKey
+        ? privateKey
+        : crypto.createPrivateKey(privateKey);
+      this.publicKey = publicKey instanceof crypto.KeyObject
+        ? publicKey
+        : crypto.createPublicKey(publicKey || this.privateKey);
+    }
+  }
+  
+  // ancestors are the delegating keypoints above keypoint, root first
+  sign(keypoint, { ttl = this.options.ttl, scopes, ancestors = [], now = Date.now() } = {}) {
+    if (this.options.algorithm === 'EdDSA' && !this.privateKey) {
+      throw new Error('EdDSA signing requires a privateKey');
+    }
+    
+    const issuedAt = Math.floor(now / 1000);
+    let expiresAt = issuedAt + Math.min(ttl, this.options.maxTtl);
+    for (const holder of [keypoint, ...ancestors]) {
+      if (holder.expiresAt) {
+        expiresAt = Math.min(expiresAt, Math.floor(new Date(holder.expiresAt).getTime() / 1000));
+      }
+    }
+    
+    const claims = {
+      iss: this.options.issuer,
+      sub: keypoint.keyId,
+      jti: crypto.randomBytes(12).toString('base64url'),
+      iat: issuedAt,
+      exp: expiresAt,
+      scp: scopes || keypoint.scopes,
+      prt: keypoint.protocols
+    };
+    
+    // Restrictions travel with the token so they still apply without storage,
+    // including the certificate binding (cnf) and those of every ancestor
+    if (keypoint.allowedOrigins?.length > 0) claims.ori = keypoint.allowedOrigins;
+    Object.assign(claims, accessClaims(keypoint));
+    if (keypoint.tenantId) claims.ten = keypoint.tenantId;
+    if (ancestors.length > 0) {
+      claims.anc = ancestors.map(ancestor => ({ sub: ancestor.keyId, ...accessClaims(ancestor) }));
+    }
+    
+    const header = { alg: this.options.algorithm, typ: 'JWT' };
+    if (this.options.keyId) header.kid = this.options.keyId;
+    
+    const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+    
+    return {
+      token: `${signingInput}.${this.computeSignature(signingInput).toString('base64url')}`,
+      tokenId: claims.jti,
+      expiresAt: new Date(expiresAt * 1000)
+    };
+  }
+  
+  computeSignature(signingInput) {
+    if (this.options.algorithm === 'HS256') {
+      return crypto.createHmac('sha256', this.hmacKey).update(signingInput).digest();
+    }
+    return crypto.sign(null, Buffer.from(signingInput), this.privateKey);
+  }
+  
+  verifySignature(signingInput, signature) {
+    if (this.options.algorithm === 'HS256') {
+      const expected = this.computeSignature(signingInput);
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+    return crypto.verify(null, Buffer.from(signingInput), this.publicKey, signature);
+  }
+  
+  // Parses without verifying; null when the value is not a token of this shape
+  decode(token) {
+    if (typeof token !== 'string') return null;
+    
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts.some(part => !/^[A-Za-z0-9_-]+$/.test(part))) {
+      return null;
+    }
+    
+    const header = decodeSegment(parts[0]);
+    const claims = decodeSegment(parts[1]);
+    if (!header || header.typ !== 'JWT' || !claims || typeof claims !== 'object') {
+      return null;
+    }
+    
+    return {
+      header,
+      claims,
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  }
+  
+  isToken(value) {
+    return this.decode(value) !== null;
+  }
+  
+  // Returns { valid: true, claims } or { valid: false, reason }
+  verify(token, now = Date.now()) {
+    const decoded = this.decode(token);
+    if (!decoded) {
+      return { valid: false, reason: 'malformed' };
+    }
+    
+    // Never let the token pick its own algorithm
+    if (decoded.header.alg !== this.options.algorithm) {
+      return { valid: false, reason: 'algorithm' };
+    }
+    
+    if (!this.verifySignature(decoded.signingInput, decoded.signature)) {
+      return { valid: false, reason: 'signature' };
+    }
+    
+    const { claims } = decoded;
+    const seconds = Math.floor(now / 1000);
+    
+    if (claims.iss !== this.options.issuer || typeof claims.sub !== 'string') {
+      return { valid: false, reason: 'claims' };
+    }
+    
+    if (!Number.isFinite(claims.exp) || seconds > claims.exp + this.options.clockSkew) {
+      return { valid: false, reason: 'expired' };
+    }
+    
+    if (Number.isFinite(claims.iat) && claims.iat > seconds + this.options.clockSkew) {
+      return { valid: false, reason: 'not-yet-valid' };
+    }
+    
+    return { valid: true, claims };
+  }
+  
+  toKeypoint(claims) {
+    return new Keypoint({
+      keyId: claims.sub,
+      tenantId: claims.ten,
+      scopes: claims.scp || [],
+      protocols: claims.prt,
+      allowedOrigins: claims.ori,
+      allowedIps: claims.ips,
+      notBefore: Number.isFinite(claims.nbf) ? new Date(claims.nbf * 1000) : null,
+      schedule: claims.sch,
+      certificateBinding: claims.cnf,
+      expiresAt: new Date(claims.exp * 1000)
+    });
+  }
+  
+  // The delegating keypoints as far as the token describes them: their IP,
+  // access time and certificate restrictions
+  toAncestors(claims) {
+    return (Array.isArray(claims.anc) ? claims.anc : []).map(ancestor => new Keypoint({
+      keyId: ancestor.sub,
+      allowedIps: ancestor.ips,
+      notBefore: Number.isFinite(ancestor.nbf) ? new Date(ancestor.nbf * 1000) : null,
+      schedule: ancestor.sch,
+      certificateBinding: ancestor.cnf
+    }));
+  }
+}
\ No newline at end of file
@@ -0,0 +1,84 @@
+// Works out which tenant a request is for, before any keypoint is looked up
+
+export const TENANT_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,63}$/;
+
+export const BuiltInTenantSources = {
+  // X-Tenant-ID: acme
+  header(request, options) {
+    const value = request.headers?.[options.header];
+    return typeof value === 'string' && value ? { tenantId: value.trim() } : null;
+  },
+  
+  // acme.api.example.com with baseDomain 'api.example.com'
+  subdomain(request, options) {
+    if (!options.baseDomain) return null;
+    
+    const hostname = (request.url?.hostname || request.headers?.host || '').split(':')[0].toLowerCase();
+    const suffix = `.${options.baseDomain.toLowerCase()}`;
+    if (!hostname.endsWith(suffix)) return null;
+    
+    const label = hostname.slice(0, -suffix.length);
+    return label && !label.includes('.') ? { tenantId: label } : null;
+  },
+  
+  // /t/acme/orders with pathPrefix '/t/'; the route is matched as /orders
+  path(request, options) {
+    const pathname = request.url?.pathname || '';
+    if (!pathname.startsWith(options.pathPrefix)) return null;
+    
+    const rest = pathname.slice(options.pathPrefix.length);
+    const index = rest.indexOf('/');
+    const tenantId = index === -1 ? rest : rest.slice(0, index);
+    if (!tenantId) return null;
+    
+    return { tenantId: decodeURIComponent(tenantId), path: index === -1 ? '/' : rest.slice(index) };
+  }
+};
+
+export class TenantResolver {
+  constructor(options = {}) {
+    this.options = {
+      sources: ['header'], // Names from BuiltInTenantSources or functions (request, options) => { tenantId } | null
+      header: 'x-tenant-id',
+      baseDomain: null,
+      pathPrefix: '/t/',
+      pattern: TENANT_ID_PATTERN,
+      required: false, // Reject requests that do not name a tenant
+      ...options
+    };
+    
+    this.sources = this.options.sources.map(source => {
+      const resolve = typeof source === 'function' ? source : BuiltInTenantSources[source];
+      if (!resolve) {
+        throw new Error(`Unknown tenant source: ${source}`);
+      }
+      return { name: typeof source === 'function' ? source.name || 'custom' : source, resolve };
+    });
+  }
+  
+  // { tenantId, source, path } from the first source that names a tenant, null
+  // when none does, or { error } when the id is malformed or sources disagree.
+  // `path` is set when the tenant came out of the URL and the rest is what routes see.
+  resolve(request) {
+    let resolved = null;
+    
+    for (const { name, resolve } of this.sources) {
+      const result = resolve(request, this.options);
+      if (!result?.tenantId) continue;
+      
+      if (!this.options.pattern.test(result.tenantId)) {
+        return { error: `Invalid tenant id from ${name}` };
+      }
+      
+      if (!resolved) {
+        resolved = { tenantId: result.tenantId, source: name, path: result.path || null };
+      } else if (resolved.tenantId !== result.tenantId) {
+        return { error: `Tenant from ${name} does not match tenant from ${resolved.source}` };
+      } else if (result.path) {
+        resolved.path = result.path;
+      }
+    }
+    
+    return resolved;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,122 @@
+import { KeypointStorage } from './KeypointStorage.js';
+
+// One tenant's view of a shared storage. Keypoints of other tenants read as
+// missing, new keypoints are stamped with the tenant and listings never
+// leave it. Writes go straight to the wrapped storage.
+export class TenantScopedStorage extends KeypointStorage {
+  constructor(storage, tenantId) {
+    super('tenant');
+    
+    if (!storage) {
+      throw new Error('TenantScopedStorage requires a storage to wrap');
+    }
+    if (!tenantId) {
+      throw new Error('TenantScopedStorage requires a tenantId');
+    }
+    
+    this.storage = storage;
+    this.tenantId = tenantId;
+    this.encryption = storage.encryption;
+  }
+  
+  owns(keypoint) {
+    return Boolean(keypoint) && keypoint.tenantId === this.tenantId;
+  }
+  
+  async get(keyId) {
+    const keypoint = await this.storage.get(keyId);
+    return this.owns(keypoint) ? keypoint : null;
+  }
+  
+  async set(keypoint) {
+    if (keypoint.tenantId && keypoint.tenantId !== this.tenantId) {
+      throw new Error(`Keypoint ${keypoint.keyId} belongs to tenant ${keypoint.tenantId}`);
+    }
+    
+    // Key ids are global, so an id taken by another tenant cannot be reused here
+    const existing = await this.storage.get(keypoint.keyId);
+    if (existing && !this.owns(existing)) {
+      throw new Error(`Keypoint ${keypoint.keyId} belongs to another tenant`);
+    }
+    
+    keypoint.tenantId = this.tenantId;
+    return this.storage.set(keypoint);
+  }
+  
+  async update(keyId, updates) {
+    if (updates.tenantId !== undefined && updates.tenantId !== this.tenantId) {
+      throw new Error('Keypoints cannot be moved to another tenant');
+    }
+    if (!await this.get(keyId)) return false;
+    return this.storage.update(keyId, updates);
+  }
+  
+  async rotateSecret(keyId, credentials, graceUntil) {
+    if (!await this.get(keyId)) return null;
+    return this.storage.rotateSecret(keyId, credentials, graceUntil);
+  }
+  
+  async pruneExpiredSecrets(keyId, now) {
+    if (!await this.get(keyId)) return [];
+    return this.storage.pruneExpiredSecrets(keyId, now);
+  }
+  
+  async updateUsage(keyId, apply) {
+    if (!await this.get(keyId)) return false;
+    return this.storage.updateUsage(keyId, apply);
+  }
+  
+  async delete(keyId) {
+    if (!await this.get(keyId)) return false;
+    return this.storage.delete(keyId);
+  }
+  
+  async removeIndexes(keypoint) {
+    return this.storage.removeIndexes(keypoint);
+  }
+  
+  async getBySecret(secret, hasher) {
+    const keypoint = await this.storage.getBySecret(secret, hasher);
+    return this.owns(keypoint) ? keypoint : null;
+  }
+  
+  async getByCertificate(certificate) {
+    return (await this.storage.getByCertificate(certificate)).filter(keypoint => this.owns(keypoint));
+  }
+  
+  async getByName(name) {
+    return (await this.storage.getByName(name)).filter(keypoint => this.owns(keypoint));
+  }
+  
+  async getByScope(scope) {
+    return (await this.storage.getByScope(scope)).filter(keypoint => this.owns(keypoint));
+  }
+  
+  async list(filter = {}) {
+    return this.storage.list({ ...filter, tenantId: this.tenantId });
+  }
+  
+  async count() {
+    return (await this.list()).length;
+  }
+  
+  async cleanupExpired() {
+    let removed = 0;
+    for (const keypoint of await this.list({ expired: true })) {
+      if (await this.storage.delete(keypoint.keyId)) removed++;
+    }
+    return removed;
+  }
+  
+  // Imported records join this tenant whatever tenant they were exported from
+  async importRecord(record, ...options) {
+    if (record?.keyId && typeof record.keyId === 'string') {
+      const existing = await this.storage.get(record.keyId);
+      if (existing && !this.owns(existing)) {
+        return { keyId: record.keyId, action: 'error', error: 'Keypoint belongs to another tenant' };
+      }
+      record = { ...record, tenantId: this.tenantId };
+    }
+    return super.importRecord(record, ...options);
+  }
+}
\ No newline at end of file
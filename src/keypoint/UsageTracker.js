@@ -0,0 +1,190 @@
+const COUNTERS = ['requests', 'errors', 'bytesIn', 'bytesOut'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Routes beyond maxRoutes are counted together under this key
+export const OTHER_ROUTE = '(other)';
+
+// Collects per-keypoint request counters in memory and folds them into the
+// stored record (its `usage` field) every flushInterval ms, so requests never
+// wait on storage. Timestamps are ISO strings and daily buckets are UTC days.
+export class UsageTracker {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.options = {
+      flushInterval: 5000,
+      retentionDays: 90, // Daily buckets kept per keypoint
+      maxRoutes: 100,
+      maxRetries: 3, // Failed flushes before a keypoint's counters are dropped
+      onError: null, // ({ keyId, error, dropped }) for every failed write
+      ...options
+    };
+    
+    this.pending = new Map(); // keyId -> usage delta not yet written
+    this.failures = new Map(); // keyId -> failed writes in a row
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+  }
+  
+  static emptyUsage() {
+    return {
+      requests: 0,
+      errors: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+      firstSeenAt: null,
+      lastSeenAt: null,
+      lastIp: null,
+      lastProtocol: null,
+      routes: {},
+      daily: {}
+    };
+  }
+  
+  // Usage of a single request, in the same shape as the stored totals
+  static fromRequest({ route = null, ip = null, protocol = null, bytesIn = 0, bytesOut = 0, error = false, at = new Date() }) {
+    const seenAt = new Date(at).toISOString();
+    const counters = { requests: 1, errors: error ? 1 : 0, bytesIn, bytesOut };
+    
+    return {
+      ...counters,
+      firstSeenAt: seenAt,
+      lastSeenAt: seenAt,
+      lastIp: ip,
+      lastProtocol: protocol,
+      routes: route ? { [route]: { ...counters, lastSeenAt: seenAt } } : {},
+      daily: { [seenAt.slice(0, 10)]: { ...counters } }
+    };
+  }
+  
+  // Adds delta to usage (either may be null) and returns the new totals
+  static merge(usage, delta, { retentionDays = 90, maxRoutes = 100, now = new Date() } = {}) {
+    const result = usage ? structuredClone(usage) : UsageTracker.emptyUsage();
+    if (!delta) return result;
+    
+    addCounters(result, delta);
+    
+    if (delta.firstSeenAt && (!result.firstSeenAt || delta.firstSeenAt < result.firstSeenAt)) {
+      result.firstSeenAt = delta.firstSeenAt;
+    }
+    if (delta.lastSeenAt && (!result.lastSeenAt || delta.lastSeenAt >= result.lastSeenAt)) {
+      result.lastSeenAt = delta.lastSeenAt;
+      result.lastIp = delta.lastIp;
+      result.lastProtocol = delta.lastProtocol;
+    }
+    
+    for (const [route, counters] of Object.entries(delta.routes || {})) {
+      const key = route in result.routes || Object.keys(result.routes).length < maxRoutes ? route : OTHER_ROUTE;
+      const target = result.routes[key] ||= { requests: 0, errors: 0, bytesIn: 0, bytesOut: 0, lastSeenAt: null };
+      addCounters(target, counters);
+      if (!target.lastSeenAt || counters.lastSeenAt > target.lastSeenAt) {
+        target.lastSeenAt = counters.lastSeenAt;
+      }
+    }
+    
+    for (const [day, counters] of Object.entries(delta.daily || {})) {
+      addCounters(result.daily[day] ||= { requests: 0, errors: 0, bytesIn: 0, bytesOut: 0 }, counters);
+    }
+    
+    const oldest = new Date(new Date(now).getTime() - (retentionDays - 1) * DAY_MS).toISOString().slice(0, 10);
+    for (const day of Object.keys(result.daily)) {
+      if (day < oldest) delete result.daily[day];
+    }
+    
+    return result;
+  }
+  
+  // Response body size in bytes, as it would be sent
+  static sizeOf(body) {
+    if (body === null || body === undefined) return 0;
+    if (Buffer.isBuffer(body)) return body.length;
+    if (typeof body === 'string') return Buffer.byteLength(body);
+    
+    try {
+      return Buffer.byteLength(JSON.stringify(body));
+    } catch {
+      return 0;
+    }
+  }
+  
+  record(keyId, request = {}) {
+    this.absorb(keyId, UsageTracker.fromRequest(request));
+    
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flush().catch(error => console.error('UsageTracker flush failed:', error));
+      }, this.options.flushInterval);
+      this.flushTimer.unref?.();
+    }
+  }
+  
+  absorb(keyId, delta) {
+    this.pending.set(keyId, UsageTracker.merge(this.pending.get(keyId), delta, this.options));
+  }
+  
+  // Writes pending counters to storage now. Flushes run one at a time; a
+  // failed write is kept and retried with the next flush, up to maxRetries
+  // times, unless the keypoint is gone.
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    
+    this.flushing = this.flushing.then(async () => {
+      const pending = this.pending;
+      this.pending = new Map();
+      
+      for (const [keyId, delta] of pending) {
+        try {
+          await this.storage.updateUsage(keyId, usage => UsageTracker.merge(usage, delta, this.options));
+          this.failures.delete(keyId);
+        } catch (error) {
+          const failures = (this.failures.get(keyId) || 0) + 1;
+          const dropped = failures >= this.options.maxRetries || !(await this.exists(keyId));
+          
+          if (dropped) {
+            this.failures.delete(keyId);
+          } else {
+            this.failures.set(keyId, failures);
+            this.absorb(keyId, delta);
+          }
+          this.reportError({ keyId, error, dropped });
+        }
+      }
+    });
+    
+    return this.flushing;
+  }
+  
+  // A lookup that fails as well counts as the keypoint still being there
+  async exists(keyId) {
+    try {
+      return (await this.storage.get(keyId)) !== null;
+    } catch {
+      return true;
+    }
+  }
+  
+  reportError(event) {
+    if (this.options.onError) {
+      this.options.onError(event);
+    } else {
+      console.error(`Failed to record usage for ${event.keyId}${event.dropped ? '; counters dropped' : ''}:`, event.error);
+    }
+  }
+  
+  // Stored totals including anything not yet flushed
+  async getUsage(keyId) {
+    await this.flush();
+    const keypoint = await this.storage.get(keyId);
+    return keypoint ? UsageTracker.merge(keypoint.usage, null) : null;
+  }
+  
+  async close() {
+    await this.flush();
+  }
+}
+
+function addCounters(target, source) {
+  for (const counter of COUNTERS) {
+    target[counter] += source[counter] || 0;
+  }
+}
\ No newline at end of file
@@ -5,16 +5,40 @@
   
 */
 
+import { watchFile, unwatchFile } from 'fs';
 import { Context } from './core/Context.js';
 import { ProtocolEngine, ProtocolError } from './core/ProtocolEngine.js';
-import { Keypoint } from './keypoint/Keypoint.js';
+import { IpMatcher } from './core/IpMatcher.js';
+import { TimeZone } from './core/TimeZone.js';
+import { Keypoint, KeypointStatus } from './keypoint/Keypoint.js';
 import { KeypointContext } from './keypoint/KeypointContext.js';
 import { KeypointValidator } from './keypoint/KeypointValidator.js';
-import { MemoryKeypointStorage } from './keypoint/KeypointStorage.js';
-import { ScopeManager } from './keypoint/ScopeManager.js';
+import { KeypointError, KeypointErrorCodes } from './keypoint/KeypointErrors.js';
+import { KeypointStorage, MemoryKeypointStorage } from './keypoint/KeypointStorage.js';
+import { ScopeManager, isDenyScope } from './keypoint/ScopeManager.js';
+import { ScopeCatalog, ScopeCatalogError } from './keypoint/ScopeCatalog.js';
+import { SecretHasher } from './keypoint/SecretHasher.js';
+import { RequestSigner } from './keypoint/RequestSigner.js';
+import { NonceCache } from './keypoint/NonceCache.js';
+import { CredentialExtractor, BuiltInExtractors } from './keypoint/CredentialExtractor.js';
+import { KeypointToken } from './keypoint/KeypointToken.js';
+import { StatelessTokenSigner } from './keypoint/StatelessTokenSigner.js';
+import { RevocationList } from './keypoint/RevocationList.js';
+import { ClientCertificate } from './keypoint/ClientCertificate.js';
+import { SqliteKeypointStorage } from './keypoint/SqliteKeypointStorage.js';
+import { EnvelopeEncryption, EncryptionError } from './keypoint/EnvelopeEncryption.js';
+import { CachedKeypointStorage } from './keypoint/CachedKeypointStorage.js';
+import { RedisKeypointStorage } from './keypoint/RedisKeypointStorage.js';
+import { UsageTracker } from './keypoint/UsageTracker.js';
+import { QuotaManager } from './keypoint/QuotaManager.js';
+import { AccessSchedule } from './keypoint/AccessSchedule.js';
+import { TenantResolver, BuiltInTenantSources, TENANT_ID_PATTERN } from './keypoint/TenantResolver.js';
+import { TenantScopedStorage } from './keypoint/TenantScopedStorage.js';
+import { MemorySharedState, RespSharedState } from './core/SharedState.js';
+import { RespClient, RespError } from './core/RespClient.js';
 import { PolicyEngine } from './policy/PolicyEngine.js';
 import { BuiltInRules } from './policy/PolicyRule.js';
-import { MinimalRouter } from './router/MinimalRouter.js';
+import { MinimalRouter, routeScopes } from './router/MinimalRouter.js';
 import { PluginManager, BuiltInHooks } from './core/PluginManager.js';
 import { RateLimiter } from './plugins/RateLimiter.js';
 import { AuditLogger } from './plugins/AuditLogger.js';
@@ -43,6 +67,8 @@ export class KeypointJS {
         enableHttp2: true, // Enable HTTP/2
         enableHttp3: false, // Enable HTTP/3
         protocolEngines: {}, // Custom protocol engines
+        usageTracking: false, // Per-keypoint usage counters written into each record; true or UsageTracker options enable them
+        tenancy: null, // TenantResolver options (true for the defaults) to read the tenant from requests
         ...options
       };
     
@@ -98,7 +124,8 @@ export class KeypointJS {
     if (this.options.enableRateLimiter !== false) {
       const rateLimiter = new RateLimiter({
         window: this.options.rateLimitWindow || 60000,
-        max: this.options.rateLimitMax || 100
+        max: this.options.rateLimitMax || 100,
+        state: this.sharedState
       });
       this.registerPlugin(rateLimiter);
     }
@@ -117,13 +144,87 @@ export class KeypointJS {
     protocolEngines: this.options.protocolEngines
   });
     
+    // Counters, nonces, revocations and fanout shared between instances
+    // (e.g. RedisKeypointStorage#state); per-process when not set
+    this.sharedState = this.options.sharedState || null;
+    // A dropped subscriber connection (cache invalidation, fanout) is retried by the state
+    this.sharedState?.on?.('error', error => this.emit('state:error', { error }));
+    
     // Keypoint system
     this.keypointStorage = this.options.keypointStorage || new MemoryKeypointStorage();
-    this.scopeManager = new ScopeManager();
-    this.keypointValidator = new KeypointValidator(this.keypointStorage);
+    if (this.options.keypointCache) {
+      const cacheOptions = this.options.keypointCache === true ? {} : this.options.keypointCache;
+      this.keypointStorage = new CachedKeypointStorage(this.keypointStorage, {
+        channel: this.sharedState?.channel('keypoint:cache'),
+        ...cacheOptions
+      });
+    }
+    
+    // Per-keypoint request counters, written to storage in the background
+    this.usageTracker = null;
+    if (this.options.usageTracking) {
+      const usageOptions = this.options.usageTracking === true ? {} : this.options.usageTracking;
+      this.usageTracker = new UsageTracker(this.keypointStorage, {
+        onError: event => this.emit('usage:flush-failed', event),
+        ...usageOptions
+      });
+    }
+    
+    // Which tenant a request is for; without it the tenant comes from the keypoint
+    this.tenantResolver = this.options.tenancy
+      ? new TenantResolver(this.options.tenancy === true ? {} : this.options.tenancy)
+      : null;
+    
+    // Daily and monthly quotas for keypoints that define keypoint.quota. The
+    // counters go to the first state that survives a restart: the shared state,
+    // the Redis storage's own, or the SQLite or file storage's counters. An
+    // in-memory state is refused unless quotas.allowVolatileState is set
+    const storage = this.options.keypointStorage;
+    const quotaStates = [this.sharedState, storage?.state, storage?.counters].filter(Boolean);
+    this.quotaManager = new QuotaManager({
+      state: quotaStates.find(state => state.persistent !== false) || quotaStates[0] || null,
+      ...this.options.quotas
+    });
+    
+    // One ScopeManager for contexts, policies and delegation checks. Its scopes
+    // come from options.scopeCatalog when set: a definition, or a JSON/YAML
+    // file that is reloaded when it changes unless watchScopeCatalog is false
+    this.scopeManager = this.options.scopeManager || new ScopeManager();
+    this.scopeCatalogFile = typeof this.options.scopeCatalog === 'string' ? this.options.scopeCatalog : null;
+    if (this.options.scopeCatalog) {
+      this.scopeManager.loadCatalog(this.scopeCatalogFile
+        ? ScopeCatalog.fromFile(this.scopeCatalogFile)
+        : this.options.scopeCatalog);
+    }
+    this.onScopeCatalogChange = null;
+    if (this.scopeCatalogFile && this.options.watchScopeCatalog !== false) {
+      this.onScopeCatalogChange = () => {
+        this.reloadScopeCatalog().catch(error => this.emit('scopes:reload-failed', { error }));
+      };
+      watchFile(this.scopeCatalogFile, {
+        interval: this.options.scopeCatalogWatchInterval || 2000,
+        persistent: false
+      }, this.onScopeCatalogChange);
+    }
+    this.secretHasher = new SecretHasher(this.options.secretHashing);
+    this.tokenFormat = new KeypointToken(this.options.tokens);
+    this.statelessTokens = this.options.statelessTokens
+      ? new StatelessTokenSigner(this.options.statelessTokens)
+      : null;
+    this.revocationList = this.options.revocationList || new RevocationList({ state: this.sharedState });
+    this.keypointValidator = new KeypointValidator(this.keypointStorage, {
+      secretHasher: this.secretHasher,
+      tokenFormat: this.tokenFormat,
+      statelessTokens: this.statelessTokens,
+      revocationList: this.revocationList,
+      certificates: this.options.clientCertificates,
+      signature: this.options.requestSigning,
+      nonceCache: this.options.nonceCache || (this.sharedState ? new NonceCache({ state: this.sharedState }) : undefined),
+      credentials: this.options.credentials
+    });
     
     // Policy engine
-    this.policyEngine = new PolicyEngine();
+    this.policyEngine = new PolicyEngine({ scopeManager: this.scopeManager });
     
     // Router
     this.router = new MinimalRouter();
@@ -136,6 +237,13 @@ export class KeypointJS {
     
     // WebSocket support
     this.wsGuard = null;
+    
+    // Audit trail for keypoint lifecycle events
+    this.auditLogger = null;
+    
+    // Pending grace period expiries from secret rotation
+    this.secretGraceTimers = new Map();
+    this.secretGraceCatchUps = new Set(); // keyIds being expired after validation
   }
   
   // NEW METHOD: Create multi-protocol server
@@ -312,6 +420,14 @@ this.use(async (ctx, next) => {
       this.use(this.corsMiddleware.bind(this));
     }
     
+    // Layer 2b: Tenant resolution, so keypoints are only looked up within the tenant
+    if (this.tenantResolver) {
+      this.use(async (ctx, next) => {
+        this.resolveTenant(ctx);
+        return next(ctx);
+      });
+    }
+    
     // Layer 3: Keypoint Validation (if required)
     if (this.options.requireKeypoint) {
       this.use(async (ctx, next) => {
@@ -324,6 +440,7 @@ this.use(async (ctx, next) => {
           }
           
           this.stats.keypointValidations++;
+          this.catchUpSecretGrace(ctx.keypoint);
           
           // Validate origin if configured
           if (this.options.validateOrigin && !ctx.validateOrigin()) {
@@ -347,6 +464,10 @@ this.use(async (ctx, next) => {
     
     // Layer 4: Policy Check
     this.use(async (ctx, next) => {
+      // Route params are known before policies run, so scope templates can use them
+      const match = this.router.match(ctx.method, ctx.path);
+      ctx.params = match?.params || {};
+      
       await this.pluginManager.runHook(BuiltInHooks.BEFORE_POLICY_CHECK, ctx);
       
       try {
@@ -359,6 +480,9 @@ this.use(async (ctx, next) => {
         this.stats.policyChecks++;
         
         await this.pluginManager.runHook(BuiltInHooks.AFTER_POLICY_CHECK, ctx, decision);
+        
+        // Before the plugins and quotas, so a refused request is not charged
+        this.checkRouteAccess(ctx, match);
       } catch (error) {
         await this.pluginManager.runHook(BuiltInHooks.ON_ERROR, ctx, error);
         throw error;
@@ -372,6 +496,18 @@ this.use(async (ctx, next) => {
       return this.pluginManager.process(ctx, next);
     });
     
+    // Layer 5b: Quotas (after the rate limiter, so throttled requests are not charged)
+    this.use(async (ctx, next) => {
+      if (!ctx.keypoint?.quota) return next(ctx);
+      
+      const periods = await this.checkQuota(ctx);
+      await next(ctx);
+      
+      if (ctx.response?.headers) {
+        Object.assign(ctx.response.headers, QuotaManager.headers(periods));
+      }
+    });
+    
     // Layer 6: Route Execution
     this.use(async (ctx, next) => {
       await this.pluginManager.runHook(BuiltInHooks.BEFORE_ROUTE_EXECUTION, ctx);
@@ -455,7 +591,7 @@ this.use(async (ctx, next) => {
           'Access-Control-Allow-Origin': origin,
           'Access-Control-Allow-Credentials': 'true',
           'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, PATCH, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Keypoint-ID, X-Keypoint-Secret'
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Keypoint-ID, X-Keypoint-Secret, X-Keypoint-Token, X-Keypoint-Signature'
         };
       }
     }
@@ -492,33 +628,37 @@ this.use(async (ctx, next) => {
     return this;
   }
   
-  route(method, path, handler) {
-    this.router.route(method, path, handler);
+  // options.requireTenant: refuse requests without a tenant (from the request or the keypoint)
+  // options.scopes / options.allOf: scopes the keypoint must all hold; options.anyOf: one of
+  // them is enough. Templates like 'project:{projectId}:write' are filled from route params
+  // (path '/projects/:projectId') or body fields. Options may also come before the handler.
+  route(method, path, handler, options = {}) {
+    this.router.route(method, path, handler, options);
     return this;
   }
   
-  get(path, handler) {
-    return this.route('GET', path, handler);
+  get(path, handler, options) {
+    return this.route('GET', path, handler, options);
   }
   
-  post(path, handler) {
-    return this.route('POST', path, handler);
+  post(path, handler, options) {
+    return this.route('POST', path, handler, options);
   }
   
-  put(path, handler) {
-    return this.route('PUT', path, handler);
+  put(path, handler, options) {
+    return this.route('PUT', path, handler, options);
   }
   
-  delete(path, handler) {
-    return this.route('DELETE', path, handler);
+  delete(path, handler, options) {
+    return this.route('DELETE', path, handler, options);
   }
   
-  patch(path, handler) {
-    return this.route('PATCH', path, handler);
+  patch(path, handler, options) {
+    return this.route('PATCH', path, handler, options);
   }
   
-  options(path, handler) {
-    return this.route('OPTIONS', path, handler);
+  options(path, handler, options) {
+    return this.route('OPTIONS', path, handler, options);
   }
   
   // Plugin management
@@ -531,12 +671,16 @@ this.use(async (ctx, next) => {
       this.wsGuard = plugin;
     }
     
+    if (plugin instanceof AuditLogger) {
+      this.auditLogger = plugin;
+    }
+    
     return this;
   }
   
   enableWebSocket(options = {}) {
     if (!this.wsGuard) {
-      const wsGuard = new WebSocketGuard(options);
+      const wsGuard = new WebSocketGuard({ state: this.sharedState, ...options });
       this.registerPlugin(wsGuard);
     }
     return this.wsGuard;
@@ -545,30 +689,818 @@ this.use(async (ctx, next) => {
   // Keypoint management
   
   async createKeypoint(data) {
-    const Keypoint = (await import('./keypoint/Keypoint.js')).Keypoint;
-    const keypoint = new Keypoint(data);
+    this.validateKeypointData(data);
+    
+    const secret = data.secret || this.secretHasher.generateSecret();
+    const keypoint = new Keypoint({
+      ...data,
+      secret: undefined,
+      secretHash: await this.secretHasher.hash(secret),
+      signingKey: data.authModes?.includes('signature')
+        ? RequestSigner.deriveSigningKey(secret)
+        : null
+    });
     await this.keypointStorage.set(keypoint);
     
     this.emit('keypoint:created', { keypoint });
+    this.warnAboutScopes(keypoint);
+    
+    // Only the returned copy carries the plaintext secret; it is never stored
+    return new Keypoint({ ...keypoint, secret });
+  }
+  
+  // Checks shared by createKeypoint and importKeypoints
+  validateKeypointData(data) {
+    const tenantPattern = this.tenantResolver?.options.pattern || TENANT_ID_PATTERN;
+    if (data.tenantId && !(typeof data.tenantId === 'string' && tenantPattern.test(data.tenantId))) {
+      throw new ValidationError('Invalid tenant id', 400, [{ field: 'tenantId', message: 'Invalid tenant id' }]);
+    }
+    
+    // A broken schedule would otherwise only surface on the first request
+    if (data.schedule) {
+      const errors = AccessSchedule.validate(data.schedule);
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid keypoint schedule', 400, errors);
+      }
+    }
+    
+    // Likewise a quota with nowhere to keep its counters
+    if (data.quota) this.quotaManager.requireState();
+  }
+  
+  // Generates the key id and secret and returns them packed as `kp_<env>_<id>_<secret>_<crc>`
+  async createKeypointToken(data = {}, { environment } = {}) {
+    const { token, keyId, secret } = this.tokenFormat.generate({ environment });
+    const keypoint = await this.createKeypoint({ ...data, keyId, secret });
+    
+    return { token, keypoint };
+  }
+  
+  // Revoked keypoints stay in storage for audit purposes; use deleteKeypoint to purge
+  async revokeKeypoint(keyId, reason = '') {
+    const keypoint = await this.transitionKeypoint(keyId, KeypointStatus.REVOKED, {
+      reason,
+      from: [KeypointStatus.ACTIVE, KeypointStatus.SUSPENDED, KeypointStatus.PENDING]
+    });
+    if (!keypoint) return false;
+    
+    this.auditEvent('keypoint:revoked', { keyId, keypoint, reason });
+    await this.revokeIssuedTokens(keyId);
+    
+    // Delegated children go with their parent
+    const children = await this.keypointStorage.list({ parentKeyId: keyId });
+    for (const child of children) {
+      if (child.status !== KeypointStatus.REVOKED) {
+        await this.revokeKeypoint(child.keyId, `Parent keypoint ${keyId} revoked`);
+      }
+    }
+    
+    return true;
+  }
+  
+  // Stateless tokens
+  
+  async issueStatelessToken(keyId, options = {}) {
+    if (!this.statelessTokens) {
+      throw new Error('Stateless tokens are not enabled; set the statelessTokens option');
+    }
+    
+    const keypoint = await this.keypointStorage.get(keyId);
+    if (!keypoint) {
+      throw new ValidationError('Keypoint not found', 404);
+    }
+    
+    if (!keypoint.isActive() || keypoint.isExpired()) {
+      throw new ValidationError('Keypoint is not active', 409);
+    }
+    
+    const ancestors = keypoint.isDelegated()
+      ? await this.keypointValidator.validateDelegationChain(keypoint)
+      : [];
+    
+    // Tokens may carry fewer scopes than the keypoint, never more
+    if (options.scopes) {
+      const denied = options.scopes.filter(scope => !this.scopeManager.hasScope(keypoint.scopes, scope));
+      if (denied.length > 0) {
+        throw new ValidationError('Token scopes exceed keypoint scopes', 403, [{ field: 'scopes', denied }]);
+      }
+    }
+    
+    const issued = this.statelessTokens.sign(keypoint, { ...options, ancestors });
+    this.auditEvent('keypoint:token-issued', {
+      keyId,
+      tokenId: issued.tokenId,
+      expiresAt: issued.expiresAt
+    });
+    
+    return issued;
+  }
+  
+  async revokeStatelessToken(tokenId, expiresAt) {
+    const maxTtl = this.statelessTokens?.options.maxTtl ?? 3600;
+    await this.revocationList.revokeToken(tokenId, expiresAt || Date.now() + maxTtl * 1000);
+    this.auditEvent('keypoint:token-revoked', { tokenId });
+  }
+  
+  // Blocks tokens already handed out for a keypoint until they have all expired
+  async revokeIssuedTokens(keyId) {
+    if (!this.statelessTokens) return;
+    
+    const { maxTtl, clockSkew } = this.statelessTokens.options;
+    await this.revocationList.revokeKey(keyId, Date.now() + (maxTtl + clockSkew) * 1000);
+  }
+  
+  // Mints a keypoint whose permissions are a subset of a delegating parent's
+  async createChildKeypoint(parentKeyId, data = {}) {
+    const parent = await this.keypointStorage.get(parentKeyId);
+    if (!parent) {
+      throw new ValidationError('Parent keypoint not found', 404);
+    }
+    
+    if (!parent.canDelegate) {
+      throw new ValidationError('Keypoint is not allowed to delegate', 403);
+    }
+    
+    if (!parent.isActive() || parent.isExpired()) {
+      throw new ValidationError('Parent keypoint is not active', 409);
+    }
+    
+    if (parent.isDelegated()) {
+      await this.keypointValidator.validateDelegationChain(parent);
+    }
+    
+    const delegationChain = [...parent.delegationChain, parent.keyId];
+    const maxDepth = this.options.maxDelegationDepth ?? 3;
+    if (delegationChain.length > maxDepth) {
+      throw new ValidationError(`Delegation depth limit of ${maxDepth} reached`, 403);
+    }
+    
+    // Anything not given is inherited from the parent
+    const child = {
+      scopes: parent.scopes,
+      protocols: parent.protocols,
+      allowedOrigins: parent.allowedOrigins,
+      allowedIps: parent.allowedIps,
+      expiresAt: parent.expiresAt,
+      notBefore: parent.notBefore,
+      schedule: parent.schedule,
+      certificateBinding: parent.certificateBinding,
+      ...data,
+      keyId: data.keyId || KeypointToken.randomBase62(16),
+      status: KeypointStatus.ACTIVE,
+      parentKeyId: parent.keyId,
+      tenantId: parent.tenantId, // Delegation never crosses tenants
+      delegationChain,
+      canDelegate: Boolean(data.canDelegate)
+    };
+    // The parent's denies always come along
+    child.scopes = [...new Set([...child.scopes, ...parent.scopes.filter(isDenyScope)])];
+    
+    const errors = this.checkDelegationSubset(parent, child);
+    if (errors.length > 0) {
+      throw new ValidationError('Child keypoint exceeds parent permissions', 403, errors);
+    }
+    
+    const keypoint = await this.createKeypoint(child);
+    this.auditEvent('keypoint:delegated', {
+      keyId: keypoint.keyId,
+      parentKeyId: parent.keyId,
+      scopes: keypoint.scopes
+    });
+    
     return keypoint;
   }
   
-  async revokeKeypoint(keyId) {
+  checkDelegationSubset(parent, child) {
+    const errors = [];
+    
+    const scopeCheck = this.scopeManager.validateScopeRequest(child.scopes, parent.scopes);
+    // Scopes missing from the catalog can only be passed down verbatim
+    const invalid = scopeCheck.invalid.filter(scope => !parent.scopes.includes(scope));
+    if (scopeCheck.denied.length > 0 || invalid.length > 0) {
+      errors.push({ field: 'scopes', denied: [...scopeCheck.denied, ...invalid] });
+    }
+    
+    const protocols = child.protocols.filter(protocol => !parent.protocols.includes(protocol));
+    if (protocols.length > 0) {
+      errors.push({ field: 'protocols', denied: protocols });
+    }
+    
+    // An empty origin list means "any origin", which only an unrestricted parent can grant
+    if (parent.allowedOrigins.length > 0 && !parent.allowedOrigins.includes('*')) {
+      const origins = child.allowedOrigins.length === 0
+        ? ['*']
+        : child.allowedOrigins.filter(origin => !parent.allowedOrigins.includes(origin));
+      if (origins.length > 0) {
+        errors.push({ field: 'allowedOrigins', denied: origins });
+      }
+    }
+    
+    if (parent.expiresAt && (!child.expiresAt || new Date(child.expiresAt) > new Date(parent.expiresAt))) {
+      errors.push({ field: 'expiresAt', max: new Date(parent.expiresAt) });
+    }
+    
+    // Like origins, an empty list means "any address"; every entry must fall inside the parent's
+    if (parent.allowedIps.length > 0) {
+      const childIps = child.allowedIps || [];
+      const ips = childIps.length === 0
+        ? ['*']
+        : childIps.filter(entry => !IpMatcher.covers(parent.allowedIps, entry));
+      if (ips.length > 0) {
+        errors.push({ field: 'allowedIps', denied: ips });
+      }
+    }
+    
+    // The parent's windows and binding are also enforced on every request
+    // through the delegation chain; these catch attempts to drop them up front
+    if (parent.schedule && !child.schedule) {
+      errors.push({ field: 'schedule', message: 'Parent access schedule cannot be removed' });
+    }
+    if (parent.notBefore && (!child.notBefore || new Date(child.notBefore) < new Date(parent.notBefore))) {
+      errors.push({ field: 'notBefore', min: new Date(parent.notBefore) });
+    }
+    if (parent.certificateBinding &&
+      JSON.stringify(child.certificateBinding) !== JSON.stringify(parent.certificateBinding)) {
+      errors.push({ field: 'certificateBinding', message: 'Must match the parent certificate binding' });
+    }
+    
+    return errors;
+  }
+  
+  async suspendKeypoint(keyId, reason = '') {
+    const keypoint = await this.transitionKeypoint(keyId, KeypointStatus.SUSPENDED, {
+      reason,
+      from: [KeypointStatus.ACTIVE, KeypointStatus.PENDING]
+    });
+    if (!keypoint) return false;
+    
+    this.auditEvent('keypoint:suspended', { keyId, keypoint, reason });
+    await this.revokeIssuedTokens(keyId);
+    return true;
+  }
+  
+  async resumeKeypoint(keyId) {
+    const existing = await this.keypointStorage.get(keyId);
+    
+    // Resuming before a scheduled activation date keeps the keypoint pending
+    const status = existing?.activatesAt && new Date(existing.activatesAt) > new Date()
+      ? KeypointStatus.PENDING
+      : KeypointStatus.ACTIVE;
+    
+    const keypoint = await this.transitionKeypoint(keyId, status, {
+      from: [KeypointStatus.SUSPENDED]
+    });
+    if (!keypoint) return false;
+    
+    this.auditEvent('keypoint:resumed', { keyId, keypoint });
+    await this.revocationList.restoreKey(keyId);
+    return true;
+  }
+  
+  async activateKeypointAt(keyId, date) {
+    const activatesAt = new Date(date);
+    if (isNaN(activatesAt.getTime())) {
+      throw new ValidationError('Invalid activation date', 400);
+    }
+    
+    const status = activatesAt > new Date() ? KeypointStatus.PENDING : KeypointStatus.ACTIVE;
+    const keypoint = await this.transitionKeypoint(keyId, status, {
+      from: [KeypointStatus.ACTIVE, KeypointStatus.PENDING],
+      updates: { activatesAt }
+    });
+    if (!keypoint) return false;
+    
+    this.auditEvent('keypoint:activation-scheduled', { keyId, keypoint, activatesAt });
+    return true;
+  }
+  
+  async transitionKeypoint(keyId, status, options = {}) {
+    const keypoint = await this.keypointStorage.get(keyId);
+    if (!keypoint) return null;
+    
+    const current = keypoint.getStatus();
+    if (options.from && !options.from.includes(current)) {
+      throw new ValidationError(`Cannot change keypoint status from ${current} to ${status}`, 409);
+    }
+    
+    const now = new Date();
+    await this.keypointStorage.update(keyId, {
+      ...options.updates,
+      status,
+      statusReason: options.reason || null,
+      statusHistory: [
+        ...(keypoint.statusHistory || []),
+        { from: current, to: status, reason: options.reason || null, at: now }
+      ],
+      ...(status === KeypointStatus.REVOKED && { revokedAt: now })
+    });
+    
+    return await this.keypointStorage.get(keyId);
+  }
+  
+  async deleteKeypoint(keyId) {
+    const keypoint = await this.keypointStorage.get(keyId);
+    if (!keypoint) return false;
+    
+    await this.keypointStorage.delete(keyId);
+    this.auditEvent('keypoint:deleted', { keyId, keypoint });
+    await this.revokeIssuedTokens(keyId);
+    return true;
+  }
+  
+  async rotateKeypointSecret(keyId, options = {}) {
+    const keypoint = await this.keypointStorage.get(keyId);
+    if (!keypoint) return null;
+    
+    // Legacy plaintext secrets are hashed first so the grace entry never holds plaintext
+    if (!keypoint.secretHash && keypoint.secret) {
+      await this.keypointStorage.update(keyId, {
+        secret: undefined,
+        secretHash: await this.secretHasher.hash(keypoint.secret),
+        signingKey: keypoint.acceptsAuthMode('signature')
+          ? RequestSigner.deriveSigningKey(keypoint.secret)
+          : keypoint.signingKey
+      });
+    }
+    
+    const secret = options.secret || this.secretHasher.generateSecret();
+    const credentials = {
+      secretHash: await this.secretHasher.hash(secret),
+      signingKey: keypoint.acceptsAuthMode('signature')
+        ? RequestSigner.deriveSigningKey(secret)
+        : null
+    };
+    
+    const gracePeriod = options.gracePeriod ?? this.options.secretGracePeriod ?? 86400; // seconds
+    const graceUntil = gracePeriod > 0 ? new Date(Date.now() + gracePeriod * 1000) : null;
+    const rotated = await this.keypointStorage.rotateSecret(keyId, credentials, graceUntil);
+    
+    if (graceUntil) {
+      this.scheduleSecretGraceExpiry(keyId, graceUntil);
+    }
+    
+    this.auditEvent('keypoint:secret-rotated', {
+      keyId,
+      generation: rotated.secretGeneration,
+      previousGeneration: rotated.secretGeneration - 1,
+      graceUntil
+    });
+    
+    return {
+      keyId,
+      secret,
+      generation: rotated.secretGeneration,
+      graceUntil
+    };
+  }
+  
+  async expireSecretGrace(keyId) {
+    const expired = await this.keypointStorage.pruneExpiredSecrets(keyId);
+    
+    for (const entry of expired) {
+      this.auditEvent('keypoint:secret-grace-expired', {
+        keyId,
+        generation: entry.generation,
+        expiredAt: new Date(entry.expiresAt)
+      });
+    }
+    
+    // Reschedule for any generation still inside its grace period
     const keypoint = await this.keypointStorage.get(keyId);
-    if (keypoint) {
-      await this.keypointStorage.delete(keyId);
-      this.emit('keypoint:revoked', { keyId, keypoint });
-      return true;
+    const pending = keypoint?.getActivePreviousSecrets() || [];
+    if (pending.length > 0) {
+      const next = Math.min(...pending.map(entry => new Date(entry.expiresAt).getTime()));
+      this.scheduleSecretGraceExpiry(keyId, new Date(next));
     }
-    return false;
+    
+    return expired.length;
+  }
+  
+  // Timers do not survive a restart, so a grace period that ended while none
+  // was running is expired (and audited) the next time the keypoint is used.
+  // Runs in the background; the promise is returned for callers that want it.
+  catchUpSecretGrace(keypoint) {
+    if (!keypoint?.previousSecrets?.length || this.secretGraceCatchUps.has(keypoint.keyId)) return null;
+    if (keypoint.getActivePreviousSecrets().length === keypoint.previousSecrets.length) return null;
+    
+    this.secretGraceCatchUps.add(keypoint.keyId);
+    return this.expireSecretGrace(keypoint.keyId)
+      .catch(error => this.emitSecretGraceFailure(keypoint.keyId, error))
+      .finally(() => this.secretGraceCatchUps.delete(keypoint.keyId));
   }
   
+  // Expires grace periods that ended while the process was down and schedules
+  // timers for the rest; run when the server starts
+  async resumeSecretGraceExpiry() {
+    let expired = 0;
+    for (const keypoint of await this.keypointStorage.list()) {
+      if (keypoint.previousSecrets?.length && !this.secretGraceTimers.has(keypoint.keyId)) {
+        expired += await this.expireSecretGrace(keypoint.keyId);
+      }
+    }
+    return expired;
+  }
+  
+  scheduleSecretGraceExpiry(keyId, graceUntil) {
+    clearTimeout(this.secretGraceTimers.get(keyId));
+    
+    // setTimeout cannot wait longer than ~24.8 days; longer waits simply re-check
+    const delay = Math.min(Math.max(graceUntil - Date.now(), 0), 2147483647);
+    const timer = setTimeout(() => {
+      this.secretGraceTimers.delete(keyId);
+      this.expireSecretGrace(keyId).catch(error => this.emitSecretGraceFailure(keyId, error));
+    }, delay);
+    
+    timer.unref?.();
+    this.secretGraceTimers.set(keyId, timer);
+  }
+  
+  // keyId is null when resuming expiry for every keypoint failed
+  emitSecretGraceFailure(keyId, error) {
+    this.emit('keypoint:secret-grace-failed', { keyId, error, timestamp: new Date() });
+  }
+  
+  // Besides the storage filters, accepts used and unusedSince (see Usage Tracking)
   async listKeypoints(filter = {}) {
+    await this.usageTracker?.flush();
     return await this.keypointStorage.list(filter);
   }
   
-  async getKeypoint(keyId) {
-    return await this.keypointStorage.get(keyId);
+  // With options.tenantId, keypoints of other tenants are not found
+  async getKeypoint(keyId, options = {}) {
+    const keypoint = await this.keypointStorage.get(keyId);
+    if (keypoint && options.tenantId && keypoint.tenantId !== options.tenantId) {
+      return null;
+    }
+    return keypoint;
+  }
+  
+  // One tenant's view of the keypoint storage, e.g. for a customer-facing key management API
+  getTenantStorage(tenantId) {
+    return new TenantScopedStorage(this.keypointStorage, tenantId);
+  }
+  
+  // Route options enforced before the handler runs: requireTenant and scopes.
+  // A scope denial lists the missing scopes in details.required and, when
+  // none of the anyOf scopes is held, the alternatives in details.anyOf. The
+  // WWW-Authenticate header names them too, as details are hidden in strictMode.
+  checkRouteAccess(ctx, match) {
+    if (!match) return;
+    ctx.params = match.params;
+    
+    if (match.options.requireTenant && !ctx.tenantId) {
+      throw new KeypointError('Route requires a tenant', 403, {
+        errorCode: KeypointErrorCodes.TENANT_REQUIRED
+      });
+    }
+    
+    const { allOf, anyOf } = routeScopes(match.options);
+    const missing = allOf.filter(scope => !ctx.hasScope(scope));
+    const noneOf = anyOf.length > 0 && !anyOf.some(scope => ctx.hasScope(scope));
+    
+    if (missing.length > 0 || noneOf) {
+      const resolve = scope => ctx.resolveScope(scope) ?? scope;
+      const required = missing.map(resolve);
+      const alternatives = noneOf ? anyOf.map(resolve) : [];
+      
+      const error = new KeypointError('Insufficient scope', 403, {
+        errorCode: KeypointErrorCodes.INSUFFICIENT_SCOPE,
+        required,
+        ...(noneOf && { anyOf: alternatives })
+      });
+      error.headers = {
+        'WWW-Authenticate': `Bearer error="insufficient_scope", scope="${[...required, ...alternatives].join(' ')}"`
+      };
+      throw error;
+    }
+  }
+  
+  // Which routes each scope unlocks, as { scope: ['GET /users/:id', ...] } for
+  // every defined scope and every scope a route names. A scope is listed for a
+  // route when it grants one of the route's scopes through the hierarchy or
+  // wildcards; routes with several allOf scopes still need the others too.
+  getScopeRoutes() {
+    const routes = this.router.listRoutes();
+    const named = routes.flatMap(({ options }) => {
+      const { allOf, anyOf } = routeScopes(options);
+      return [...allOf, ...anyOf];
+    });
+    
+    const result = {};
+    for (const scope of new Set([...this.scopeManager.getAllScopes(), ...named])) {
+      result[scope] = routes
+        .filter(({ options }) => {
+          const { allOf, anyOf } = routeScopes(options);
+          // Template params stand for any one segment
+          return [...allOf, ...anyOf].some(required =>
+            required === scope || this.scopeManager.hasScope([scope], required.replace(/\{[^}]*\}/g, '*'))
+          );
+        })
+        .map(({ method, path }) => `${method} ${path}`);
+    }
+    
+    return result;
+  }
+  
+  // Sets ctx.tenantId from the request; a tenant taken from the path is removed
+  // from it, so routes are registered without the prefix
+  resolveTenant(ctx) {
+    const resolved = this.tenantResolver.resolve(ctx.request);
+    
+    if (resolved?.error) {
+      throw new KeypointError(resolved.error, 400, { errorCode: KeypointErrorCodes.TENANT_INVALID });
+    }
+    
+    if (!resolved) {
+      if (this.tenantResolver.options.required) {
+        throw new KeypointError('Tenant required', 400, { errorCode: KeypointErrorCodes.TENANT_REQUIRED });
+      }
+      return null;
+    }
+    
+    ctx.tenantId = resolved.tenantId;
+    if (resolved.path) {
+      // Routing sees the path without the prefix; signatures cover the URL as sent
+      ctx.request.originalUrl = ctx.request.originalUrl || ctx.request.url;
+      const url = new URL(String(ctx.request.url));
+      url.pathname = resolved.path;
+      ctx.request.url = url;
+    }
+    
+    return resolved.tenantId;
+  }
+  
+  // Charges the request against the keypoint's quotas; throws 429 once one is used up
+  async checkQuota(ctx) {
+    const keypoint = ctx.keypoint;
+    const match = this.router.match(ctx.method, ctx.path);
+    // Requests no route answers are not charged
+    if (!match) return [];
+    
+    const result = await this.quotaManager.consume(keypoint, match.route);
+    
+    for (const crossed of result.crossed) {
+      this.emit('quota:threshold', { keyId: keypoint.keyId, ...crossed });
+    }
+    
+    if (!result.allowed) {
+      const { exceeded } = result;
+      this.emit('quota:exceeded', { keyId: keypoint.keyId, cost: result.cost, ...exceeded });
+      
+      const error = new KeypointError(`${exceeded.period === 'daily' ? 'Daily' : 'Monthly'} quota exceeded`, 429, {
+        errorCode: KeypointErrorCodes.QUOTA_EXCEEDED,
+        period: exceeded.period,
+        limit: exceeded.limit,
+        remaining: exceeded.remaining,
+        resetAt: exceeded.resetAt
+      });
+      error.headers = {
+        ...QuotaManager.headers([exceeded]),
+        'Retry-After': String(Math.max(1, Math.ceil((exceeded.resetAt - Date.now()) / 1000)))
+      };
+      throw error;
+    }
+    
+    return result.periods;
+  }
+  
+  async getQuotaStatus(keyId) {
+    const keypoint = await this.keypointStorage.get(keyId);
+    if (!keypoint) return null;
+    return await this.quotaManager.getStatus(keypoint);
+  }
+  
+  // Starts the current period over, e.g. after a plan upgrade
+  async resetQuota(keyId, period = null) {
+    const keypoint = await this.keypointStorage.get(keyId);
+    if (!keypoint) return false;
+    
+    await this.quotaManager.reset(keypoint, period);
+    this.auditEvent('keypoint:quota-reset', { keyId, period });
+    return true;
+  }
+  
+  async getKeypointUsage(keyId) {
+    if (!this.usageTracker) {
+      const keypoint = await this.keypointStorage.get(keyId);
+      return keypoint ? keypoint.usage : null;
+    }
+    return await this.usageTracker.getUsage(keyId);
+  }
+  
+  // Import / export
+  
+  async exportKeypoints(options = {}) {
+    const data = await this.keypointStorage.exportKeypoints({ hasher: this.secretHasher, ...options });
+    this.auditEvent('keypoint:exported', {
+      filter: options.filter || {},
+      format: options.format || 'json',
+      secrets: options.secrets || 'hash'
+    });
+    return data;
+  }
+  
+  // Plaintext secrets in the input are hashed before storage. With
+  // regenerateSecrets, records without any secret (e.g. a redacted export)
+  // get a new one, returned once in the report like createKeypoint does.
+  // Records failing createKeypoint's checks are reported as errors.
+  async importKeypoints(data, options = {}) {
+    const { regenerateSecrets = false, ...importOptions } = options;
+    const secrets = new Map();
+    
+    const records = [];
+    for (const record of KeypointStorage.parseExport(data, importOptions.format)) {
+      if (!record?.keyId) {
+        records.push(record);
+        continue;
+      }
+      
+      let secret = record.secret;
+      if (!secret && !record.secretHash && regenerateSecrets) {
+        secret = this.secretHasher.generateSecret();
+        secrets.set(record.keyId, secret);
+      }
+      
+      records.push(secret ? await this.hashRecordSecret(record, secret) : record);
+    }
+    
+    const report = await this.keypointStorage.importKeypoints(records, {
+      ...importOptions,
+      validate: record => this.validateKeypointData(record)
+    });
+    
+    if (!report.dryRun) {
+      for (const item of report.items) {
+        if (secrets.has(item.keyId) && ['create', 'update'].includes(item.action)) {
+          item.secret = secrets.get(item.keyId);
+        }
+      }
+    }
+    
+    this.auditEvent('keypoint:imported', {
+      dryRun: report.dryRun,
+      created: report.created,
+      updated: report.updated,
+      skipped: report.skipped,
+      failed: report.failed
+    });
+    
+    return report;
+  }
+  
+  async hashRecordSecret(record, secret) {
+    return {
+      ...record,
+      secret: undefined,
+      secretHash: await this.secretHasher.hash(secret),
+      signingKey: record.authModes?.includes('signature')
+        ? RequestSigner.deriveSigningKey(secret)
+        : record.signingKey || null
+    };
+  }
+  
+  // Bulk operations
+  //
+  // 'create' takes options.items; 'update-scopes', 'suspend' and 'revoke'
+  // apply to options.keyIds or to every keypoint matching options.filter
+  // (list() filters). Each item is reported separately; one failure does not
+  // stop the rest.
+  async bulkKeypoints(action, options = {}) {
+    const operation = {
+      'create': item => this.bulkCreate(item),
+      'update-scopes': keyId => this.bulkUpdateScopes(keyId, options),
+      'suspend': keyId => this.bulkTransition(keyId, KeypointStatus.SUSPENDED, () =>
+        this.suspendKeypoint(keyId, options.reason)),
+      'revoke': keyId => this.bulkTransition(keyId, KeypointStatus.REVOKED, () =>
+        this.revokeKeypoint(keyId, options.reason))
+    }[action];
+    
+    if (!operation) {
+      throw new ValidationError(`Unknown bulk action: ${action}`, 400);
+    }
+    
+    let targets;
+    if (action === 'create') {
+      targets = options.items || [];
+    } else if (options.keyIds) {
+      targets = options.keyIds;
+    } else if (options.filter) {
+      targets = (await this.keypointStorage.list(options.filter)).map(keypoint => keypoint.keyId);
+    } else {
+      // Never act on every keypoint by accident: an empty filter has to be explicit
+      throw new ValidationError('Bulk actions need keyIds or a filter', 400);
+    }
+    
+    const report = { action, total: targets.length, succeeded: 0, failed: 0, results: [] };
+    
+    for (const target of targets) {
+      const keyId = action === 'create' ? target.keyId ?? null : target;
+      let result;
+      try {
+        result = { keyId, ...await operation(target) };
+        if (result.ok === false && !result.error) {
+          result.error = 'Keypoint not found';
+        }
+      } catch (error) {
+        result = { keyId, ok: false, error: error.message };
+        if (error.code) result.code = error.code;
+        if (error.errors?.length) result.errors = error.errors;
+      }
+      
+      report[result.ok ? 'succeeded' : 'failed']++;
+      report.results.push(result);
+    }
+    
+    this.auditEvent('keypoint:bulk', {
+      action,
+      total: report.total,
+      succeeded: report.succeeded,
+      failed: report.failed
+    });
+    
+    return report;
+  }
+  
+  // Already in the target state (e.g. revoked by a parent's cascade) counts as done
+  async bulkTransition(keyId, status, transition) {
+    const keypoint = await this.keypointStorage.get(keyId);
+    if (keypoint?.status === status) {
+      return { ok: true, unchanged: true };
+    }
+    return { ok: await transition() };
+  }
+  
+  async bulkCreate(item) {
+    if (item.keyId && await this.keypointStorage.get(item.keyId)) {
+      throw new ValidationError('Keypoint already exists', 409);
+    }
+    
+    const keypoint = item.parentKeyId
+      ? await this.createChildKeypoint(item.parentKeyId, item)
+      : await this.createKeypoint(item);
+    
+    return { ok: true, keyId: keypoint.keyId, secret: keypoint.secret };
+  }
+  
+  // options.scopes replaces the scopes; options.add / options.remove edit them
+  async bulkUpdateScopes(keyId, { scopes, add = [], remove = [] }) {
+    const keypoint = await this.keypointStorage.get(keyId);
+    if (!keypoint) return { ok: false };
+    
+    const next = [...new Set([...(scopes || keypoint.scopes), ...add])]
+      .filter(scope => !remove.includes(scope));
+    
+    // Delegated keypoints still have to stay within their parent
+    if (keypoint.parentKeyId) {
+      const parent = await this.keypointStorage.get(keypoint.parentKeyId);
+      const errors = parent ? this.checkDelegationSubset(parent, { ...keypoint, scopes: next }) : [];
+      if (errors.length > 0) {
+        throw new ValidationError('Child keypoint exceeds parent permissions', 403, errors);
+      }
+    }
+    
+    await this.keypointStorage.update(keyId, { scopes: next });
+    this.auditEvent('keypoint:scopes-updated', { keyId, from: keypoint.scopes, to: next });
+    this.warnAboutScopes({ keyId, scopes: next });
+    
+    return { ok: true, scopes: next };
+  }
+  
+  // Scope catalog
+  
+  // Re-reads the catalog file, or loads the given catalog, without a restart.
+  // An invalid catalog throws a ScopeCatalogError and the current scopes stay.
+  // Resolves to the keypoints the new catalog warns about.
+  async reloadScopeCatalog(catalog = this.scopeCatalogFile) {
+    if (!catalog) {
+      throw new ScopeCatalogError('No scope catalog to reload');
+    }
+    
+    this.scopeManager.loadCatalog(typeof catalog === 'string' ? ScopeCatalog.fromFile(catalog) : catalog);
+    this.emit('scopes:reloaded', { scopes: this.scopeManager.getAllScopes() });
+    
+    return this.checkKeypointScopes();
+  }
+  
+  // Stored keypoints holding undefined or deprecated scopes, as { keyId, warnings }
+  async checkKeypointScopes() {
+    const report = [];
+    for (const keypoint of await this.keypointStorage.list()) {
+      const warnings = this.warnAboutScopes(keypoint);
+      if (warnings.length > 0) {
+        report.push({ keyId: keypoint.keyId, warnings });
+      }
+    }
+    return report;
+  }
+  
+  // Emits scope:warning for undefined or deprecated scopes; never blocks the keypoint
+  warnAboutScopes({ keyId, scopes }) {
+    const warnings = this.scopeManager.checkScopes(scopes);
+    if (warnings.length > 0) {
+      this.emit('scope:warning', { keyId, warnings });
+    }
+    return warnings;
   }
   
   // Policy management
@@ -578,8 +1510,9 @@ this.use(async (ctx, next) => {
     return this;
   }
   
-  addPolicy(name, policyFn) {
-    this.policyEngine.addPolicy(name, policyFn);
+  // options.tenantId limits the policy to that tenant's requests
+  addPolicy(name, policyFn, options = {}) {
+    this.policyEngine.addPolicy(name, policyFn, options);
     return this;
   }
   
@@ -594,6 +1527,7 @@ this.use(async (ctx, next) => {
   
   async handleRequest(request, response) {
   const ctx = new KeypointContext(request);
+  ctx.scopeManager = this.scopeManager;
   this.stats.requests++;
   
   try {
@@ -611,12 +1545,15 @@ this.use(async (ctx, next) => {
       duration: ctx.response?.duration || 0
     });
     
-    return ctx.response || {
+    const result = ctx.response || {
       status: 404,
       headers: { 'Content-Type': 'application/json' },
       body: { error: 'Not Found', code: 404 }
     };
     
+    this.trackUsage(ctx, result);
+    return result;
+  
   } catch (error) {
     this.stats.failed++;
     
@@ -626,10 +1563,26 @@ this.use(async (ctx, next) => {
       timestamp: new Date()
     });
     
-    return this.options.errorHandler(error, ctx, response);
+    const result = await this.options.errorHandler(error, ctx, response);
+    this.trackUsage(ctx, result, error);
+    return result;
   }
 }
   
+  // Only counted in memory here; UsageTracker writes to storage later
+  trackUsage(ctx, result, error = null) {
+    if (!this.usageTracker || !ctx.keypoint) return;
+    
+    this.usageTracker.record(ctx.keypoint.keyId, {
+      route: ctx.route || null,
+      ip: ctx.getState('_ip') || ctx.ip || null,
+      protocol: ctx.getState('_protocol') || ctx.protocol || null,
+      bytesIn: Number(ctx.request?.headers?.['content-length']) || 0,
+      bytesOut: UsageTracker.sizeOf(result?.body),
+      error: Boolean(error) || (result?.status || 200) >= 400
+    });
+  }
+  
   async runMiddlewareChain(ctx, index = 0) {
     if (index >= this.middlewareChain.length) return;
     
@@ -702,6 +1655,9 @@ listen(port, hostname = '0.0.0.0', callback) {
     try {
       const servers = await this.createMultiProtocolServer();
       
+      // Grace timers from before a restart are gone; rebuild them from storage
+      this.resumeSecretGraceExpiry().catch(error => this.emitSecretGraceFailure(null, error));
+      
       // Start HTTP server
       servers.http.listen(port, hostname, () => {
         const address = servers.http.address();
@@ -849,7 +1805,8 @@ registerProtocolEngine(protocol, engine) {
     status,
     headers: {
       'Content-Type': 'application/json',
-      ...this.options.defaultResponseHeaders
+      ...this.options.defaultResponseHeaders,
+      ...error.headers // e.g. Retry-After on quota errors
     },
     body: {
       error: exposeDetails ? message : (status >= 500 ? 'Internal Server Error' : message),
@@ -905,6 +1862,20 @@ registerProtocolEngine(protocol, engine) {
     return this;
   }
   
+  // Emits the event and records it in the audit log when one is registered
+  auditEvent(event, data) {
+    this.emit(event, data);
+    
+    if (this.auditLogger) {
+      // Full keypoint records (hashes, signing keys) never go to the audit log
+      const { keypoint, ...details } = data;
+      this.auditLogger.logEvent(event, {
+        ...(keypoint?.tenantId && { tenantId: keypoint.tenantId }),
+        ...details
+      });
+    }
+  }
+  
   emit(event, data) {
     if (!this.events.has(event)) return;
     
@@ -1026,6 +1997,19 @@ registerProtocolEngine(protocol, engine) {
       this.wsGuard.cleanup();
     }
     
+    // Write out usage counters still held in memory
+    await this.usageTracker?.close();
+    
+    if (this.onScopeCatalogChange) {
+      unwatchFile(this.scopeCatalogFile, this.onScopeCatalogChange);
+    }
+    
+    // Stop pending secret grace timers
+    for (const timer of this.secretGraceTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.secretGraceTimers.clear();
+    
     // Emit shutdown event
     this.emit('shutdown', {
       timestamp: new Date(),
@@ -1038,16 +2022,6 @@ registerProtocolEngine(protocol, engine) {
 
 // Custom Error Classes
 
-export class KeypointError extends Error {
-  constructor(message, code = 401, details = {}) {
-    super(message);
-    this.name = 'KeypointError';
-    this.code = code;
-    this.details = details;
-    this.timestamp = new Date();
-  }
-}
-
 export class PolicyError extends Error {
   constructor(message, code = 403, decision = null) {
     super(message);
@@ -1103,13 +2077,44 @@ export {
   Context,
   ProtocolEngine,
   ProtocolError,
+  IpMatcher,
   // Protocol engines (optional exports)
   // Note: These are re-exported from ProtocolEngine.js
   Keypoint,
+  KeypointStatus,
   KeypointContext,
   KeypointValidator,
+  KeypointError,
+  KeypointErrorCodes,
   MemoryKeypointStorage,
+  SqliteKeypointStorage,
+  EnvelopeEncryption,
+  EncryptionError,
+  CachedKeypointStorage,
+  RedisKeypointStorage,
+  UsageTracker,
+  QuotaManager,
+  AccessSchedule,
+  TenantResolver,
+  BuiltInTenantSources,
+  TenantScopedStorage,
+  TimeZone,
+  MemorySharedState,
+  RespSharedState,
+  RespClient,
+  RespError,
   ScopeManager,
+  ScopeCatalog,
+  ScopeCatalogError,
+  SecretHasher,
+  RequestSigner,
+  NonceCache,
+  CredentialExtractor,
+  BuiltInExtractors,
+  KeypointToken,
+  StatelessTokenSigner,
+  RevocationList,
+  ClientCertificate,
   PolicyEngine,
   BuiltInRules,
   MinimalRouter,
@@ -33,6 +33,7 @@ export class AuditLogger {
       context.audit = {
         requestId: context.id,
         keypointId: context.getKeypointId(),
+        tenantId: context.tenantId || null,
         timestamp: new Date(),
         action: `${context.method} ${context.path}`,
         status: 'processing'
@@ -71,6 +72,7 @@ export class AuditLogger {
       level: details.status === 'error' ? 'error' : 'info',
       requestId: context.id,
       keypointId: context.getKeypointId(),
+      tenantId: context.tenantId || null,
       ip: context.ip,
       userAgent: context.getHeader('user-agent'),
       method: context.method,
@@ -84,6 +86,22 @@ export class AuditLogger {
       }
     };
     
+    return this.record(logEntry);
+  }
+  
+  // Non-request events such as keypoint lifecycle changes
+  async logEvent(event, details = {}) {
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      level: details.level || 'info',
+      event,
+      ...details
+    };
+    
+    return this.record(logEntry);
+  }
+  
+  async record(logEntry) {
     // Add to memory buffer
     this.logs.push(logEntry);
     
@@ -116,7 +134,7 @@ export class AuditLogger {
     const message = [
       `${color}[${entry.timestamp}]`,
       `${entry.level.toUpperCase()}`,
-      `${entry.method} ${entry.path}`,
+      entry.event || `${entry.method} ${entry.path}`,
       `${entry.status || ''}`,
       `${entry.duration ? `${entry.duration}ms` : ''}`,
       entry.error ? `- ${entry.error}` : '',
@@ -232,16 +250,24 @@ export class AuditLogger {
       filtered = filtered.filter(log => log.keypointId === filter.keypointId);
     }
     
+    if (filter.tenantId) {
+      filtered = filtered.filter(log => log.tenantId === filter.tenantId);
+    }
+    
     if (filter.ip) {
       filtered = filtered.filter(log => log.ip === filter.ip);
     }
     
+    if (filter.event) {
+      filtered = filtered.filter(log => log.event === filter.event);
+    }
+    
     if (filter.method) {
       filtered = filtered.filter(log => log.method === filter.method);
     }
     
     if (filter.path) {
-      filtered = filtered.filter(log => log.path.includes(filter.path));
+      filtered = filtered.filter(log => log.path?.includes(filter.path));
     }
     
     // Sort and limit
@@ -1,7 +1,10 @@
+import { MemorySharedState } from '../core/SharedState.js';
+
 export class RateLimiter {
   constructor(options = {}) {
-    this.limits = new Map();
     this.window = options.window || 60 * 1000; // 1 minute
+    // Counters live in shared state so every instance counts against the same limit
+    this.state = options.state || new MemorySharedState();
   }
   
   async process(context, next) {
@@ -9,16 +12,18 @@ export class RateLimiter {
     
     if (!keypoint) return next(context);
     
-    const limitKey = `rate:${keypoint.keyId}:${Date.now() / this.window}`;
+    const windowStart = Math.floor(Date.now() / this.window);
+    // Tenants get their own counter namespace
+    const owner = keypoint.tenantId ? `${keypoint.tenantId}:${keypoint.keyId}` : keypoint.keyId;
+    const limitKey = `rate:${owner}:${windowStart}`;
     
-    const current = this.limits.get(limitKey) || 0;
+    const current = await this.state.increment(limitKey, 1, this.window);
     const limit = keypoint.rateLimit.requests;
     
-    if (current >= limit) {
+    if (current > limit) {
       throw new Error('Rate limit exceeded', 429);
     }
     
-    this.limits.set(limitKey, current + 1);
     return next(context);
   }
 }
\ No newline at end of file
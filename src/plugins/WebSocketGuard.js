@@ -8,7 +8,11 @@ export class WebSocketGuard {
       keypointHeader: 'x-keypoint-id',
       requireKeypoint: true,
       pingInterval: 30000,
+      sessionCheckInterval: 5000, // How often keypoint session limits and schedules are enforced
       maxConnections: 1000,
+      state: null, // Shared state: broadcasts reach every instance's connections
+      trackingTtl: null, // ms a keypoint's shared connection set outlives its last refresh; 3 pings by default
+      fanoutChannel: 'ws:broadcast',
       ...options
     };
     
@@ -17,6 +21,15 @@ export class WebSocketGuard {
     this.messageHandlers = new Map();
     this.connectionCallbacks = [];
     this.disconnectionCallbacks = [];
+    this.sessionTimer = null;
+    
+    this.state = this.options.state;
+    this.fanout = this.state
+      ? this.state.subscribe(this.options.fanoutChannel, message => this.handleFanout(message)).catch(error => {
+        console.error('WebSocket fanout subscribe failed:', error);
+        return null;
+      })
+      : Promise.resolve(null);
   }
   
   async process(context, next) {
@@ -58,14 +71,28 @@ export class WebSocketGuard {
       getKeypointId: () => keypointId
     };
     
+    // The upgrade request names its tenant the same way HTTP requests do
+    const tenant = keypointJS.tenantResolver?.resolve(mockContext.request);
+    if (tenant?.error) {
+      callback(false, 400, tenant.error);
+      return;
+    }
+    if (!tenant && keypointJS.tenantResolver?.options.required) {
+      callback(false, 400, 'Tenant required');
+      return;
+    }
+    mockContext.tenantId = tenant?.tenantId || null;
+    
     // Validate keypoint if provided
     if (keypointId) {
       keypointJS.keypointValidator.validate(mockContext)
         .then(() => {
           callback(true);
         })
-        .catch(() => {
-          callback(false, 401, 'Invalid keypoint');
+        .catch(error => {
+          // Schedule denials keep their status and say when to come back
+          const retryAfter = error.headers?.['Retry-After'];
+          callback(false, error.code || 401, error.message || 'Invalid keypoint', retryAfter ? { 'Retry-After': retryAfter } : undefined);
         });
     } else {
       callback(true);
@@ -85,10 +112,12 @@ export class WebSocketGuard {
         ip: req.socket.remoteAddress,
         connectedAt: new Date(),
         lastActivity: new Date(),
+        lastMessageAt: new Date(), // Pongs keep a connection alive but do not count against maxIdle
         metadata: {}
       };
       
       this.connections.set(connectionId, connection);
+      this.trackConnection(connection);
       
       // Attach keypoint to WebSocket
       if (keypointId) {
@@ -96,6 +125,7 @@ export class WebSocketGuard {
           .then(keypoint => {
             connection.keypoint = keypoint;
             connection.scopes = keypoint.scopes;
+            connection.tenantId = keypoint.tenantId;
           })
           .catch(() => {
             // Keypoint not found, but connection already established
@@ -105,6 +135,7 @@ export class WebSocketGuard {
       // Setup message handler
       ws.on('message', async (data) => {
         connection.lastActivity = new Date();
+        connection.lastMessageAt = connection.lastActivity;
         await this.handleMessage(connection, data);
       });
       
@@ -139,6 +170,11 @@ export class WebSocketGuard {
     setInterval(() => {
       this.checkConnections();
     }, this.options.pingInterval);
+    
+    this.sessionTimer = setInterval(() => {
+      this.enforceSessionLimits();
+    }, this.options.sessionCheckInterval);
+    this.sessionTimer.unref?.();
   }
   
   generateConnectionId() {
@@ -187,6 +223,7 @@ export class WebSocketGuard {
     const connection = this.connections.get(connectionId);
     if (connection) {
       this.connections.delete(connectionId);
+      this.untrackConnection(connection);
       
       // Call disconnection callbacks
       this.disconnectionCallbacks.forEach(callback => callback(connection));
@@ -203,13 +240,60 @@ export class WebSocketGuard {
       if (idleTime > timeout) {
         connection.ws.terminate();
         this.connections.delete(connectionId);
+        this.untrackConnection(connection);
       } else {
         // Send ping
         connection.ws.ping();
+        // Keeps the shared set alive while this instance still holds the connection
+        this.trackConnection(connection);
       }
     }
   }
   
+  // Why a connection has to end under its keypoint's sessionLimits, notBefore
+  // or schedule: { code, reason, nextAllowedAt }, or null
+  sessionEndReason(connection, now = new Date()) {
+    const keypoint = connection.keypoint;
+    if (!keypoint) return null;
+    
+    const limits = keypoint.sessionLimits || {};
+    if (limits.maxDuration && now - connection.connectedAt >= limits.maxDuration * 1000) {
+      return { code: 4001, reason: 'Session duration exceeded', nextAllowedAt: null };
+    }
+    if (limits.maxIdle && now - connection.lastMessageAt >= limits.maxIdle * 1000) {
+      return { code: 4002, reason: 'Session idle for too long', nextAllowedAt: null };
+    }
+    
+    const access = keypoint.checkAccessTime?.(now);
+    if (access && !access.allowed) {
+      return { code: 4003, reason: 'Keypoint not allowed at this time', nextAllowedAt: access.nextAllowedAt };
+    }
+    
+    return null;
+  }
+  
+  enforceSessionLimits(now = new Date()) {
+    let closed = 0;
+    
+    for (const connection of this.connections.values()) {
+      const ending = connection.closing ? null : this.sessionEndReason(connection, now);
+      if (!ending) continue;
+      
+      // Removed from connections once the close completes
+      connection.closing = true;
+      connection.ws.send(JSON.stringify({
+        type: 'session:end',
+        reason: ending.reason,
+        nextAllowedAt: ending.nextAllowedAt?.toISOString() || null,
+        timestamp: now.toISOString()
+      }));
+      connection.ws.close(ending.code, ending.reason);
+      closed++;
+    }
+    
+    return closed;
+  }
+  
   // Public API
   onConnection(callback) {
     this.connectionCallbacks.push(callback);
@@ -227,14 +311,33 @@ export class WebSocketGuard {
   }
   
   broadcast(message, filter = {}) {
-    const messageStr = JSON.stringify(message);
+    this.deliver(JSON.stringify(message), filter);
     
+    if (this.state) {
+      this.state.publish(this.options.fanoutChannel, { origin: this.state.instanceId, message, filter })
+        .catch(error => console.error('WebSocket fanout publish failed:', error));
+    }
+    
+    return this.connections.size;
+  }
+  
+  // Broadcasts published by other instances
+  handleFanout({ origin, message, filter }) {
+    if (origin === this.state.instanceId) return;
+    this.deliver(JSON.stringify(message), filter || {});
+  }
+  
+  deliver(messageStr, filter) {
     for (const connection of this.connections.values()) {
       // Apply filters
       if (filter.keypointId && connection.keypointId !== filter.keypointId) {
         continue;
       }
       
+      if (filter.tenantId && connection.tenantId !== filter.tenantId) {
+        continue;
+      }
+      
       if (filter.scope && (!connection.scopes || !connection.scopes.includes(filter.scope))) {
         continue;
       }
@@ -245,8 +348,30 @@ export class WebSocketGuard {
       
       connection.ws.send(messageStr);
     }
-    
-    return this.connections.size;
+  }
+  
+  // Connection ids per keypoint, kept in shared state so all instances see them.
+  // The set expires once no instance refreshes it, so ids left behind by a
+  // crashed instance do not count forever.
+  trackConnection(connection) {
+    if (!this.state || !connection.keypointId) return;
+    const ttl = this.options.trackingTtl || this.options.pingInterval * 3;
+    this.state.addToSet(`ws:keypoint:${connection.keypointId}`, connection.id, ttl)
+      .catch(error => console.error('WebSocket connection tracking failed:', error));
+  }
+  
+  untrackConnection(connection) {
+    if (!this.state || !connection.keypointId) return;
+    this.state.removeFromSet(`ws:keypoint:${connection.keypointId}`, connection.id)
+      .catch(error => console.error('WebSocket connection tracking failed:', error));
+  }
+  
+  // Open connections for a keypoint across every instance sharing the state
+  async countKeypointConnections(keypointId) {
+    if (this.state) {
+      return this.state.setSize(`ws:keypoint:${keypointId}`);
+    }
+    return this.getConnections({ keypointId }).length;
   }
   
   sendToConnection(connectionId, message) {
@@ -269,6 +394,10 @@ export class WebSocketGuard {
       connections = connections.filter(c => c.keypointId === filter.keypointId);
     }
     
+    if (filter.tenantId) {
+      connections = connections.filter(c => c.tenantId === filter.tenantId);
+    }
+    
     if (filter.scope) {
       connections = connections.filter(c => 
         c.scopes && c.scopes.includes(filter.scope)
@@ -340,12 +469,20 @@ export class WebSocketGuard {
   }
   
   cleanup() {
+    clearInterval(this.sessionTimer);
+    this.sessionTimer = null;
+    
     if (this.wss) {
       this.wss.close();
       this.wss = null;
     }
     
+    for (const connection of this.connections.values()) {
+      this.untrackConnection(connection);
+    }
     this.connections.clear();
     this.messageHandlers.clear();
+    
+    this.fanout.then(unsubscribe => unsubscribe?.());
   }
 }
\ No newline at end of file
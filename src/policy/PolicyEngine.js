@@ -1,11 +1,29 @@
+import { defaultScopeManager } from '../keypoint/ScopeManager.js';
+
 export class PolicyEngine {
-  constructor() {
+  constructor(options = {}) {
+    this.scopeManager = options.scopeManager || defaultScopeManager;
     this.rules = [];
     this.policies = new Map();
+    this.tenantPolicies = new Map(); // tenantId -> Map of name -> policy
   }
   
-  addPolicy(name, policyFn) {
-    this.policies.set(name, policyFn);
+  // With options.tenantId the policy only exists for that tenant's requests,
+  // and takes precedence over a global policy of the same name
+  addPolicy(name, policyFn, options = {}) {
+    if (!options.tenantId) {
+      this.policies.set(name, policyFn);
+      return;
+    }
+    
+    if (!this.tenantPolicies.has(options.tenantId)) {
+      this.tenantPolicies.set(options.tenantId, new Map());
+    }
+    this.tenantPolicies.get(options.tenantId).set(name, policyFn);
+  }
+  
+  getPolicy(name, tenantId = null) {
+    return this.tenantPolicies.get(tenantId)?.get(name) || this.policies.get(name) || null;
   }
   
   addRule(rule) {
@@ -34,8 +52,8 @@ export class PolicyEngine {
     // Evaluate specific policies
     if (context.keypoint) {
       const policyName = context.keypoint.metadata.policy;
-      if (policyName && this.policies.has(policyName)) {
-        const policy = this.policies.get(policyName);
+      const policy = policyName && this.getPolicy(policyName, context.tenantId);
+      if (policy) {
         return await policy(context);
       }
     }
@@ -51,7 +69,8 @@ export class PolicyEngine {
       
       // Check scope
       if (config.scope) {
-        const hasScope = keypoint.hasScope(config.scope);
+        const scope = context.resolveScope ? context.resolveScope(config.scope) : config.scope;
+        const hasScope = scope !== null && this.scopeManager.keypointHasScope(keypoint, scope);
         if (!hasScope) {
           return {
             allowed: false,
@@ -1,3 +1,5 @@
+import { IpMatcher } from '../core/IpMatcher.js';
+
 export class PolicyRule {
   constructor(name, evaluator, options = {}) {
     this.name = name;
@@ -6,12 +8,17 @@ export class PolicyRule {
       priority: 0,
       enabled: true,
       description: '',
+      tenantId: null, // Only evaluated for requests of this tenant
       ...options
     };
   }
   
+  appliesTo(context) {
+    return !this.options.tenantId || this.options.tenantId === context.tenantId;
+  }
+  
   async evaluate(context) {
-    if (!this.options.enabled) {
+    if (!this.options.enabled || !this.appliesTo(context)) {
       return { allowed: true, rule: this.name };
     }
     
@@ -99,7 +106,7 @@ export class BuiltInRules {
         const ip = ctx.ip;
         
         // Check blocked first
-        if (blockedIPs.includes(ip) || this.isIPInRange(ip, blockedIPs)) {
+        if (this.isIPInRange(ip, blockedIPs)) {
           return {
             allowed: false,
             reason: `IP ${ip} is blocked`
@@ -108,7 +115,7 @@ export class BuiltInRules {
         
         // Check allowed (if specified)
         if (allowedIPs.length > 0) {
-          if (!allowedIPs.includes(ip) && !this.isIPInRange(ip, allowedIPs)) {
+          if (!this.isIPInRange(ip, allowedIPs)) {
             return {
               allowed: false,
               reason: `IP ${ip} not allowed`
@@ -218,29 +225,16 @@ export class BuiltInRules {
     );
   }
   
+  // Accepts exact addresses, CIDR blocks and start-end ranges (IPv4 and IPv6)
   static isIPInRange(ip, ranges) {
-    for (const range of ranges) {
-      if (range.includes('/')) {
-        // CIDR notation
-        if (this.isIPInCIDR(ip, range)) return true;
-      } else if (range.includes('-')) {
-        // IP range
-        if (this.isIPInRangeNotation(ip, range)) return true;
-      } else if (ip === range) {
-        return true;
-      }
-    }
-    return false;
+    return IpMatcher.matchesAny(ip, ranges);
   }
   
   static isIPInCIDR(ip, cidr) {
-    // Simplified CIDR check - in production use a proper library
-    const [network, prefix] = cidr.split('/');
-    return ip.startsWith(network);
+    return IpMatcher.isInCIDR(ip, cidr);
   }
   
   static isIPInRangeNotation(ip, range) {
-    const [start, end] = range.split('-');
-    return ip >= start && ip <= end;
+    return IpMatcher.isInRange(ip, range);
   }
 }
\ No newline at end of file
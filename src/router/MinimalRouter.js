@@ -1,39 +1,121 @@
+// Params from a path against a route's segments ('/projects/:projectId'), or null
+function matchSegments(segments, path) {
+  const parts = path.split('/');
+  if (parts.length !== segments.length) return null;
+  
+  const params = {};
+  for (let i = 0; i < segments.length; i++) {
+    if (segments[i].startsWith(':')) {
+      if (!parts[i]) return null;
+      try {
+        params[segments[i].slice(1)] = decodeURIComponent(parts[i]);
+      } catch {
+        return null;
+      }
+    } else if (segments[i] !== parts[i]) {
+      return null;
+    }
+  }
+  
+  return params;
+}
+
+// The scopes a route needs: all of `scopes` and `allOf`, and one of `anyOf`
+export function routeScopes(options = {}) {
+  return {
+    allOf: [...[].concat(options.scopes || []), ...[].concat(options.allOf || [])],
+    anyOf: [].concat(options.anyOf || [])
+  };
+}
+
 export class MinimalRouter {
   constructor() {
     this.routes = new Map();
+    this.routeOptions = new Map(); // Per-route settings, e.g. { requireTenant: true }
+    this.paramRoutes = new Map(); // Routes with :params -> { method, segments }
   }
   
-  route(method, path, handler) {
+  // options.scopes / options.allOf: scopes the keypoint must all hold, and
+  // options.anyOf: scopes it must hold one of. Any of them may be templates
+  // filled from route params ('project:{projectId}:write'). Options may come
+  // before the handler: route('GET', '/users', { scopes: ['user:read'] }, handler)
+  route(method, path, handler, options = {}) {
+    if (typeof handler !== 'function' && typeof options === 'function') {
+      [handler, options] = [options, handler || {}];
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Route ${method}:${path} needs a handler function`);
+    }
+    
     const key = `${method}:${path}`;
     this.routes.set(key, handler);
+    this.routeOptions.set(key, options);
+    
+    if (path.split('/').some(segment => segment.startsWith(':'))) {
+      this.paramRoutes.set(key, { method, segments: path.split('/') });
+    }
+  }
+  
+  get(path, handler, options) {
+    this.route('GET', path, handler, options);
+  }
+  
+  post(path, handler, options) {
+    this.route('POST', path, handler, options);
   }
   
-  get(path, handler) {
-    this.route('GET', path, handler);
+  put(path, handler, options) {
+    this.route('PUT', path, handler, options);
   }
   
-  post(path, handler) {
-    this.route('POST', path, handler);
+  delete(path, handler, options) {
+    this.route('DELETE', path, handler, options);
   }
   
-  put(path, handler) {
-    this.route('PUT', path, handler);
+  // Every route with its options, in registration order
+  listRoutes() {
+    return Array.from(this.routes.keys(), route => {
+      const separator = route.indexOf(':');
+      return {
+        route,
+        method: route.slice(0, separator),
+        path: route.slice(separator + 1),
+        options: this.routeOptions.get(route) || {}
+      };
+    });
   }
   
-  delete(path, handler) {
-    this.route('DELETE', path, handler);
+  // The registered route for a request, or null. Literal paths win over
+  // parameterized ones, which are tried in registration order.
+  match(method, path) {
+    const key = `${method}:${path}`;
+    if (this.routes.has(key) && !this.paramRoutes.has(key)) {
+      return { route: key, handler: this.routes.get(key), options: this.routeOptions.get(key) || {}, params: {} };
+    }
+    
+    for (const [route, { method: routeMethod, segments }] of this.paramRoutes) {
+      if (routeMethod !== method) continue;
+      
+      const params = matchSegments(segments, path);
+      if (params) {
+        return { route, handler: this.routes.get(route), options: this.routeOptions.get(route) || {}, params };
+      }
+    }
+    
+    return null;
   }
   
   async handle(context) {
     const { request } = context;
-    const key = `${request.method}:${request.url.pathname}`;
-    
-    const handler = this.routes.get(key);
-    if (!handler) {
-      throw new Error(`Route not found: ${key}`, 404);
+    const match = this.match(request.method, request.url.pathname);
+    if (!match) {
+      throw new Error(`Route not found: ${request.method}:${request.url.pathname}`, 404);
     }
     
-    const result = await handler(context);
+    context.route = match.route; // The matched route, e.g. for usage tracking
+    context.params = match.params;
+    
+    const result = await match.handler(context);
     context.response = result;
     
     return context;
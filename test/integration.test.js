@@ -34,6 +34,7 @@ describe('KeypointJS Integration Tests', () => {
       });
       
       await storage.set(keypoint);
+      await storage.compact();
       
       // Verify file exists and contains data
       const fileContent = await fs.readFile(filePath, 'utf-8');
@@ -63,11 +64,14 @@ describe('KeypointJS Integration Tests', () => {
       await fs.writeFile(filePath, JSON.stringify(testData));
       
       const storage = new FileKeypointStorage(filePath);
+      await storage.ready();
       
       // Should load from file
       const keypoint = await storage.get('load_test_123');
       assert.strictEqual(keypoint.keyId, 'load_test_123');
       assert.strictEqual(keypoint.name, 'Load Test');
+      assert.ok(keypoint instanceof Keypoint);
+      assert.ok(!keypoint.isExpired());
     });
   });
   
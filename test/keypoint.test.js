@@ -0,0 +1,2790 @@
+import { describe, it, beforeEach, afterEach, after } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { KeypointJS } from '../src/keypointJS.js';
+import { Keypoint, KeypointStatus } from '../src/keypoint/Keypoint.js';
+import { KeypointContext } from '../src/keypoint/KeypointContext.js';
+import { SecretHasher } from '../src/keypoint/SecretHasher.js';
+import { RequestSigner } from '../src/keypoint/RequestSigner.js';
+import { KeypointValidator, KeypointErrorCodes } from '../src/keypoint/KeypointValidator.js';
+import { CredentialExtractor } from '../src/keypoint/CredentialExtractor.js';
+import { KeypointToken } from '../src/keypoint/KeypointToken.js';
+import { StatelessTokenSigner } from '../src/keypoint/StatelessTokenSigner.js';
+import { FileKeypointStorage, MemoryKeypointStorage } from '../src/keypoint/KeypointStorage.js';
+import { CachedKeypointStorage } from '../src/keypoint/CachedKeypointStorage.js';
+import { RedisKeypointStorage } from '../src/keypoint/RedisKeypointStorage.js';
+import { UsageTracker, OTHER_ROUTE } from '../src/keypoint/UsageTracker.js';
+import { QuotaManager } from '../src/keypoint/QuotaManager.js';
+import { TimeZone } from '../src/core/TimeZone.js';
+import { MemorySharedState } from '../src/core/SharedState.js';
+import { AccessSchedule } from '../src/keypoint/AccessSchedule.js';
+import { TenantResolver } from '../src/keypoint/TenantResolver.js';
+import { TenantScopedStorage } from '../src/keypoint/TenantScopedStorage.js';
+import { ScopeCatalog, ScopeCatalogError } from '../src/keypoint/ScopeCatalog.js';
+import { ScopeManager, scopeMatches, scopesOverlap, resolveScopeTemplate } from '../src/keypoint/ScopeManager.js';
+import { WebSocketGuard } from '../src/plugins/WebSocketGuard.js';
+import { NonceCache } from '../src/keypoint/NonceCache.js';
+import { RevocationList } from '../src/keypoint/RevocationList.js';
+import { RateLimiter } from '../src/plugins/RateLimiter.js';
+import { SqliteKeypointStorage } from '../src/keypoint/SqliteKeypointStorage.js';
+import { EnvelopeEncryption, EncryptionError } from '../src/keypoint/EnvelopeEncryption.js';
+import { AuditLogger } from '../src/plugins/AuditLogger.js';
+import { BuiltInRules, PolicyRule } from '../src/policy/PolicyRule.js';
+import { IpMatcher } from '../src/core/IpMatcher.js';
+import { MinimalRouter } from '../src/router/MinimalRouter.js';
+import { RespStandInServer } from './support/RespStandInServer.js';
+
+function createContext(headers = {}, options = {}) {
+  return new KeypointContext({
+    method: options.method || 'GET',
+    url: new URL(options.url || 'http://localhost/test'),
+    headers,
+    query: {},
+    ip: options.ip || '127.0.0.1',
+    protocol: options.protocol || 'https',
+    body: options.body,
+    ...options.request
+  });
+}
+
+describe('Keypoint Tests', () => {
+  let api;
+  
+  beforeEach(() => {
+    api = new KeypointJS({
+      enableAuditLog: false,
+      enableRateLimiter: false,
+      strictMode: false
+    });
+  });
+  
+  describe('Secret Hashing', () => {
+    it('should hash and verify secrets', async () => {
+      const hasher = new SecretHasher();
+      const hash = await hasher.hash('s3cret');
+      
+      assert.ok(hasher.isHash(hash));
+      assert.ok(!hash.includes('s3cret'));
+      assert.strictEqual(await hasher.verify('s3cret', hash), true);
+      assert.strictEqual(await hasher.verify('wrong', hash), false);
+    });
+    
+    it('should support pbkdf2 hashes', async () => {
+      const hasher = new SecretHasher({ algorithm: 'pbkdf2', iterations: 1000 });
+      const hash = await hasher.hash('s3cret');
+      
+      assert.ok(hash.startsWith('pbkdf2$'));
+      assert.strictEqual(await new SecretHasher().verify('s3cret', hash), true);
+    });
+    
+    it('should return the plaintext secret only from createKeypoint', async () => {
+      const created = await api.createKeypoint({ keyId: 'hashed', scopes: ['read'] });
+      const stored = await api.getKeypoint('hashed');
+      
+      assert.ok(created.secret);
+      assert.strictEqual(stored.secret, undefined);
+      assert.ok(api.secretHasher.isHash(stored.secretHash));
+      assert.ok(!JSON.stringify(stored).includes(created.secret));
+    });
+    
+    it('should verify secrets against the stored hash', async () => {
+      const { secret } = await api.createKeypoint({ keyId: 'verify_me' });
+      
+      const ctx = createContext({ 'x-keypoint-id': 'verify_me', 'x-keypoint-secret': secret });
+      assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+      
+      const bad = createContext({ 'x-keypoint-id': 'verify_me', 'x-keypoint-secret': 'nope' });
+      await assert.rejects(api.keypointValidator.validate(bad), { name: 'KeypointError', code: 401 });
+    });
+    
+    it('should upgrade plaintext records on first successful use', async () => {
+      await api.keypointStorage.set(new Keypoint({ keyId: 'legacy', secret: 'legacy_secret' }));
+      
+      const bad = createContext({ 'x-keypoint-id': 'legacy', 'x-keypoint-secret': 'wrong' });
+      await assert.rejects(api.keypointValidator.validate(bad));
+      assert.strictEqual((await api.getKeypoint('legacy')).secret, 'legacy_secret');
+      
+      const ctx = createContext({ 'x-keypoint-id': 'legacy', 'x-keypoint-secret': 'legacy_secret' });
+      await api.keypointValidator.validate(ctx);
+      
+      const upgraded = await api.getKeypoint('legacy');
+      assert.strictEqual(upgraded.secret, undefined);
+      assert.ok(upgraded instanceof Keypoint);
+      assert.strictEqual(await api.secretHasher.verify('legacy_secret', upgraded.secretHash), true);
+    });
+    
+    it('should still find keypoints by secret, with a deprecation warning', async () => {
+      const { secret } = await api.createKeypoint({ keyId: 'by_secret' });
+      const warnings = [];
+      const onWarning = warning => warnings.push(warning.code);
+      process.on('warning', onWarning);
+      
+      try {
+        assert.strictEqual((await api.keypointStorage.getBySecret(secret)).keyId, 'by_secret');
+        assert.strictEqual(await api.getTenantStorage('acme').getBySecret(secret), null);
+        assert.strictEqual(await api.keypointStorage.getBySecret('unknown'), null);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepStrictEqual(warnings, ['KEYPOINT_GET_BY_SECRET']);
+      } finally {
+        process.off('warning', onWarning);
+      }
+    });
+  });
+});
+
+describe('Request Signing', () => {
+  let api;
+  let secret;
+  const signer = new RequestSigner();
+  
+  beforeEach(async () => {
+    api = new KeypointJS({
+      enableAuditLog: false,
+      enableRateLimiter: false
+    });
+    
+    ({ secret } = await api.createKeypoint({
+      keyId: 'signed',
+      authModes: ['signature']
+    }));
+  });
+  
+  function signedContext(overrides = {}) {
+    const body = overrides.body ?? '{"a":1}';
+    const headers = {
+      host: 'api.example.com',
+      ...signer.sign({
+        keyId: 'signed',
+        secret: overrides.secret || secret,
+        method: 'POST',
+        path: '/orders?x=1',
+        headers: { host: 'api.example.com' },
+        body,
+        timestamp: overrides.timestamp,
+        nonce: overrides.nonce
+      })
+    };
+    
+    return createContext(headers, {
+      method: 'POST',
+      url: 'http://api.example.com/orders?x=1',
+      request: { rawBody: Buffer.from(overrides.rawBody ?? body) }
+    });
+  }
+  
+  it('should accept a valid signature', async () => {
+    const ctx = signedContext();
+    await api.keypointValidator.validate(ctx);
+    
+    assert.strictEqual(ctx.getKeypointId(), 'signed');
+    assert.strictEqual(ctx.getAuthMode(), 'signature');
+  });
+  
+  it('should reject a tampered body', async () => {
+    const ctx = signedContext({ rawBody: '{"a":2}' });
+    await assert.rejects(api.keypointValidator.validate(ctx), {
+      details: { errorCode: KeypointErrorCodes.SIGNATURE_INVALID }
+    });
+  });
+  
+  it('should reject a signature made with the wrong secret', async () => {
+    const ctx = signedContext({ secret: 'not-the-secret' });
+    await assert.rejects(api.keypointValidator.validate(ctx), {
+      details: { errorCode: KeypointErrorCodes.SIGNATURE_INVALID }
+    });
+  });
+  
+  it('should reject timestamps outside the clock skew', async () => {
+    const ctx = signedContext({ timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    await assert.rejects(api.keypointValidator.validate(ctx), {
+      details: { errorCode: KeypointErrorCodes.SIGNATURE_EXPIRED }
+    });
+  });
+  
+  it('should reject replayed nonces', async () => {
+    await api.keypointValidator.validate(signedContext({ nonce: 'once' }));
+    await assert.rejects(api.keypointValidator.validate(signedContext({ nonce: 'once' })), {
+      details: { errorCode: KeypointErrorCodes.SIGNATURE_REPLAYED }
+    });
+  });
+  
+  it('should refuse new nonces instead of evicting live ones when full', async () => {
+    const nonces = new NonceCache({ maxEntries: 2 });
+    assert.strictEqual(await nonces.checkAndStore('a', 60000), true);
+    assert.strictEqual(await nonces.checkAndStore('b', 60000), true);
+    assert.strictEqual(await nonces.checkAndStore('c', 60000), null);
+    assert.strictEqual(await nonces.checkAndStore('a', 60000), false);
+    
+    nonces.entries.set('b', Date.now() - 1); // b has expired
+    assert.strictEqual(await nonces.checkAndStore('c', 60000), true);
+    
+    api.keypointValidator.nonceCache = nonces;
+    await assert.rejects(api.keypointValidator.validate(signedContext({ nonce: 'd' })), {
+      code: 503,
+      details: { errorCode: KeypointErrorCodes.NONCE_CACHE_FULL }
+    });
+  });
+  
+  it('should enforce the auth modes a keypoint accepts', async () => {
+    const bearer = createContext({ 'x-keypoint-id': 'signed', 'x-keypoint-secret': secret });
+    await assert.rejects(api.keypointValidator.validate(bearer), {
+      details: { errorCode: KeypointErrorCodes.SIGNATURE_REQUIRED }
+    });
+    
+    await api.createKeypoint({ keyId: 'bearer_only' });
+    const signed = createContext(
+      { host: 'localhost', ...signer.sign({ keyId: 'bearer_only', secret: 'x', method: 'GET', path: '/test', headers: { host: 'localhost' } }) }
+    );
+    await assert.rejects(api.keypointValidator.validate(signed), {
+      details: { errorCode: KeypointErrorCodes.AUTH_MODE_NOT_ALLOWED }
+    });
+  });
+});
+
+describe('Secret Rotation', () => {
+  let api;
+  
+  beforeEach(() => {
+    api = new KeypointJS({
+      enableAuditLog: false,
+      enableRateLimiter: false
+    });
+  });
+  
+  it('should keep the previous secret valid during the grace period', async () => {
+    const { secret: oldSecret } = await api.createKeypoint({ keyId: 'rotating' });
+    const rotated = await api.rotateKeypointSecret('rotating', { gracePeriod: 60 });
+    
+    assert.strictEqual(rotated.generation, 2);
+    assert.notStrictEqual(rotated.secret, oldSecret);
+    
+    const current = createContext({ 'x-keypoint-id': 'rotating', 'x-keypoint-secret': rotated.secret });
+    await api.keypointValidator.validate(current);
+    assert.strictEqual(current.getSecretGeneration(), 2);
+    assert.strictEqual(current.authentication.previousSecret, false);
+    
+    const previous = createContext({ 'x-keypoint-id': 'rotating', 'x-keypoint-secret': oldSecret });
+    await api.keypointValidator.validate(previous);
+    assert.strictEqual(previous.getSecretGeneration(), 1);
+    assert.strictEqual(previous.authentication.previousSecret, true);
+  });
+  
+  it('should reject the previous secret without a grace period', async () => {
+    const { secret: oldSecret } = await api.createKeypoint({ keyId: 'rotate_now' });
+    await api.rotateKeypointSecret('rotate_now', { gracePeriod: 0 });
+    
+    const ctx = createContext({ 'x-keypoint-id': 'rotate_now', 'x-keypoint-secret': oldSecret });
+    await assert.rejects(api.keypointValidator.validate(ctx), { code: 401 });
+  });
+  
+  it('should emit audit events on rotation and grace expiry', async () => {
+    const auditLogger = new AuditLogger({ logToConsole: false });
+    api.registerPlugin(auditLogger);
+    
+    const events = [];
+    api.on('keypoint:secret-rotated', data => events.push(['rotated', data.generation]));
+    api.on('keypoint:secret-grace-expired', data => events.push(['expired', data.generation]));
+    
+    await api.createKeypoint({ keyId: 'audited' });
+    await api.rotateKeypointSecret('audited', { gracePeriod: 0.1 });
+    await new Promise(resolve => setTimeout(resolve, 250));
+    
+    assert.deepStrictEqual(events, [['rotated', 2], ['expired', 1]]);
+    assert.strictEqual((await api.getKeypoint('audited')).previousSecrets.length, 0);
+    
+    const { logs } = await auditLogger.queryLogs({ event: 'keypoint:secret-rotated' });
+    assert.strictEqual(logs.length, 1);
+    assert.strictEqual(logs[0].keyId, 'audited');
+  });
+  
+  it('should emit grace expiries missed while the process was down', async () => {
+    await api.createKeypoint({ keyId: 'restarted' });
+    await api.createKeypoint({ keyId: 'idle' });
+    // The process goes away before its timers fire
+    for (const keyId of ['restarted', 'idle']) {
+      await api.rotateKeypointSecret(keyId, { gracePeriod: 0.05 });
+      clearTimeout(api.secretGraceTimers.get(keyId));
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+    
+    const restarted = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, keypointStorage: api.keypointStorage });
+    const expired = [];
+    restarted.on('keypoint:secret-grace-expired', data => expired.push(data.keyId));
+    
+    // Caught up when the keypoint is next validated...
+    await restarted.catchUpSecretGrace(await restarted.keypointStorage.get('restarted'));
+    assert.deepStrictEqual(expired, ['restarted']);
+    assert.strictEqual(restarted.catchUpSecretGrace(await restarted.keypointStorage.get('restarted')), null);
+    
+    // ...or when the server starts
+    assert.strictEqual(await restarted.resumeSecretGraceExpiry(), 1);
+    assert.deepStrictEqual(expired, ['restarted', 'idle']);
+    assert.strictEqual((await restarted.getKeypoint('idle')).previousSecrets.length, 0);
+    
+    // Storage failures are reported as events, not logged
+    await api.rotateKeypointSecret('idle', { gracePeriod: 0.01 });
+    clearTimeout(api.secretGraceTimers.get('idle'));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const keypoint = await restarted.keypointStorage.get('idle');
+    
+    const failures = [];
+    restarted.on('keypoint:secret-grace-failed', data => failures.push([data.keyId, data.error.message]));
+    restarted.keypointStorage.pruneExpiredSecrets = async () => { throw new Error('storage down'); };
+    await restarted.catchUpSecretGrace(keypoint);
+    assert.deepStrictEqual(failures, [['idle', 'storage down']]);
+  });
+  
+  it('should rotate signing keys for signed requests', async () => {
+    const signer = new RequestSigner({ requiredHeaders: [] });
+    const validator = new KeypointValidator(api.keypointStorage, { requestSigner: signer });
+    
+    const { secret: oldSecret } = await api.createKeypoint({ keyId: 'signed_rotation', authModes: ['signature'] });
+    const { secret } = await api.rotateKeypointSecret('signed_rotation', { gracePeriod: 60 });
+    
+    for (const [key, generation] of [[oldSecret, 1], [secret, 2]]) {
+      const ctx = createContext(signer.sign({ keyId: 'signed_rotation', secret: key, method: 'GET', path: '/test' }));
+      await validator.validate(ctx);
+      assert.strictEqual(ctx.getSecretGeneration(), generation);
+    }
+  });
+});
+
+describe('IP Restrictions', () => {
+  it('should match IPv4, IPv6 and IPv4-mapped addresses against CIDR blocks', () => {
+    assert.strictEqual(IpMatcher.matches('192.168.1.77', '192.168.1.0/24'), true);
+    assert.strictEqual(IpMatcher.matches('192.168.10.1', '192.168.1.0/24'), false);
+    assert.strictEqual(IpMatcher.matches('::ffff:10.2.3.4', '10.0.0.0/8'), true);
+    assert.strictEqual(IpMatcher.matches('2001:db8:abcd::1', '2001:db8::/32'), true);
+    assert.strictEqual(IpMatcher.matches('2001:db9::1', '2001:db8::/32'), false);
+    assert.strictEqual(IpMatcher.matches('10.0.0.9', '10.0.0.1-10.0.0.10'), true);
+    assert.strictEqual(IpMatcher.matches('10.0.0.50', '10.0.0.1-10.0.0.10'), false);
+    assert.strictEqual(IpMatcher.matches('not-an-ip', '0.0.0.0/0'), false);
+  });
+  
+  it('should use real CIDR matching in the ip policy rule', async () => {
+    const rule = BuiltInRules.ipRule(['10.0.0.0/8'], ['10.9.0.0/16']);
+    
+    assert.strictEqual((await rule.evaluate(createContext({}, { ip: '10.1.2.3' }))).allowed, true);
+    assert.strictEqual((await rule.evaluate(createContext({}, { ip: '10.9.2.3' }))).allowed, false);
+    // The old prefix check let 100.x through a 10.0.0.0/8 allowlist
+    assert.strictEqual((await rule.evaluate(createContext({}, { ip: '100.1.2.3' }))).allowed, false);
+  });
+  
+  it('should enforce allowedIps on the keypoint', async () => {
+    const api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+    await api.createKeypoint({ keyId: 'office_only', allowedIps: ['203.0.113.0/24', '2001:db8::/48'] });
+    
+    const inside = createContext({ 'x-keypoint-id': 'office_only' }, { ip: '::ffff:203.0.113.9' });
+    assert.strictEqual(await api.keypointValidator.validate(inside), true);
+    
+    const inside6 = createContext({ 'x-keypoint-id': 'office_only' }, { ip: '2001:db8:0:1::5' });
+    assert.strictEqual(await api.keypointValidator.validate(inside6), true);
+    
+    const outside = createContext({ 'x-keypoint-id': 'office_only' }, { ip: '198.51.100.1' });
+    await assert.rejects(api.keypointValidator.validate(outside), {
+      code: 403,
+      details: { errorCode: KeypointErrorCodes.IP_NOT_ALLOWED }
+    });
+  });
+});
+
+describe('Keypoint Lifecycle', () => {
+  let api;
+  
+  beforeEach(async () => {
+    api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+    await api.createKeypoint({ keyId: 'lifecycle' });
+  });
+  
+  const validate = keyId => api.keypointValidator.validate(createContext({ 'x-keypoint-id': keyId }));
+  
+  it('should suspend and resume a keypoint', async () => {
+    assert.strictEqual(await api.suspendKeypoint('lifecycle', 'billing overdue'), true);
+    await assert.rejects(validate('lifecycle'), {
+      code: 403,
+      details: { errorCode: KeypointErrorCodes.SUSPENDED, reason: 'billing overdue' }
+    });
+    
+    assert.strictEqual(await api.resumeKeypoint('lifecycle'), true);
+    assert.strictEqual(await validate('lifecycle'), true);
+  });
+  
+  it('should keep revoked keypoints for audit and reject them', async () => {
+    assert.strictEqual(await api.revokeKeypoint('lifecycle', 'leaked'), true);
+    
+    const keypoint = await api.getKeypoint('lifecycle');
+    assert.strictEqual(keypoint.status, KeypointStatus.REVOKED);
+    assert.strictEqual(keypoint.statusReason, 'leaked');
+    assert.ok(keypoint.revokedAt instanceof Date);
+    assert.deepStrictEqual(keypoint.statusHistory.map(entry => entry.to), ['revoked']);
+    
+    await assert.rejects(validate('lifecycle'), { details: { errorCode: KeypointErrorCodes.REVOKED } });
+    await assert.rejects(api.resumeKeypoint('lifecycle'), { name: 'ValidationError', code: 409 });
+  });
+  
+  it('should activate pending keypoints at their activation date', async () => {
+    const activatesAt = new Date(Date.now() + 60000);
+    await api.activateKeypointAt('lifecycle', activatesAt);
+    
+    await assert.rejects(validate('lifecycle'), {
+      code: 403,
+      details: { errorCode: KeypointErrorCodes.NOT_YET_ACTIVE, activatesAt }
+    });
+    
+    const keypoint = await api.getKeypoint('lifecycle');
+    assert.strictEqual(keypoint.getStatus(new Date(Date.now() + 120000)), KeypointStatus.ACTIVE);
+  });
+  
+  it('should filter listKeypoints by status', async () => {
+    await api.createKeypoint({ keyId: 'other' });
+    await api.createKeypoint({ keyId: 'paused' });
+    await api.suspendKeypoint('paused');
+    await api.revokeKeypoint('other');
+    
+    const ids = async status => (await api.listKeypoints({ status })).map(k => k.keyId).sort();
+    assert.deepStrictEqual(await ids('active'), ['lifecycle']);
+    assert.deepStrictEqual(await ids('suspended'), ['paused']);
+    assert.deepStrictEqual(await ids(['revoked', 'suspended']), ['other', 'paused']);
+  });
+});
+
+describe('Credential Extraction', () => {
+  let api;
+  let secret;
+  
+  beforeEach(async () => {
+    api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+    ({ secret } = await api.createKeypoint({ keyId: 'client' }));
+  });
+  
+  it('should accept Bearer and Basic authorization headers', async () => {
+    const bearer = createContext({ authorization: `Bearer client.${secret}` });
+    assert.strictEqual(await api.keypointValidator.validate(bearer), true);
+    assert.deepStrictEqual(
+      [bearer.getKeypointId(), bearer.authentication.source, bearer.getAuthMode()],
+      ['client', 'bearer', 'secret']
+    );
+    
+    const basic = createContext({
+      authorization: `Basic ${Buffer.from(`client:${secret}`).toString('base64')}`
+    });
+    assert.strictEqual(await api.keypointValidator.validate(basic), true);
+    assert.strictEqual(basic.authentication.source, 'basic');
+    
+    await assert.rejects(
+      api.keypointValidator.validate(createContext({ authorization: 'Bearer client.wrong' })),
+      { details: { errorCode: KeypointErrorCodes.INVALID_SECRET } }
+    );
+  });
+  
+  it('should read custom schemes and cookies', async () => {
+    const extractor = new CredentialExtractor({ scheme: 'ApiKey', cookieName: 'kp' });
+    
+    assert.deepStrictEqual(
+      await extractor.extract({ headers: { authorization: 'ApiKey client.s3cret' } }),
+      { keyId: 'client', secret: 's3cret', source: 'scheme' }
+    );
+    assert.deepStrictEqual(
+      await extractor.extract({ headers: {}, cookies: { kp: 'client' } }),
+      { keyId: 'client', secret: null, source: 'cookie' }
+    );
+  });
+  
+  it('should follow the configured priority order and custom extractors', async () => {
+    const extractor = new CredentialExtractor({
+      order: ['apiKeyHeader', 'header'],
+      extractors: {
+        apiKeyHeader: request => request.headers['x-api-key'] ? { keyId: request.headers['x-api-key'] } : null
+      }
+    });
+    const request = { headers: { 'x-api-key': 'custom', 'x-keypoint-id': 'client', authorization: 'Bearer a.b' } };
+    
+    assert.strictEqual((await extractor.extract(request)).source, 'apiKeyHeader');
+    
+    extractor.setOrder(['bearer', 'apiKeyHeader']);
+    assert.strictEqual((await extractor.extract(request)).keyId, 'a');
+    assert.throws(() => extractor.setOrder(['missing']), /Unknown credential extractor/);
+  });
+  
+  it('should read query credentials from the URL unless forbidden', async () => {
+    const ctx = createContext({}, { url: 'http://localhost/test?keypointId=client' });
+    assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+    assert.strictEqual(ctx.authentication.source, 'query');
+    
+    const strict = new KeypointValidator(api.keypointStorage, {
+      credentials: { allowQueryCredentials: false }
+    });
+    await assert.rejects(
+      strict.validate(createContext({}, { url: 'http://localhost/test?keypointId=client' })),
+      { code: 400, details: { errorCode: KeypointErrorCodes.QUERY_CREDENTIALS_FORBIDDEN } }
+    );
+  });
+});
+
+describe('Keypoint Tokens', () => {
+  const tokens = new KeypointToken();
+  
+  it('should generate tokens with prefix, environment and checksum', () => {
+    const { token, keyId, secret } = tokens.generate({ environment: 'test' });
+    
+    assert.match(token, /^kp_test_[A-Za-z0-9]{16}_[A-Za-z0-9]{32}_[A-Za-z0-9]{6}$/);
+    assert.deepStrictEqual(tokens.parse(token), {
+      environment: 'test',
+      keyId,
+      secret,
+      checksum: token.slice(-6),
+      valid: true
+    });
+  });
+  
+  it('should detect mistyped tokens and find leaked ones offline', () => {
+    const { token } = tokens.generate();
+    const typo = token.slice(0, 20) + (token[20] === 'a' ? 'b' : 'a') + token.slice(21);
+    
+    assert.strictEqual(tokens.verifyChecksum(token), true);
+    assert.strictEqual(tokens.verifyChecksum(typo), false);
+    assert.strictEqual(tokens.isToken('not_a_token'), false);
+    
+    const found = tokens.find(`config: KEY=${token}\nother=${typo}`);
+    assert.strictEqual(found.length, 1);
+    assert.strictEqual(found[0].token, token);
+  });
+  
+  it('should authenticate tokens and reject bad checksums before storage', async () => {
+    const api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+    const { token, keypoint } = await api.createKeypointToken({ scopes: ['api:read'] });
+    
+    const ctx = createContext({ authorization: `Bearer ${token}` });
+    assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+    assert.strictEqual(ctx.getKeypointId(), keypoint.keyId);
+    assert.strictEqual(ctx.authentication.source, 'token');
+    
+    let lookups = 0;
+    const get = api.keypointStorage.get.bind(api.keypointStorage);
+    api.keypointStorage.get = async (keyId) => { lookups++; return get(keyId); };
+    
+    const forged = token.slice(0, -6) + (token.endsWith('000000') ? '111111' : '000000');
+    await assert.rejects(
+      api.keypointValidator.validate(createContext({ 'x-keypoint-token': forged })),
+      { code: 401, details: { errorCode: KeypointErrorCodes.TOKEN_CHECKSUM_INVALID } }
+    );
+    assert.strictEqual(lookups, 0);
+  });
+});
+
+describe('Delegated Keypoints', () => {
+  let api;
+  
+  beforeEach(async () => {
+    api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+    await api.createKeypoint({
+      keyId: 'partner',
+      scopes: ['api:internal', 'user:read'],
+      protocols: ['https', 'wss'],
+      allowedOrigins: ['https://partner.example'],
+      expiresAt: new Date(Date.now() + 3600000),
+      canDelegate: true
+    });
+  });
+  
+  it('should mint children with inherited or narrower permissions', async () => {
+    const child = await api.createChildKeypoint('partner', { keyId: 'service', scopes: ['api:public'] });
+    
+    assert.strictEqual(child.parentKeyId, 'partner');
+    assert.deepStrictEqual(child.protocols, ['https', 'wss']);
+    assert.deepStrictEqual(child.allowedOrigins, ['https://partner.example']);
+    
+    const ctx = createContext({ 'x-keypoint-id': 'service', 'x-keypoint-secret': child.secret });
+    assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+    assert.deepStrictEqual(ctx.getDelegationChain(), ['partner', 'service']);
+  });
+  
+  it('should reject children that exceed the parent', async () => {
+    await assert.rejects(
+      api.createChildKeypoint('partner', {
+        scopes: ['admin'],
+        protocols: ['http'],
+        allowedOrigins: [],
+        expiresAt: new Date(Date.now() + 7200000)
+      }),
+      (error) => {
+        assert.strictEqual(error.name, 'ValidationError');
+        assert.strictEqual(error.code, 403);
+        assert.deepStrictEqual(error.errors.map(e => e.field), ['scopes', 'protocols', 'allowedOrigins', 'expiresAt']);
+        return true;
+      }
+    );
+    
+    const child = await api.createChildKeypoint('partner', { scopes: ['user:read'] });
+    await assert.rejects(api.createChildKeypoint(child.keyId), { code: 403, message: /not allowed to delegate/ });
+  });
+  
+  it('should keep the parent IP, schedule and certificate restrictions', async () => {
+    const cert = { socket: { authorized: true, getPeerCertificate: () => ({ fingerprint256: 'AB:CD', subject: { CN: 'locked' } }) } };
+    const open = { timezone: 'UTC', windows: [{ start: '00:00', end: '24:00' }] };
+    await api.createKeypoint({
+      keyId: 'locked',
+      allowedIps: ['10.0.0.0/16'],
+      schedule: open,
+      certificateBinding: { fingerprint256: 'abcd' },
+      canDelegate: true
+    });
+    
+    await assert.rejects(
+      api.createChildKeypoint('locked', {
+        allowedIps: ['10.0.0.0/8', '10.0.3.1'],
+        schedule: null,
+        certificateBinding: null
+      }),
+      error => {
+        assert.deepStrictEqual(error.errors.map(e => e.field), ['allowedIps', 'schedule', 'certificateBinding']);
+        assert.deepStrictEqual(error.errors[0].denied, ['10.0.0.0/8']);
+        return true;
+      }
+    );
+    await assert.rejects(api.createChildKeypoint('locked', { allowedIps: [] }), { code: 403 });
+    
+    const child = await api.createChildKeypoint('locked', { keyId: 'narrow', allowedIps: ['10.0.1.0/24', '10.0.2.5-10.0.2.9'] });
+    assert.deepStrictEqual(child.schedule, open);
+    
+    // Restrictions dropped from the child record are still applied through the chain
+    await api.keypointStorage.update('narrow', { allowedIps: [], schedule: null, certificateBinding: null });
+    const request = (ip, tls) => createContext({ 'x-keypoint-id': 'narrow', 'x-keypoint-secret': child.secret }, { ip, request: tls });
+    
+    assert.strictEqual(await api.keypointValidator.validate(request('10.0.1.1', cert)), true);
+    await assert.rejects(api.keypointValidator.validate(request('192.168.1.1', cert)), {
+      details: { errorCode: KeypointErrorCodes.IP_NOT_ALLOWED }
+    });
+    await assert.rejects(api.keypointValidator.validate(request('10.0.1.1')), {
+      details: { errorCode: KeypointErrorCodes.CERTIFICATE_REQUIRED }
+    });
+    
+    await api.keypointStorage.update('locked', { schedule: { timezone: 'UTC', windows: [{ days: [], start: '00:00', end: '24:00' }] } });
+    await assert.rejects(api.keypointValidator.validate(request('10.0.1.1', cert)), {
+      details: { errorCode: KeypointErrorCodes.OUTSIDE_SCHEDULE, nextAllowedAt: null }
+    });
+  });
+  
+  it('should invalidate the subtree when the parent is revoked or suspended', async () => {
+    await api.createChildKeypoint('partner', { keyId: 'team', canDelegate: true });
+    await api.createChildKeypoint('team', { keyId: 'worker' });
+    
+    await api.suspendKeypoint('partner');
+    await assert.rejects(
+      api.keypointValidator.validate(createContext({ 'x-keypoint-id': 'worker' })),
+      { code: 401, details: { errorCode: KeypointErrorCodes.PARENT_INVALID, parentKeyId: 'partner' } }
+    );
+    
+    await api.revokeKeypoint('partner');
+    const revoked = await api.listKeypoints({ status: 'revoked' });
+    assert.deepStrictEqual(revoked.map(k => k.keyId).sort(), ['partner', 'team', 'worker']);
+  });
+});
+
+describe('Stateless Tokens', () => {
+  const statelessSecret = 'stateless-test-secret-0123456789abcdef';
+  let api;
+  
+  beforeEach(async () => {
+    api = new KeypointJS({
+      enableAuditLog: false,
+      enableRateLimiter: false,
+      statelessTokens: { secret: statelessSecret }
+    });
+    await api.createKeypoint({ keyId: 'edge', scopes: ['api:public', 'user:read'], allowedIps: ['10.0.0.0/8'] });
+  });
+  
+  const validate = (token, ip = '10.1.2.3') =>
+    api.keypointValidator.validate(createContext({ authorization: `Bearer ${token}` }, { ip }));
+  
+  it('should verify tokens without touching storage', async () => {
+    const { token, tokenId } = await api.issueStatelessToken('edge', { scopes: ['user:read'] });
+    api.keypointStorage.get = async () => { throw new Error('storage should not be used'); };
+    
+    const ctx = createContext({ authorization: `Bearer ${token}` }, { ip: '10.1.2.3' });
+    assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+    assert.strictEqual(ctx.getKeypointId(), 'edge');
+    assert.deepStrictEqual(ctx.keypoint.scopes, ['user:read']);
+    assert.strictEqual(ctx.getAuthMode(), 'stateless');
+    assert.strictEqual(ctx.authentication.tokenId, tokenId);
+    
+    await assert.rejects(validate(token, '192.168.1.1'), { details: { errorCode: KeypointErrorCodes.IP_NOT_ALLOWED } });
+  });
+  
+  it('should reject tampered, foreign and expired tokens', async () => {
+    const { token } = await api.issueStatelessToken('edge');
+    const [header, , signature] = token.split('.');
+    const claims = Buffer.from(JSON.stringify({ iss: 'keypointjs', sub: 'edge', exp: 9999999999, scp: ['*'] })).toString('base64url');
+    
+    await assert.rejects(validate(`${header}.${claims}.${signature}`), {
+      details: { errorCode: KeypointErrorCodes.TOKEN_INVALID, reason: 'signature' }
+    });
+    
+    const foreign = new StatelessTokenSigner({ secret: 'another-secret-0123456789abcdefghij' });
+    await assert.rejects(validate(foreign.sign({ keyId: 'edge', scopes: ['*'] }).token), {
+      details: { errorCode: KeypointErrorCodes.TOKEN_INVALID, reason: 'signature' }
+    });
+    
+    const expired = api.statelessTokens.sign({ keyId: 'edge', scopes: [] }, { now: Date.now() - 7200000 });
+    await assert.rejects(validate(expired.token), { details: { errorCode: KeypointErrorCodes.TOKEN_EXPIRED } });
+    
+    await assert.rejects(api.issueStatelessToken('edge', { scopes: ['admin'] }), { code: 403 });
+  });
+  
+  it('should honor the revocation list for tokens and keypoints', async () => {
+    const first = await api.issueStatelessToken('edge');
+    const second = await api.issueStatelessToken('edge');
+    
+    await api.revokeStatelessToken(first.tokenId, first.expiresAt);
+    await assert.rejects(validate(first.token), { details: { errorCode: KeypointErrorCodes.TOKEN_REVOKED } });
+    assert.strictEqual(await validate(second.token), true);
+    
+    await api.suspendKeypoint('edge');
+    await assert.rejects(validate(second.token), { details: { errorCode: KeypointErrorCodes.TOKEN_REVOKED } });
+    
+    await api.resumeKeypoint('edge');
+    assert.strictEqual(await validate(second.token), true);
+  });
+  
+  it('should bind tokens to the keypoint certificate and its ancestors restrictions', async () => {
+    const tls = fingerprint256 => ({ socket: { authorized: true, getPeerCertificate: () => ({ fingerprint256 }) } });
+    const present = (token, request, ip = '10.1.2.3') =>
+      api.keypointValidator.validate(createContext({ authorization: `Bearer ${token}` }, { ip, request }));
+    
+    await api.createKeypoint({ keyId: 'bound', certificateBinding: { fingerprint256: 'ab:cd' }, canDelegate: true });
+    const { token } = await api.issueStatelessToken('bound');
+    
+    const ctx = createContext({ authorization: `Bearer ${token}` }, { request: tls('AB:CD') });
+    assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+    assert.strictEqual(ctx.authentication.certificateFingerprint, 'ABCD');
+    await assert.rejects(present(token), { code: 401, details: { errorCode: KeypointErrorCodes.CERTIFICATE_REQUIRED } });
+    await assert.rejects(present(token, tls('00:11')), { details: { errorCode: KeypointErrorCodes.CERTIFICATE_MISMATCH } });
+    
+    // A child without a binding of its own still needs its parent's certificate and network
+    await api.keypointStorage.update('edge', { canDelegate: true });
+    await api.createChildKeypoint('edge', { keyId: 'edge-child' });
+    await api.createChildKeypoint('bound', { keyId: 'bound-child' });
+    await api.keypointStorage.update('edge-child', { allowedIps: [] });
+    await api.keypointStorage.update('bound-child', { certificateBinding: null });
+    const edgeChild = await api.issueStatelessToken('edge-child');
+    const boundChild = await api.issueStatelessToken('bound-child');
+    api.keypointStorage.get = async () => { throw new Error('storage should not be used'); };
+    
+    assert.strictEqual(await present(edgeChild.token), true);
+    await assert.rejects(present(edgeChild.token, null, '192.168.1.1'), { details: { errorCode: KeypointErrorCodes.IP_NOT_ALLOWED } });
+    assert.strictEqual(await present(boundChild.token, tls('AB:CD')), true);
+    await assert.rejects(present(boundChild.token), { details: { errorCode: KeypointErrorCodes.CERTIFICATE_REQUIRED } });
+  });
+  
+  it('should sign with EdDSA and optionally fall back to storage', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const edge = new KeypointJS({
+      enableAuditLog: false,
+      enableRateLimiter: false,
+      keypointStorage: api.keypointStorage,
+      statelessTokens: { algorithm: 'EdDSA', privateKey, fallback: 'always' }
+    });
+    
+    const { token } = await edge.issueStatelessToken('edge');
+    const ctx = createContext({ authorization: `Bearer ${token}` }, { ip: '10.0.0.1' });
+    assert.strictEqual(await edge.keypointValidator.validate(ctx), true);
+    
+    // A verify-only signer holding just the public key accepts the same token
+    const verifier = new StatelessTokenSigner({ algorithm: 'EdDSA', publicKey });
+    assert.strictEqual(verifier.verify(token).valid, true);
+    
+    // Storage state wins over the claims with fallback 'always'
+    await api.keypointStorage.update('edge', { status: 'suspended' });
+    await assert.rejects(
+      edge.keypointValidator.validate(createContext({ authorization: `Bearer ${token}` }, { ip: '10.0.0.1' })),
+      { details: { errorCode: KeypointErrorCodes.SUSPENDED, reason: null } }
+    );
+  });
+});
+
+describe('Client Certificates', () => {
+  const fingerprint = 'AB:CD:EF:01:23:45';
+  let api;
+  
+  const tlsRequest = (peer, authorized = true) => ({
+    socket: { authorized, getPeerCertificate: () => peer }
+  });
+  const serviceCert = { fingerprint256: fingerprint, subject: { CN: 'billing-service' }, subjectaltname: 'DNS:billing.internal, URI:spiffe://corp/billing' };
+  
+  beforeEach(async () => {
+    api = new KeypointJS({
+      enableAuditLog: false,
+      enableRateLimiter: false,
+      clientCertificates: { allowCertificateOnly: true }
+    });
+    await api.createKeypoint({
+      keyId: 'billing',
+      secret: 'billing-secret',
+      authModes: ['secret', 'certificate'],
+      certificateBinding: { fingerprint256: 'abcdef012345', san: 'URI:spiffe://corp/billing' }
+    });
+  });
+  
+  it('should require the bound certificate alongside the secret', async () => {
+    const headers = { 'x-keypoint-id': 'billing', 'x-keypoint-secret': 'billing-secret' };
+    
+    const ctx = createContext(headers, { request: tlsRequest(serviceCert) });
+    assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+    assert.strictEqual(ctx.authentication.certificateFingerprint, 'ABCDEF012345');
+    
+    await assert.rejects(api.keypointValidator.validate(createContext(headers)), {
+      details: { errorCode: KeypointErrorCodes.CERTIFICATE_REQUIRED }
+    });
+    await assert.rejects(api.keypointValidator.validate(createContext(headers, { request: tlsRequest(serviceCert, false) })), {
+      details: { errorCode: KeypointErrorCodes.CERTIFICATE_UNTRUSTED }
+    });
+    await assert.rejects(
+      api.keypointValidator.validate(createContext(headers, {
+        request: tlsRequest({ ...serviceCert, fingerprint256: '00:11:22' })
+      })),
+      { details: { errorCode: KeypointErrorCodes.CERTIFICATE_MISMATCH } }
+    );
+  });
+  
+  it('should resolve the keypoint from a verified certificate alone', async () => {
+    const ctx = createContext({}, { request: tlsRequest(serviceCert) });
+    assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+    assert.strictEqual(ctx.getKeypointId(), 'billing');
+    assert.strictEqual(ctx.getAuthMode(), 'certificate');
+    
+    await assert.rejects(api.keypointValidator.validate(createContext({}, { request: tlsRequest(serviceCert, false) })), {
+      details: { errorCode: KeypointErrorCodes.MISSING }
+    });
+  });
+  
+  it('should only resolve keypoints that allow certificate-only authentication', async () => {
+    await api.createKeypoint({
+      keyId: 'reports',
+      certificateBinding: { subject: { CN: 'reports' } }
+    });
+    
+    await assert.rejects(
+      api.keypointValidator.validate(createContext({}, { request: tlsRequest({ fingerprint256: '99', subject: { CN: 'reports' } }) })),
+      { details: { errorCode: KeypointErrorCodes.AUTH_MODE_NOT_ALLOWED } }
+    );
+  });
+});
+const sqliteAvailable = await import('node:sqlite').then(() => true, () => false);
+
+describe('SQLite Storage', { skip: !sqliteAvailable && 'node:sqlite is not available' }, () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keypoint-sqlite-'));
+  let file = 0;
+  
+  const open = (filePath, options = {}) => new SqliteKeypointStorage({ path: filePath, ...options });
+  
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  
+  it('should persist keypoints and rehydrate them as Keypoint instances', async () => {
+    const dbPath = path.join(dir, `${++file}.db`);
+    const storage = open(dbPath);
+    const api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, keypointStorage: storage });
+    
+    const { secret } = await api.createKeypoint({
+      keyId: 'persisted',
+      scopes: ['api:public'],
+      expiresAt: new Date(Date.now() + 60000)
+    });
+    await api.suspendKeypoint('persisted', 'audit');
+    await api.resumeKeypoint('persisted');
+    storage.close();
+    
+    const reopened = open(dbPath);
+    const keypoint = await reopened.get('persisted');
+    assert.ok(keypoint instanceof Keypoint);
+    assert.ok(keypoint.expiresAt instanceof Date);
+    assert.ok(keypoint.statusHistory[0].at instanceof Date);
+    assert.strictEqual(keypoint.isExpired(), false);
+    assert.strictEqual(keypoint.secret, undefined);
+    
+    const validator = new KeypointValidator(reopened);
+    const ctx = createContext({ 'x-keypoint-id': 'persisted', 'x-keypoint-secret': secret });
+    assert.strictEqual(await validator.validate(ctx), true);
+    reopened.close();
+  });
+  
+  it('should answer indexed lookups and list filters', async () => {
+    const storage = open(':memory:');
+    const past = new Date(Date.now() - 1000);
+    
+    await storage.set(new Keypoint({ keyId: 'a', name: 'web', scopes: ['user:read'] }));
+    await storage.set(new Keypoint({ keyId: 'b', name: 'web', scopes: ['*'], protocols: ['wss'] }));
+    await storage.set(new Keypoint({ keyId: 'c', status: 'suspended', scopes: ['user:read'], parentKeyId: 'a' }));
+    await storage.set(new Keypoint({ keyId: 'd', status: 'pending', activatesAt: past, expiresAt: past }));
+    
+    const ids = keypoints => keypoints.map(k => k.keyId).sort();
+    assert.deepStrictEqual(ids(await storage.getByName('web')), ['a', 'b']);
+    assert.deepStrictEqual(ids(await storage.getByScope('user:read')), ['a', 'c']);
+    assert.deepStrictEqual(ids(await storage.list({ scope: 'user:read' })), ['a', 'b', 'c']);
+    assert.deepStrictEqual(ids(await storage.list({ status: 'active' })), ['a', 'b', 'd']);
+    assert.deepStrictEqual(ids(await storage.list({ status: ['suspended', 'pending'] })), ['c']);
+    assert.deepStrictEqual(ids(await storage.list({ protocol: 'wss' })), ['b']);
+    assert.deepStrictEqual(ids(await storage.list({ parentKeyId: 'a' })), ['c']);
+    assert.deepStrictEqual(ids(await storage.list({ expired: true })), ['d']);
+    
+    await storage.updateUsage('b', usage => UsageTracker.merge(usage, UsageTracker.fromRequest({ route: 'GET:/b' })));
+    assert.deepStrictEqual(ids(await storage.list({ used: true, scope: 'user:read' })), ['b']);
+    assert.strictEqual((await storage.get('b')).updatedAt, undefined);
+    
+    await storage.update('a', { scopes: ['post:read'] });
+    assert.deepStrictEqual(ids(await storage.getByScope('user:read')), ['c']);
+    
+    assert.strictEqual(await storage.cleanupExpired(), 1);
+    assert.strictEqual(await storage.count(), 3);
+    storage.close();
+  });
+  
+  it('should roll back failed transactions and apply migrations once', async () => {
+    const dbPath = path.join(dir, `${++file}.db`);
+    const migration = {
+      version: 3,
+      description: 'Audit column',
+      up: 'ALTER TABLE keypoints ADD COLUMN audited_at TEXT'
+    };
+    
+    const storage = open(dbPath, { migrations: [migration] });
+    assert.strictEqual(storage.getSchemaVersion(), 3);
+    
+    assert.throws(() => storage.transaction(() => {
+      storage.write(new Keypoint({ keyId: 'rolled-back' }));
+      throw new Error('abort');
+    }), /abort/);
+    assert.strictEqual(await storage.get('rolled-back'), null);
+    storage.close();
+    
+    // Reopening does not re-run applied migrations
+    const reopened = open(dbPath, { migrations: [migration] });
+    assert.deepStrictEqual(reopened.migrate([migration]), []);
+    reopened.close();
+  });
+  
+  it('should rotate secrets atomically', async () => {
+    const storage = open(':memory:');
+    const api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, keypointStorage: storage });
+    await api.createKeypoint({ keyId: 'rotating' });
+    
+    const { secret, generation } = await api.rotateKeypointSecret('rotating', { gracePeriod: 60 });
+    const keypoint = await storage.get('rotating');
+    
+    assert.strictEqual(generation, 2);
+    assert.strictEqual(keypoint.previousSecrets.length, 1);
+    assert.ok(keypoint.previousSecrets[0].expiresAt instanceof Date);
+    
+    const ctx = createContext({ 'x-keypoint-id': 'rotating', 'x-keypoint-secret': secret });
+    assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+    storage.close();
+  });
+  
+  it('should filter keypoints by tenant, also when encrypted', async () => {
+    const encryption = new EnvelopeEncryption({ masterKey: EnvelopeEncryption.generateMasterKey() });
+    for (const storage of [open(path.join(dir, `${++file}.db`)), open(path.join(dir, `${++file}.db`), { encryption })]) {
+      await storage.set(new Keypoint({ keyId: 'a1', tenantId: 'acme' }));
+      await storage.set(new Keypoint({ keyId: 'g1', tenantId: 'globex' }));
+      await storage.set(new Keypoint({ keyId: 'none' }));
+      
+      assert.deepStrictEqual((await storage.list({ tenantId: 'acme' })).map(k => k.keyId), ['a1']);
+      assert.deepStrictEqual((await storage.list({ tenantId: null })).map(k => k.keyId), ['none']);
+      storage.close();
+    }
+  });
+  
+  it('should keep quota counters in the database across a restart', async () => {
+    const dbPath = path.join(dir, `${++file}.db`);
+    const start = () => {
+      const instance = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, keypointStorage: open(dbPath) });
+      instance.router.get('/data', () => ({ status: 200 }));
+      return instance;
+    };
+    const charge = async (instance, keyId) => {
+      const ctx = createContext({}, { url: 'http://localhost/data' });
+      ctx.keypoint = await instance.getKeypoint(keyId);
+      return instance.checkQuota(ctx);
+    };
+    
+    const first = start();
+    await first.createKeypoint({ keyId: 'metered', quota: { daily: 10, monthly: 100 } });
+    await charge(first, 'metered');
+    await charge(first, 'metered');
+    first.keypointStorage.close();
+    
+    const restarted = start();
+    assert.deepStrictEqual((await charge(restarted, 'metered')).map(entry => entry.used), [3, 3]);
+    await restarted.resetQuota('metered', 'daily');
+    assert.deepStrictEqual((await restarted.getQuotaStatus('metered')).map(entry => entry.used), [0, 3]);
+    
+    const { counters } = restarted.keypointStorage;
+    assert.strictEqual(await counters.increment('short', 2, 1), 2);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(await counters.get('short'), null);
+    assert.strictEqual(await counters.increment('short', 1), 1);
+    restarted.keypointStorage.close();
+  });
+  
+  it('should nest transactions and close without isTransaction or isOpen', async () => {
+    // Early Node 22 releases expose neither property
+    const db = SqliteKeypointStorage.openDatabase(path.join(dir, `${++file}.db`));
+    const legacy = new Proxy(db, {
+      get: (target, key) => {
+        if (key === 'isTransaction' || key === 'isOpen') return undefined;
+        return typeof target[key] === 'function' ? target[key].bind(target) : target[key];
+      }
+    });
+    const storage = new SqliteKeypointStorage({ database: legacy });
+    
+    await storage.set(new Keypoint({ keyId: 'nested' }));
+    await storage.rotateSecret('nested', { secretHash: 'next' }, new Date(Date.now() + 60000));
+    assert.throws(() => storage.transaction(() => storage.transaction(() => {
+      storage.db.exec("DELETE FROM keypoints WHERE key_id = 'nested'");
+      throw new Error('abort');
+    })), /abort/);
+    assert.strictEqual((await storage.get('nested')).secretGeneration, 2);
+    assert.strictEqual(storage.transactionDepth, 0);
+    
+    storage.close();
+    storage.close();
+    assert.strictEqual(db.isOpen, false);
+  });
+});
+
+describe('File Storage', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keypoint-file-'));
+  let file = 0;
+  
+  const nextPath = () => path.join(dir, `${++file}.json`);
+  const open = (filePath, options = {}) => new FileKeypointStorage(filePath, { watch: false, ...options });
+  const readJournal = filePath => fs.readFileSync(`${filePath}.journal`, 'utf-8').trim().split('\n');
+  
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  
+  it('should coalesce mutations into one journal append and replay it on load', async () => {
+    const filePath = nextPath();
+    const storage = open(filePath);
+    await storage.ready();
+    
+    await storage.set(new Keypoint({ keyId: 'a', scopes: ['user:read'], expiresAt: new Date(Date.now() + 60000) }));
+    await storage.set(new Keypoint({ keyId: 'b' }));
+    await storage.update('a', { name: 'renamed' });
+    await storage.delete('b');
+    assert.strictEqual(fs.existsSync(`${filePath}.journal`), false);
+    
+    await storage.flush();
+    assert.strictEqual(readJournal(filePath).length, 4);
+    assert.strictEqual(fs.existsSync(filePath), false);
+    
+    const reopened = open(filePath);
+    await reopened.ready();
+    const keypoint = await reopened.get('a');
+    assert.ok(keypoint instanceof Keypoint);
+    assert.ok(keypoint.expiresAt instanceof Date);
+    assert.strictEqual(keypoint.name, 'renamed');
+    assert.strictEqual(await reopened.get('b'), null);
+    assert.deepStrictEqual((await reopened.getByScope('user:read')).map(k => k.keyId), ['a']);
+  });
+  
+  it('should compact the journal into an atomically replaced snapshot', async () => {
+    const filePath = nextPath();
+    const storage = open(filePath, { compactThreshold: 3 });
+    
+    for (const keyId of ['a', 'b', 'c']) {
+      await storage.set(new Keypoint({ keyId }));
+    }
+    await storage.flush();
+    
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    assert.deepStrictEqual(snapshot.map(k => k.keyId), ['a', 'b', 'c']);
+    assert.strictEqual(fs.existsSync(`${filePath}.journal`), false);
+    assert.deepStrictEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+  });
+  
+  it('should skip a torn journal line left by a crash', async () => {
+    const filePath = nextPath();
+    fs.writeFileSync(`${filePath}.journal`, [
+      JSON.stringify({ op: 'set', keypoint: { keyId: 'kept' } }),
+      '{"op":"set","keypoint":{"keyI'
+    ].join('\n'));
+    
+    const storage = open(filePath);
+    assert.strictEqual(await storage.count(), 1);
+    assert.ok(await storage.get('kept'));
+  });
+  
+  it('should reload when another process edits the snapshot', async () => {
+    const filePath = nextPath();
+    const changes = [];
+    const storage = open(filePath, { onExternalChange: change => changes.push(change) });
+    await storage.set(new Keypoint({ keyId: 'local' }));
+    await storage.compact();
+    
+    assert.strictEqual(await storage.checkForExternalChanges(), false);
+    
+    fs.writeFileSync(filePath, JSON.stringify([{ keyId: 'local' }, { keyId: 'edited', name: 'external' }]));
+    await storage.set(new Keypoint({ keyId: 'unflushed' }));
+    
+    assert.strictEqual(await storage.checkForExternalChanges(), true);
+    assert.strictEqual((await storage.get('edited')).name, 'external');
+    assert.ok(await storage.get('unflushed'));
+    assert.strictEqual(changes.length, 1);
+    
+    await storage.close();
+  });
+  
+  it('should reload when another process appends to the journal', async () => {
+    const filePath = nextPath();
+    const storage = open(filePath);
+    await storage.set(new Keypoint({ keyId: 'local' }));
+    await storage.flush();
+    
+    assert.strictEqual(await storage.checkForExternalChanges(), false);
+    
+    fs.appendFileSync(`${filePath}.journal`, JSON.stringify({ op: 'set', keypoint: { keyId: 'appended' } }) + '\n');
+    assert.strictEqual(await storage.checkForExternalChanges(), true);
+    assert.ok(await storage.get('appended'));
+    assert.ok(await storage.get('local'));
+    
+    await storage.close();
+  });
+  
+  it('should keep the loaded data when a reload fails', async () => {
+    const filePath = nextPath();
+    const storage = open(filePath);
+    await storage.set(new Keypoint({ keyId: 'kept' }));
+    await storage.compact();
+    
+    fs.writeFileSync(filePath, '[{ "keyId": ');
+    await assert.rejects(storage.checkForExternalChanges(), SyntaxError);
+    assert.ok(await storage.get('kept'));
+    assert.strictEqual(await storage.count(), 1);
+    
+    fs.writeFileSync(filePath, JSON.stringify([{ keyId: 'kept' }, { keyId: 'repaired' }]));
+    assert.strictEqual(await storage.checkForExternalChanges(), true);
+    assert.ok(await storage.get('repaired'));
+    
+    await storage.close();
+  });
+  
+  it('should report a corrupt snapshot from the next operation', async () => {
+    const filePath = nextPath();
+    fs.writeFileSync(filePath, 'not json');
+    
+    // Left alone, the failed load must not surface as an unhandled rejection
+    const storage = open(filePath);
+    await new Promise(resolve => setImmediate(resolve));
+    
+    await assert.rejects(storage.get('any'), SyntaxError);
+    await assert.rejects(storage.set(new Keypoint({ keyId: 'new' })), SyntaxError);
+    await assert.rejects(storage.close(), SyntaxError);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf-8'), 'not json');
+  });
+});
+
+describe('Encryption at Rest', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keypoint-encrypted-'));
+  let file = 0;
+  
+  const nextPath = () => path.join(dir, `${++file}.json`);
+  const masterKey = EnvelopeEncryption.generateMasterKey();
+  const open = (filePath, encryption) => new FileKeypointStorage(filePath, { watch: false, encryption });
+  
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  
+  it('should write only ciphertext and load it back', async () => {
+    const filePath = nextPath();
+    const storage = open(filePath, new EnvelopeEncryption({ masterKey }));
+    await storage.set(new Keypoint({ keyId: 'sealed', name: 'billing', secretHash: 'hash-value' }));
+    await storage.flush();
+    await storage.set(new Keypoint({ keyId: 'journaled', scopes: ['user:read'] }));
+    await storage.close();
+    
+    const raw = fs.readFileSync(filePath, 'utf-8');
+    assert.ok(!raw.includes('billing'));
+    assert.ok(!raw.includes('hash-value'));
+    
+    const reopened = open(filePath, new EnvelopeEncryption({ masterKey }));
+    assert.strictEqual((await reopened.get('sealed')).name, 'billing');
+    assert.deepStrictEqual((await reopened.getByScope('user:read')).map(k => k.keyId), ['journaled']);
+  });
+  
+  it('should refuse to load tampered or swapped records', async () => {
+    const filePath = nextPath();
+    const storage = open(filePath, new EnvelopeEncryption({ masterKey }));
+    await storage.set(new Keypoint({ keyId: 'a', scopes: ['user:read'] }));
+    await storage.set(new Keypoint({ keyId: 'b', scopes: ['*'] }));
+    await storage.close();
+    
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const data = Buffer.from(snapshot[0].data, 'base64');
+    data[0] ^= 1;
+    fs.writeFileSync(filePath, JSON.stringify([{ ...snapshot[0], data: data.toString('base64') }]));
+    await assert.rejects(open(filePath, new EnvelopeEncryption({ masterKey })).ready(), EncryptionError);
+    
+    // b's ciphertext relabelled as a
+    fs.writeFileSync(filePath, JSON.stringify([{ ...snapshot[1], keyId: 'a' }]));
+    await assert.rejects(open(filePath, new EnvelopeEncryption({ masterKey })).ready(), /failed authentication/);
+    
+    fs.writeFileSync(filePath, JSON.stringify([{ keyId: 'plain' }]));
+    await assert.rejects(open(filePath, new EnvelopeEncryption({ masterKey })).ready(), /not encrypted/);
+    
+    const migrating = open(filePath, new EnvelopeEncryption({ masterKey, allowPlaintext: true }));
+    assert.ok(await migrating.get('plain'));
+  });
+  
+  it('should re-wrap every record when the master key rotates', async () => {
+    const filePath = nextPath();
+    const encryption = new EnvelopeEncryption({ masterKey });
+    const storage = open(filePath, encryption);
+    await storage.set(new Keypoint({ keyId: 'a' }));
+    await storage.compact();
+    
+    const nextKey = EnvelopeEncryption.generateMasterKey();
+    const rotation = await storage.rotateMasterKey(nextKey);
+    assert.strictEqual(rotation.count, 1);
+    assert.strictEqual(rotation.keyId, EnvelopeEncryption.keyIdFor(EnvelopeEncryption.parseKey(nextKey)));
+    
+    const [envelope] = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    assert.strictEqual(envelope.key.kid, rotation.keyId);
+    
+    // The old master key is no longer needed
+    assert.ok(await open(filePath, new EnvelopeEncryption({ masterKey: nextKey })).get('a'));
+    await assert.rejects(open(filePath, new EnvelopeEncryption({ masterKey })).ready(), /Unknown master key/);
+    
+    // rewrap keeps the record ciphertext and only replaces the wrapped data key
+    const rewrapped = new EnvelopeEncryption({ masterKey, previousMasterKeys: [nextKey] }).rewrap(envelope);
+    assert.strictEqual(rewrapped.data, envelope.data);
+    assert.notStrictEqual(rewrapped.key.kid, envelope.key.kid);
+  });
+  
+  it('should load the master key from an environment variable or key file', () => {
+    const keyFile = path.join(dir, 'master.key');
+    fs.writeFileSync(keyFile, `${masterKey}\n`);
+    const expected = EnvelopeEncryption.keyIdFor(EnvelopeEncryption.parseKey(masterKey));
+    
+    process.env.KEYPOINT_TEST_MASTER_KEY = masterKey;
+    try {
+      assert.strictEqual(new EnvelopeEncryption({ masterKeyEnv: 'KEYPOINT_TEST_MASTER_KEY' }).activeKeyId, expected);
+    } finally {
+      delete process.env.KEYPOINT_TEST_MASTER_KEY;
+    }
+    
+    assert.strictEqual(new EnvelopeEncryption({ masterKeyEnv: null, masterKeyFile: keyFile }).activeKeyId, expected);
+    assert.throws(() => new EnvelopeEncryption({ masterKeyEnv: null }), /No master key configured/);
+    assert.throws(() => new EnvelopeEncryption({ masterKey: 'too-short' }), /32 bytes/);
+  });
+  
+  it('should encrypt the SQLite data column', { skip: !sqliteAvailable && 'node:sqlite is not available' }, async () => {
+    const storage = new SqliteKeypointStorage({ encryption: new EnvelopeEncryption({ masterKey }) });
+    await storage.set(new Keypoint({ keyId: 'a', metadata: { owner: 'ops-team' }, protocols: ['wss'] }));
+    await storage.set(new Keypoint({ keyId: 'b' }));
+    
+    const { data } = storage.db.prepare('SELECT data FROM keypoints WHERE key_id = ?').get('a');
+    assert.ok(!data.includes('ops-team'));
+    assert.strictEqual((await storage.get('a')).metadata.owner, 'ops-team');
+    assert.deepStrictEqual((await storage.list({ protocol: 'wss' })).map(k => k.keyId), ['a']);
+    
+    const rotation = await storage.rotateMasterKey(EnvelopeEncryption.generateMasterKey());
+    assert.strictEqual(rotation.count, 2);
+    storage.encryption.removeMasterKey(rotation.previousKeyId);
+    assert.strictEqual((await storage.get('a')).metadata.owner, 'ops-team');
+    storage.close();
+  });
+});
+
+describe('Cached Storage', () => {
+  // Counts backend lookups and lets a test hold them open
+  function createBackend() {
+    const backend = new MemoryKeypointStorage();
+    const get = backend.get.bind(backend);
+    backend.lookups = 0;
+    backend.gate = null;
+    backend.get = async keyId => {
+      backend.lookups++;
+      const keypoint = await get(keyId);
+      if (backend.gate) await backend.gate;
+      return keypoint;
+    };
+    return backend;
+  }
+  
+  function createChannel() {
+    const handlers = [];
+    return {
+      publish: async message => handlers.forEach(handler => handler(message)),
+      subscribe: handler => {
+        handlers.push(handler);
+        return () => handlers.splice(handlers.indexOf(handler), 1);
+      }
+    };
+  }
+  
+  it('should serve repeat and unknown lookups from the cache', async () => {
+    const backend = createBackend();
+    await backend.set(new Keypoint({ keyId: 'known' }));
+    const storage = new CachedKeypointStorage(backend);
+    
+    assert.strictEqual((await storage.get('known')).keyId, 'known');
+    assert.strictEqual((await storage.get('known')).keyId, 'known');
+    assert.strictEqual(await storage.get('missing'), null);
+    assert.strictEqual(await storage.get('missing'), null);
+    
+    assert.strictEqual(backend.lookups, 2);
+    assert.deepStrictEqual(
+      { hits: storage.getStats().hits, negativeHits: storage.getStats().negativeHits },
+      { hits: 1, negativeHits: 1 }
+    );
+  });
+  
+  it('should expire entries and evict the least recently used', async () => {
+    const backend = createBackend();
+    for (const keyId of ['a', 'b', 'c']) {
+      await backend.set(new Keypoint({ keyId }));
+    }
+    
+    const storage = new CachedKeypointStorage(backend, { maxEntries: 2, ttl: 20 });
+    await storage.get('a');
+    await storage.get('b');
+    await storage.get('a');
+    await storage.get('c');
+    assert.deepStrictEqual([...storage.entries.keys()], ['a', 'c']);
+    
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await storage.get('a');
+    assert.strictEqual(backend.lookups, 4);
+  });
+  
+  it('should share one backend lookup between concurrent requests', async () => {
+    const backend = createBackend();
+    await backend.set(new Keypoint({ keyId: 'slow' }));
+    let release;
+    backend.gate = new Promise(resolve => { release = resolve; });
+    
+    const storage = new CachedKeypointStorage(backend);
+    const lookups = [storage.get('slow'), storage.get('slow'), storage.get('slow')];
+    release();
+    
+    const results = await Promise.all(lookups);
+    assert.ok(results.every(keypoint => keypoint.keyId === 'slow'));
+    assert.strictEqual(backend.lookups, 1);
+  });
+  
+  it('should invalidate on writes, including revocation, across processes', async () => {
+    const backend = createBackend();
+    const channel = createChannel();
+    const local = new CachedKeypointStorage(backend, { channel });
+    const remote = new CachedKeypointStorage(backend, { channel });
+    const api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, keypointStorage: local });
+    
+    assert.strictEqual(await remote.get('created-later'), null);
+    await api.createKeypoint({ keyId: 'created-later' });
+    assert.ok(await remote.get('created-later'));
+    
+    assert.strictEqual((await remote.get('created-later')).getStatus(), 'active');
+    await api.revokeKeypoint('created-later', 'compromised');
+    assert.strictEqual((await remote.get('created-later')).getStatus(), 'revoked');
+    
+    await api.deleteKeypoint('created-later');
+    assert.strictEqual(await remote.get('created-later'), null);
+    
+    // A write landing while a lookup is in flight keeps its stale result out of the cache
+    let release;
+    backend.gate = new Promise(resolve => { release = resolve; });
+    const inflight = local.get('raced');
+    await backend.set(new Keypoint({ keyId: 'raced' }));
+    await remote.invalidate('raced');
+    release();
+    assert.strictEqual(await inflight, null);
+    backend.gate = null;
+    assert.ok(await local.get('raced'));
+  });
+  
+  it('should patch usage into cached entries without invalidating them', async () => {
+    const backend = createBackend();
+    await backend.set(new Keypoint({ keyId: 'counted' }));
+    const published = [];
+    const storage = new CachedKeypointStorage(backend, { channel: { publish: async message => published.push(message) } });
+    
+    await storage.get('counted');
+    await storage.updateUsage('counted', usage => ({ requests: (usage?.requests || 0) + 3 }));
+    await storage.updateUsage('counted', usage => ({ requests: usage.requests + 2 }));
+    const lookups = backend.lookups;
+    
+    const keypoint = await storage.get('counted');
+    assert.ok(keypoint instanceof Keypoint);
+    assert.strictEqual(keypoint.usage.requests, 5);
+    assert.strictEqual(backend.lookups, lookups);
+    assert.deepStrictEqual([storage.getStats().invalidations, published.length], [0, 0]);
+    assert.strictEqual((await backend.get('counted')).usage.requests, 5);
+    
+    assert.strictEqual(await storage.updateUsage('missing', () => ({ requests: 1 })), false);
+  });
+});
+
+describe('Redis Storage', () => {
+  let server;
+  const opened = [];
+  
+  const connect = (options = {}) => {
+    const storage = new RedisKeypointStorage({ port: server.port, prefix: 'test:', ...options });
+    opened.push(storage);
+    return storage;
+  };
+  
+  beforeEach(async () => {
+    server = await new RespStandInServer({ password: 'letmein' }).listen();
+  });
+  
+  afterEach(async () => {
+    await Promise.all(opened.splice(0).map(storage => storage.close()));
+    await server.close();
+  });
+  
+  it('should store, index and validate keypoints over RESP', async () => {
+    const storage = connect({ password: 'letmein' });
+    const api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, keypointStorage: storage });
+    
+    const { secret } = await api.createKeypoint({ keyId: 'remote', name: 'web', scopes: ['user:read'] });
+    await storage.set(new Keypoint({ keyId: 'child', scopes: ['*'], parentKeyId: 'remote' }));
+    await storage.set(new Keypoint({ keyId: 'old', expiresAt: new Date(Date.now() - 1000) }));
+    
+    const ids = keypoints => keypoints.map(k => k.keyId).sort();
+    assert.ok((await storage.get('remote')) instanceof Keypoint);
+    assert.deepStrictEqual(ids(await storage.getByName('web')), ['remote']);
+    assert.deepStrictEqual(ids(await storage.list({ scope: 'user:read' })), ['child', 'remote']);
+    assert.deepStrictEqual(ids(await storage.list({ parentKeyId: 'remote' })), ['child']);
+    
+    await storage.update('remote', { scopes: ['post:read'] });
+    assert.deepStrictEqual(ids(await storage.getByScope('user:read')), []);
+    assert.deepStrictEqual(ids(await storage.getByScope('post:read')), ['remote']);
+    
+    const ctx = createContext({ 'x-keypoint-id': 'remote', 'x-keypoint-secret': secret });
+    assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+    
+    assert.strictEqual(await storage.cleanupExpired(), 1);
+    assert.strictEqual(await storage.delete('child'), true);
+    assert.strictEqual(await storage.count(), 1);
+    
+    await assert.rejects(connect({ password: 'wrong' }).get('remote'), /WRONGPASS/);
+  });
+  
+  it('should retry a write when the record changes under WATCH', async () => {
+    const storage = connect({ password: 'letmein' });
+    await storage.set(new Keypoint({ keyId: 'contended' }));
+    
+    let attempts = 0;
+    await storage.mutate('contended', existing => {
+      // Another instance writes between our read and EXEC on the first attempt
+      if (++attempts === 1) server.touch('test:record:contended');
+      return Keypoint.fromJSON({ ...existing, name: 'second-try' });
+    });
+    
+    assert.strictEqual(attempts, 2);
+    assert.strictEqual((await storage.get('contended')).name, 'second-try');
+    assert.ok(server.commands.filter(command => command === 'EXEC').length >= 3);
+    
+    // A throwing change releases its WATCH, so the next transaction is not aborted by it
+    await assert.rejects(storage.mutate('contended', () => { throw new Error('bad change'); }), /bad change/);
+    assert.deepStrictEqual(server.commands.slice(-3), ['WATCH', 'GET', 'UNWATCH']);
+    server.touch('test:record:contended');
+    attempts = 0;
+    await storage.mutate('contended', existing => {
+      attempts++;
+      return Keypoint.fromJSON({ ...existing, name: 'third' });
+    });
+    assert.strictEqual(attempts, 1);
+  });
+  
+  it('should share counters, nonces, revocations and messages between instances', async () => {
+    const a = connect({ password: 'letmein' }).state;
+    const b = connect({ password: 'letmein' }).state;
+    
+    assert.strictEqual(await a.increment('hits', 1, 60000), 1);
+    assert.strictEqual(await b.increment('hits', 2, 60000), 3);
+    // Created with its TTL, never by a follow-up PEXPIRE
+    assert.ok(await a.client.command('PTTL', a.key('hits')) > 0);
+    assert.strictEqual(server.commands.includes('PEXPIRE'), false);
+    assert.strictEqual(await a.setIfAbsent('once', true, 60000), true);
+    assert.strictEqual(await b.setIfAbsent('once', true, 60000), false);
+    
+    await a.addToSet('members', 'x');
+    assert.deepStrictEqual(await b.members('members'), ['x']);
+    assert.strictEqual(await b.addToSet('members', 'y', 60000), 2);
+    assert.ok(await a.client.command('PTTL', a.key('members')) > 0);
+    
+    let deliver;
+    const delivered = new Promise(resolve => { deliver = resolve; });
+    await b.subscribe('events', deliver);
+    await a.publish('events', { hello: 'world' });
+    assert.deepStrictEqual(await delivered, { hello: 'world' });
+    
+    // A keypoint over its rate limit on one instance is limited on the other too
+    const limiterA = new RateLimiter({ state: a });
+    const limiterB = new RateLimiter({ state: b });
+    const context = { keypoint: new Keypoint({ keyId: 'limited', rateLimit: { requests: 2, window: 60 } }) };
+    const next = async () => 'ok';
+    await limiterA.process(context, next);
+    await limiterB.process(context, next);
+    await assert.rejects(limiterA.process(context, next), /Rate limit exceeded/);
+    
+    const noncesA = new NonceCache({ state: a });
+    const noncesB = new NonceCache({ state: b });
+    assert.strictEqual(await noncesA.checkAndStore('key:nonce', 60000), true);
+    assert.strictEqual(await noncesB.checkAndStore('key:nonce', 60000), false);
+    
+    await new RevocationList({ state: a }).revokeToken('jti-1', Date.now() + 60000);
+    assert.strictEqual(await new RevocationList({ state: b }).isRevoked({ tokenId: 'jti-1', keyId: 'k' }), true);
+  });
+  
+  it('should reconnect and resubscribe a dropped subscriber connection', async () => {
+    const state = connect({ password: 'letmein', reconnectDelay: 10 }).state;
+    const publisher = connect({ password: 'letmein' }).state;
+    const errors = [];
+    state.on('error', error => errors.push(error.message));
+    const reconnected = new Promise(resolve => state.on('reconnect', resolve));
+    
+    const received = [];
+    let deliver;
+    const delivered = count => new Promise(resolve => {
+      deliver = () => received.length === count && resolve();
+    });
+    await state.subscribe('first', message => { received.push(message); deliver(); });
+    await state.subscribe('second', message => { received.push(message); deliver(); });
+    
+    for (const socket of server.sockets) socket.destroy();
+    await reconnected;
+    assert.deepStrictEqual(errors, ['Subscriber connection lost']);
+    
+    const both = delivered(2);
+    await publisher.publish('first', 1);
+    await publisher.publish('second', 2);
+    await both;
+    assert.deepStrictEqual(received, [1, 2]);
+  });
+  
+  it('should let WebSocket connection sets expire once no instance refreshes them', async () => {
+    const state = connect({ password: 'letmein' }).state;
+    const guard = new WebSocketGuard({ state, pingInterval: 50 });
+    const connection = { id: 'c1', keypointId: 'socket', lastActivity: new Date(), ws: { ping: () => {} } };
+    guard.connections.set(connection.id, connection);
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    
+    // Tracked for 3 pings (150ms), and refreshed by the ping check in between
+    guard.trackConnection(connection);
+    await wait(100);
+    connection.lastActivity = new Date();
+    guard.checkConnections();
+    await wait(100);
+    assert.strictEqual(await guard.countKeypointConnections('socket'), 1);
+    
+    // The instance is gone: nothing refreshes the set any more
+    guard.connections.clear();
+    await wait(170);
+    assert.strictEqual(await guard.countKeypointConnections('socket'), 0);
+  });
+  
+  it('should invalidate cached keypoints on every instance through pub/sub', async () => {
+    const backend = connect({ password: 'letmein' });
+    const local = new CachedKeypointStorage(backend, { channel: backend.state.channel('keypoint:cache') });
+    const remoteBackend = connect({ password: 'letmein' });
+    let invalidated;
+    const remote = new CachedKeypointStorage(remoteBackend, {
+      channel: remoteBackend.state.channel('keypoint:cache'),
+      onInvalidate: change => invalidated?.(change)
+    });
+    await Promise.all([local.ready(), remote.ready()]);
+    
+    await local.set(new Keypoint({ keyId: 'shared', name: 'before' }));
+    assert.strictEqual((await remote.get('shared')).name, 'before');
+    
+    const received = new Promise(resolve => { invalidated = resolve; });
+    await local.update('shared', { name: 'after' });
+    assert.deepStrictEqual(await received, { keyIds: ['shared'], all: false });
+    assert.strictEqual((await remote.get('shared')).name, 'after');
+  });
+  
+  it('should index keypoints by tenant', async () => {
+    const storage = connect({ password: 'letmein' });
+    await storage.set(new Keypoint({ keyId: 'a1', tenantId: 'acme' }));
+    await storage.set(new Keypoint({ keyId: 'g1', tenantId: 'globex' }));
+    
+    assert.deepStrictEqual((await storage.list({ tenantId: 'acme' })).map(k => k.keyId), ['a1']);
+    await storage.update('a1', { tenantId: 'globex' });
+    assert.deepStrictEqual((await storage.list({ tenantId: 'acme' })).map(k => k.keyId), []);
+    assert.deepStrictEqual((await storage.list({ tenantId: 'globex' })).map(k => k.keyId).sort(), ['a1', 'g1']);
+  });
+});
+
+describe('Import, Export and Bulk Operations', () => {
+  let api;
+  
+  beforeEach(() => {
+    api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+  });
+  
+  const freshApi = () => new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+  const validate = (target, keyId, secret) =>
+    target.keypointValidator.validate(createContext({ 'x-keypoint-id': keyId, 'x-keypoint-secret': secret }));
+  
+  it('should export JSON and NDJSON with hashed, redacted or included secrets', async () => {
+    await api.createKeypoint({ keyId: 'signer', scopes: ['user:read'], authModes: ['secret', 'signature'] });
+    await api.createKeypoint({ keyId: 'other', scopes: ['post:read'] });
+    await api.keypointStorage.set(new Keypoint({ keyId: 'legacy', secret: 'plaintext', scopes: ['user:read'] }));
+    
+    const hashed = JSON.parse(await api.exportKeypoints({ filter: { scope: 'user:read' } }));
+    assert.deepStrictEqual(hashed.map(record => record.keyId), ['signer', 'legacy']);
+    assert.ok(hashed.every(record => record.secretHash && !record.secret && !record.signingKey));
+    
+    const lines = (await api.exportKeypoints({ format: 'ndjson', secrets: 'redact' })).trim().split('\n');
+    assert.strictEqual(lines.length, 3);
+    assert.ok(lines.map(line => JSON.parse(line)).every(record => !record.secretHash && !record.signingKey));
+    
+    const included = JSON.parse(await api.exportKeypoints({ secrets: 'include' }));
+    assert.ok(included.find(record => record.keyId === 'signer').signingKey);
+    
+    await assert.rejects(api.exportKeypoints({ format: 'xml' }), /Unsupported export format/);
+  });
+  
+  it('should round-trip an export and report a dry-run diff before applying it', async () => {
+    const { secret } = await api.createKeypoint({ keyId: 'moving', scopes: ['user:read'] });
+    const exported = await api.exportKeypoints({ format: 'ndjson' });
+    
+    const target = freshApi();
+    const first = await target.importKeypoints(exported);
+    assert.deepStrictEqual([first.created, first.failed], [1, 0]);
+    assert.strictEqual(await validate(target, 'moving', secret), true);
+    
+    const changed = exported.replace('"user:read"', '"user:write"');
+    const preview = await target.importKeypoints(changed, { dryRun: true });
+    assert.strictEqual(preview.updated, 1);
+    assert.deepStrictEqual(preview.items[0].changes, [{ field: 'scopes', from: ['user:read'], to: ['user:write'] }]);
+    assert.deepStrictEqual((await target.getKeypoint('moving')).scopes, ['user:read']);
+    
+    assert.strictEqual((await target.importKeypoints(changed, { onConflict: 'skip' })).skipped, 1);
+    assert.strictEqual((await target.importKeypoints(changed, { onConflict: 'error' })).failed, 1);
+    assert.strictEqual((await target.importKeypoints(exported)).unchanged, 1);
+    
+    await target.importKeypoints(changed);
+    assert.deepStrictEqual((await target.keypointStorage.getByScope('user:write')).map(k => k.keyId), ['moving']);
+    assert.deepStrictEqual(await target.keypointStorage.getByScope('user:read'), []);
+    
+    await assert.rejects(target.importKeypoints('{"keyId":"a"}\n{"keyId":'), /Invalid NDJSON on line 2/);
+  });
+  
+  it('should issue new secrets for redacted imports when asked', async () => {
+    await api.createKeypoint({ keyId: 'seeded', scopes: ['user:read'] });
+    const redacted = await api.exportKeypoints({ secrets: 'redact' });
+    
+    const target = freshApi();
+    const report = await target.importKeypoints(redacted, { regenerateSecrets: true });
+    assert.ok(report.items[0].secret);
+    assert.strictEqual(await validate(target, 'seeded', report.items[0].secret), true);
+    assert.strictEqual((await target.getKeypoint('seeded')).secret, undefined);
+  });
+  
+  it('should keep existing secrets when importing redacted or hashed records over them', async () => {
+    const { secret } = await api.createKeypoint({ keyId: 'kept', scopes: ['user:read'], authModes: ['secret', 'signature'] });
+    const { signingKey } = await api.keypointStorage.get('kept');
+    
+    const redacted = await api.exportKeypoints({ secrets: 'redact' });
+    assert.strictEqual((await api.importKeypoints(redacted)).unchanged, 1);
+    assert.strictEqual((await api.importKeypoints(redacted.replace('"user:read"', '"user:write"'))).updated, 1);
+    assert.strictEqual(await validate(api, 'kept', secret), true);
+    assert.strictEqual((await api.keypointStorage.get('kept')).signingKey, signingKey);
+    
+    const hashed = await api.exportKeypoints();
+    assert.strictEqual((await api.importKeypoints(hashed)).unchanged, 1);
+    assert.strictEqual((await api.keypointStorage.get('kept')).signingKey, signingKey);
+  });
+  
+  it('should carry signing keys over when asked, and flag imports without them', async () => {
+    const { secret } = await api.createKeypoint({ keyId: 'signer', authModes: ['signature'] });
+    await api.rotateKeypointSecret('signer', { gracePeriod: 60 });
+    const signer = new RequestSigner({ requiredHeaders: [] });
+    const verify = (target, key) => new KeypointValidator(target.keypointStorage, { requestSigner: signer })
+      .validate(createContext(signer.sign({ keyId: 'signer', secret: key, method: 'GET', path: '/test' })));
+    
+    const target = freshApi();
+    const report = await target.importKeypoints(await api.exportKeypoints({ signingKeys: true }));
+    assert.strictEqual(report.items[0].warning, undefined);
+    assert.strictEqual(await verify(target, secret), true);
+    const exported = JSON.parse(await api.exportKeypoints({ signingKeys: true }))[0];
+    assert.ok(exported.previousSecrets[0].signingKey);
+    
+    const locked = await freshApi().importKeypoints(await api.exportKeypoints());
+    assert.match(locked.items[0].warning, /No signing key/);
+  });
+  
+  it('should reject imported records that createKeypoint would refuse', async () => {
+    const report = await api.importKeypoints([
+      { keyId: 'fine', tenantId: 'acme' },
+      { keyId: 'bad-tenant', tenantId: 'no spaces allowed' },
+      { keyId: 'bad-schedule', schedule: { timezone: 'Mars/Olympus_Mons', windows: [] } }
+    ]);
+    
+    assert.deepStrictEqual([report.created, report.failed], [1, 2]);
+    assert.deepStrictEqual(report.items.map(item => [item.keyId, item.error]), [
+      ['fine', undefined],
+      ['bad-tenant', 'Invalid tenant id'],
+      ['bad-schedule', 'Invalid keypoint schedule']
+    ]);
+    assert.strictEqual(await api.getKeypoint('bad-tenant'), null);
+    
+    const scoped = await api.getTenantStorage('acme').importKeypoints([
+      { keyId: 'scoped-fine' },
+      { keyId: 'scoped-bad', schedule: { timezone: 'Mars/Olympus_Mons', windows: [] } }
+    ], { validate: record => api.validateKeypointData(record) });
+    assert.deepStrictEqual(scoped.items.map(item => [item.keyId, item.error]), [
+      ['scoped-fine', undefined],
+      ['scoped-bad', 'Invalid keypoint schedule']
+    ]);
+    assert.strictEqual(await api.getKeypoint('scoped-bad'), null);
+  });
+  
+  it('should run bulk actions with a per-item report', async () => {
+    const created = await api.bulkKeypoints('create', {
+      items: [
+        { keyId: 'parent', scopes: ['user:read', 'user:write'], canDelegate: true, name: 'batch' },
+        { keyId: 'sibling', scopes: ['user:read'], name: 'batch' },
+        { keyId: 'parent' }
+      ]
+    });
+    assert.deepStrictEqual([created.succeeded, created.failed], [2, 1]);
+    assert.ok(created.results[0].secret);
+    assert.deepStrictEqual(created.results[2], { keyId: 'parent', ok: false, error: 'Keypoint already exists', code: 409 });
+    
+    await api.bulkKeypoints('create', { items: [{ keyId: 'child', parentKeyId: 'parent', scopes: ['user:read'] }] });
+    
+    const scoped = await api.bulkKeypoints('update-scopes', { filter: { name: 'batch' }, add: ['post:read'], remove: ['user:write'] });
+    assert.strictEqual(scoped.succeeded, 2);
+    assert.deepStrictEqual((await api.getKeypoint('parent')).scopes, ['user:read', 'post:read']);
+    
+    const exceeding = await api.bulkKeypoints('update-scopes', { keyIds: ['child'], add: ['admin:all'] });
+    assert.strictEqual(exceeding.results[0].code, 403);
+    
+    const suspended = await api.bulkKeypoints('suspend', { keyIds: ['sibling', 'missing'], reason: 'audit' });
+    assert.deepStrictEqual(suspended.results.map(result => result.ok), [true, false]);
+    
+    // The child is revoked by its parent's cascade before its own turn comes
+    const revoked = await api.bulkKeypoints('revoke', { filter: { status: 'active' }, reason: 'rotation' });
+    assert.deepStrictEqual(revoked.results.map(result => [result.keyId, result.ok]), [['parent', true], ['child', true]]);
+    assert.strictEqual(revoked.results[1].unchanged, true);
+    
+    await assert.rejects(api.bulkKeypoints('revoke', {}), /keyIds or a filter/);
+    await assert.rejects(api.bulkKeypoints('explode', { filter: {} }), /Unknown bulk action/);
+  });
+});
+
+describe('Usage Tracking', () => {
+  let api;
+  
+  beforeEach(() => {
+    api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, usageTracking: true });
+  });
+  
+  const requestAs = (keyId, options = {}) => {
+    const ctx = createContext({ 'content-length': '12' }, options);
+    ctx.keypoint = { keyId };
+    ctx.route = options.route || 'GET:/test';
+    return ctx;
+  };
+  
+  it('should count requests, errors, bytes and last-seen details per keypoint', async () => {
+    await api.createKeypoint({ keyId: 'partner', scopes: ['user:read'] });
+    
+    api.trackUsage(requestAs('partner'), { status: 200, body: { ok: true } });
+    api.trackUsage(requestAs('partner', { route: 'POST:/orders', ip: '10.0.0.7', protocol: 'wss' }), { status: 403, body: 'denied' });
+    api.trackUsage(createContext(), { status: 401, body: null });
+    
+    const usage = await api.getKeypointUsage('partner');
+    assert.deepStrictEqual([usage.requests, usage.errors, usage.bytesIn, usage.bytesOut], [2, 1, 24, 17]);
+    assert.deepStrictEqual([usage.lastIp, usage.lastProtocol], ['10.0.0.7', 'wss']);
+    assert.deepStrictEqual(Object.keys(usage.routes), ['GET:/test', 'POST:/orders']);
+    assert.strictEqual(usage.routes['POST:/orders'].errors, 1);
+    
+    const today = new Date().toISOString().slice(0, 10);
+    assert.strictEqual(usage.daily[today].requests, 2);
+    
+    // Counters are bookkeeping, not an edit
+    assert.strictEqual((await api.getKeypoint('partner')).updatedAt, undefined);
+    
+    // Only counted when asked for
+    const untracked = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+    assert.strictEqual(untracked.usageTracker, null);
+  });
+  
+  it('should not let usage writes undo concurrent changes to the record', async () => {
+    const storage = new MemoryKeypointStorage();
+    await storage.set(new Keypoint({ keyId: 'busy' }));
+    
+    await Promise.all([
+      storage.updateUsage('busy', usage => ({ requests: (usage?.requests || 0) + 1 })),
+      storage.update('busy', { status: 'revoked' }),
+      storage.updateUsage('busy', usage => ({ requests: (usage?.requests || 0) + 1 }))
+    ]);
+    const keypoint = await storage.get('busy');
+    assert.strictEqual(keypoint.status, 'revoked');
+    assert.strictEqual(keypoint.usage.requests, 2);
+    
+    // Nor bring back a keypoint deleted in between
+    await Promise.all([
+      storage.delete('busy'),
+      storage.updateUsage('busy', () => ({ requests: 3 }))
+    ]);
+    assert.strictEqual(await storage.get('busy'), null);
+  });
+  
+  it('should drop counters for missing keypoints and after repeated failed writes', async () => {
+    await api.createKeypoint({ keyId: 'flaky' });
+    const events = [];
+    api.on('usage:flush-failed', ({ keyId, dropped }) => events.push([keyId, dropped]));
+    api.keypointStorage.updateUsage = async () => { throw new Error('storage unavailable'); };
+    api.usageTracker.options.maxRetries = 2;
+    
+    api.usageTracker.record('flaky');
+    api.usageTracker.record('gone');
+    await api.usageTracker.flush();
+    assert.deepStrictEqual(events, [['flaky', false], ['gone', true]]);
+    assert.deepStrictEqual([...api.usageTracker.pending.keys()], ['flaky']);
+    
+    await api.usageTracker.flush();
+    assert.deepStrictEqual(events.slice(2), [['flaky', true]]);
+    assert.strictEqual(api.usageTracker.pending.size, 0);
+    
+    await api.usageTracker.flush();
+    assert.strictEqual(events.length, 3);
+  });
+  
+  it('should list unused keypoints alongside the other filters', async () => {
+    await api.createKeypoint({ keyId: 'busy', scopes: ['user:read'] });
+    await api.createKeypoint({ keyId: 'idle', scopes: ['user:read'] });
+    await api.createKeypoint({ keyId: 'stale', scopes: ['user:read'] });
+    
+    api.usageTracker.record('stale', { at: new Date(Date.now() - 40 * 86400000) });
+    api.trackUsage(requestAs('busy'), { status: 200, body: {} });
+    
+    const ids = keypoints => keypoints.map(keypoint => keypoint.keyId);
+    assert.deepStrictEqual(ids(await api.listKeypoints({ used: false })), ['idle']);
+    assert.deepStrictEqual(ids(await api.listKeypoints({ unusedSince: new Date(Date.now() - 30 * 86400000) })), ['idle', 'stale']);
+    assert.deepStrictEqual(ids(await api.listKeypoints({ used: true, scope: 'user:read' })), ['busy', 'stale']);
+  });
+  
+  it('should cap routes and drop daily buckets past the retention period', () => {
+    const now = new Date('2026-03-31T12:00:00Z');
+    let usage = null;
+    
+    for (const [route, at] of [['GET:/a', '2026-01-01'], ['GET:/b', '2026-03-30'], ['GET:/c', '2026-03-31']]) {
+      usage = UsageTracker.merge(usage, UsageTracker.fromRequest({ route, at: `${at}T08:00:00Z` }), {
+        maxRoutes: 2,
+        retentionDays: 30,
+        now
+      });
+    }
+    
+    assert.deepStrictEqual(Object.keys(usage.routes), ['GET:/a', 'GET:/b', OTHER_ROUTE]);
+    assert.deepStrictEqual(Object.keys(usage.daily), ['2026-03-30', '2026-03-31']);
+    assert.strictEqual(usage.requests, 3);
+    assert.strictEqual(usage.firstSeenAt, '2026-01-01T08:00:00.000Z');
+  });
+  
+  it('should fold usage into persisted records without losing concurrent writes', async () => {
+    const server = new RespStandInServer();
+    await server.listen();
+    const a = new RedisKeypointStorage({ port: server.port });
+    const b = new RedisKeypointStorage({ port: server.port });
+    
+    try {
+      await a.set(new Keypoint({ keyId: 'shared', scopes: ['user:read'] }));
+      const trackerA = new UsageTracker(a);
+      const trackerB = new UsageTracker(b);
+      for (let i = 0; i < 5; i++) {
+        trackerA.record('shared', { route: 'GET:/a' });
+        trackerB.record('shared', { route: 'GET:/b' });
+      }
+      await Promise.all([trackerA.flush(), trackerB.flush()]);
+      
+      const usage = (await a.get('shared')).usage;
+      assert.deepStrictEqual([usage.requests, usage.routes['GET:/a'].requests, usage.routes['GET:/b'].requests], [10, 5, 5]);
+      
+      // Deleted keypoints are skipped rather than recreated
+      await a.delete('shared');
+      trackerA.record('shared');
+      await trackerA.flush();
+      assert.strictEqual(await a.get('shared'), null);
+    } finally {
+      await a.close();
+      await b.close();
+      await server.close();
+    }
+  });
+});
+
+describe('Quotas', () => {
+  let api;
+  
+  beforeEach(() => {
+    api = new KeypointJS({
+      enableAuditLog: false,
+      enableRateLimiter: false,
+      strictMode: false,
+      quotas: { state: new MemorySharedState(), allowVolatileState: true, costs: { 'POST:/reports': 5 } }
+    });
+    api.router.get('/data', () => ({ status: 200, body: {} }));
+    api.router.post('/reports', () => ({ status: 200, body: {} }));
+  });
+  
+  const requestAs = async (keyId, method = 'GET', url = 'http://localhost/data') => {
+    const ctx = createContext({}, { method, url });
+    ctx.keypoint = await api.getKeypoint(keyId);
+    return ctx;
+  };
+  
+  it('should charge weighted route costs and answer 429 with quota headers once used up', async () => {
+    await api.createKeypoint({ keyId: 'tier', quota: { daily: 10, monthly: 100 } });
+    
+    const periods = await api.checkQuota(await requestAs('tier', 'POST', 'http://localhost/reports'));
+    assert.deepStrictEqual(periods.map(entry => [entry.period, entry.used, entry.remaining]), [['daily', 5, 5], ['monthly', 5, 95]]);
+    assert.strictEqual(QuotaManager.headers(periods)['X-Quota-Remaining'], '5');
+    
+    await api.checkQuota(await requestAs('tier', 'POST', 'http://localhost/reports'));
+    const error = await api.checkQuota(await requestAs('tier')).catch(error => error);
+    assert.strictEqual(error.code, 429);
+    assert.strictEqual(error.details.errorCode, KeypointErrorCodes.QUOTA_EXCEEDED);
+    
+    const response = api.defaultErrorHandler(error, await requestAs('tier'));
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual(response.headers['X-Quota-Period'], 'daily');
+    assert.strictEqual(response.headers['X-Quota-Remaining'], '0');
+    assert.ok(Number(response.headers['Retry-After']) > 0);
+    
+    // Denied requests are refunded
+    const status = await api.getQuotaStatus('tier');
+    assert.deepStrictEqual(status.map(entry => entry.used), [10, 10]);
+    
+    await api.resetQuota('tier', 'daily');
+    assert.deepStrictEqual((await api.getQuotaStatus('tier')).map(entry => entry.used), [0, 10]);
+  });
+  
+  it('should fire threshold events once each', async () => {
+    await api.createKeypoint({ keyId: 'watched', quota: { daily: 5, costs: { 'GET:/data': 2 } } });
+    const events = [];
+    api.on('quota:threshold', event => events.push([event.period, event.threshold, event.used]));
+    api.on('quota:exceeded', event => events.push(['exceeded', event.period]));
+    
+    for (let i = 0; i < 3; i++) {
+      await api.checkQuota(await requestAs('watched')).catch(() => {});
+    }
+    
+    assert.deepStrictEqual(events, [['daily', 0.8, 4], ['exceeded', 'daily']]);
+  });
+  
+  it('should keep counters across a restart and refuse to run without somewhere to keep them', async () => {
+    const server = new RespStandInServer();
+    await server.listen();
+    const start = () => {
+      const instance = new KeypointJS({
+        enableAuditLog: false,
+        enableRateLimiter: false,
+        keypointStorage: new RedisKeypointStorage({ port: server.port })
+      });
+      instance.router.get('/data', () => ({ status: 200 }));
+      return instance;
+    };
+    const charge = async (instance, keyId) => {
+      const ctx = createContext({}, { url: 'http://localhost/data' });
+      ctx.keypoint = await instance.getKeypoint(keyId);
+      return instance.checkQuota(ctx);
+    };
+    
+    try {
+      const first = start();
+      await first.createKeypoint({ keyId: 'durable', quota: { daily: 10 } });
+      await charge(first, 'durable');
+      await charge(first, 'durable');
+      await first.keypointStorage.close();
+      
+      const restarted = start();
+      assert.strictEqual((await charge(restarted, 'durable'))[0].used, 3);
+      await restarted.keypointStorage.close();
+    } finally {
+      await server.close();
+    }
+    
+    const inMemory = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+    inMemory.router.get('/data', () => ({ status: 200 }));
+    await assert.rejects(inMemory.createKeypoint({ keyId: 'lost', quota: { daily: 10 } }), /Quotas need a shared state/);
+    await inMemory.keypointStorage.set(new Keypoint({ keyId: 'imported', quota: { daily: 10 } }));
+    await assert.rejects(charge(inMemory, 'imported'), /Quotas need a shared state/);
+    
+    // A shared state that lives in the process is no better unless accepted explicitly
+    const volatile = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, sharedState: new MemorySharedState() });
+    await assert.rejects(volatile.createKeypoint({ keyId: 'lost', quota: { daily: 10 } }), /starts over on every restart/);
+  });
+  
+  it('should keep counters in a file storage across a restart', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keypoint-quota-'));
+    const filePath = path.join(dir, 'keypoints.json');
+    const start = () => {
+      const instance = new KeypointJS({
+        enableAuditLog: false,
+        enableRateLimiter: false,
+        sharedState: new MemorySharedState(),
+        keypointStorage: new FileKeypointStorage(filePath, { watch: false })
+      });
+      instance.router.get('/data', () => ({ status: 200 }));
+      return instance;
+    };
+    const charge = async (instance, keyId) => {
+      const ctx = createContext({}, { url: 'http://localhost/data' });
+      ctx.keypoint = await instance.getKeypoint(keyId);
+      return instance.checkQuota(ctx);
+    };
+    
+    try {
+      const first = start();
+      await first.createKeypoint({ keyId: 'durable', quota: { daily: 10 } });
+      await charge(first, 'durable');
+      await charge(first, 'durable');
+      await first.keypointStorage.close();
+      
+      const restarted = start();
+      assert.strictEqual((await charge(restarted, 'durable'))[0].used, 3);
+      await restarted.resetQuota('durable');
+      assert.deepStrictEqual((await restarted.getQuotaStatus('durable')).map(entry => entry.used), [0]);
+      await restarted.keypointStorage.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  
+  it('should reset on calendar boundaries in the configured time zone', async () => {
+    const quotas = new QuotaManager({ timezone: 'America/New_York', state: new MemorySharedState(), allowVolatileState: true });
+    const keypoint = new Keypoint({ keyId: 'ny', quota: { daily: 1, monthly: 10 } });
+    
+    // 23:30 on Jan 31 in New York is already Feb 1 in UTC
+    const lateEvening = new Date('2026-02-01T04:30:00Z');
+    assert.strictEqual((await quotas.consume(keypoint, null, lateEvening)).allowed, true);
+    assert.strictEqual((await quotas.consume(keypoint, null, new Date('2026-02-01T04:45:00Z'))).allowed, false);
+    
+    const nextMorning = new Date('2026-02-01T05:10:00Z');
+    const result = await quotas.consume(keypoint, null, nextMorning);
+    assert.strictEqual(result.allowed, true);
+    assert.deepStrictEqual(result.periods.map(entry => entry.used), [1, 1]);
+    assert.strictEqual(result.periods[0].resetAt.toISOString(), '2026-02-02T05:00:00.000Z');
+  });
+  
+  it('should convert wall-clock times across DST changes', () => {
+    const zone = new TimeZone('America/New_York');
+    assert.strictEqual(zone.toDate({ year: 2026, month: 3, day: 8, hour: 6 }).toISOString(), '2026-03-08T10:00:00.000Z');
+    assert.strictEqual(zone.toDate({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }).toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.strictEqual(zone.startOfNextMonth(new Date('2026-12-31T12:00:00Z')).toISOString(), '2027-01-01T05:00:00.000Z');
+    assert.strictEqual(zone.parts(new Date('2026-03-08T12:00:00Z')).weekday, 0);
+    assert.strictEqual(TimeZone.isValid('Mars/Olympus_Mons'), false);
+  });
+});
+
+describe('Access Schedules', () => {
+  let api;
+  
+  beforeEach(() => {
+    api = new KeypointJS({
+      enableAuditLog: false,
+      enableRateLimiter: false,
+      statelessTokens: { secret: 'schedule-test-secret-0123456789abcdef' }
+    });
+  });
+  
+  const validate = (keyId, secret) =>
+    api.keypointValidator.validate(createContext({ 'x-keypoint-id': keyId, 'x-keypoint-secret': secret }));
+  
+  // Open all day tomorrow (UTC) only, so closed right now
+  const tomorrowOnly = () => ({ windows: [{ days: [(new Date().getUTCDay() + 1) % 7], start: '00:00', end: '24:00' }] });
+  
+  it('should match weekday windows, overnight windows and time zones', () => {
+    const office = new AccessSchedule({
+      timezone: 'Europe/Berlin',
+      windows: [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' }]
+    });
+    
+    // Friday 2026-10-23, 17:30 in Berlin (UTC+2)
+    assert.strictEqual(office.contains(new Date('2026-10-23T15:30:00Z')), true);
+    assert.strictEqual(office.contains(new Date('2026-10-23T16:30:00Z')), false);
+    // Next opening is Monday 08:00, after the switch to UTC+1
+    assert.strictEqual(office.nextStart(new Date('2026-10-23T16:30:00Z')).toISOString(), '2026-10-26T07:00:00.000Z');
+    
+    const night = new AccessSchedule({ windows: [{ days: [5], start: '22:00', end: '06:00' }] });
+    assert.strictEqual(night.contains(new Date('2026-10-16T23:00:00Z')), true);
+    assert.strictEqual(night.contains(new Date('2026-10-17T05:59:00Z')), true);
+    assert.strictEqual(night.contains(new Date('2026-10-17T06:00:00Z')), false);
+    
+    assert.deepStrictEqual(AccessSchedule.validate({ timezone: 'Nowhere/City', windows: [{ start: '25:00', end: '18:00', days: [7] }] })
+      .map(error => error.field), ['schedule.timezone', 'schedule.windows[0].start', 'schedule.windows[0].days']);
+  });
+  
+  it('should deny requests before notBefore and outside the schedule, saying when to retry', async () => {
+    const notBefore = new Date(Date.now() + 3600000);
+    const early = await api.createKeypoint({ keyId: 'early', notBefore });
+    
+    const error = await validate('early', early.secret).catch(error => error);
+    assert.strictEqual(error.code, 403);
+    assert.strictEqual(error.details.errorCode, KeypointErrorCodes.NOT_BEFORE);
+    assert.strictEqual(error.details.nextAllowedAt.getTime(), notBefore.getTime());
+    assert.ok(Number(error.headers['Retry-After']) > 3500);
+    
+    const scheduled = await api.createKeypoint({ keyId: 'scheduled', schedule: tomorrowOnly() });
+    await assert.rejects(validate('scheduled', scheduled.secret), error => {
+      assert.strictEqual(error.details.errorCode, KeypointErrorCodes.OUTSIDE_SCHEDULE);
+      const midnight = new Date();
+      midnight.setUTCHours(24, 0, 0, 0);
+      assert.strictEqual(error.details.nextAllowedAt.toISOString(), midnight.toISOString());
+      return true;
+    });
+    
+    const always = await api.createKeypoint({ keyId: 'always', schedule: { windows: [{ start: '00:00', end: '24:00' }] } });
+    assert.strictEqual(await validate('always', always.secret), true);
+    
+    await assert.rejects(api.createKeypoint({ keyId: 'broken', schedule: { windows: [] } }), { name: 'ValidationError', code: 400 });
+  });
+  
+  it('should carry notBefore and schedules in stateless tokens', async () => {
+    await api.createKeypoint({ keyId: 'edge', schedule: tomorrowOnly() });
+    const { token } = await api.issueStatelessToken('edge');
+    
+    await assert.rejects(
+      api.keypointValidator.validate(createContext({ authorization: `Bearer ${token}` })),
+      error => error.details.errorCode === KeypointErrorCodes.OUTSIDE_SCHEDULE
+    );
+  });
+  
+  it('should end WebSocket sessions past their duration, idle time or schedule', () => {
+    const guard = new WebSocketGuard();
+    const now = new Date();
+    const sessions = {};
+    
+    const connect = (id, keypoint, { connectedAgo = 0, idleFor = 0 } = {}) => {
+      const sent = [];
+      sessions[id] = { sent, closed: null };
+      guard.connections.set(id, {
+        id,
+        keypoint: new Keypoint({ keyId: id, ...keypoint }),
+        connectedAt: new Date(now - connectedAgo),
+        lastMessageAt: new Date(now - idleFor),
+        ws: {
+          send: message => sent.push(JSON.parse(message)),
+          close: (code, reason) => { sessions[id].closed = [code, reason]; }
+        }
+      });
+    };
+    
+    connect('long', { sessionLimits: { maxDuration: 60 } }, { connectedAgo: 61000 });
+    connect('idle', { sessionLimits: { maxIdle: 30 } }, { idleFor: 31000 });
+    connect('offhours', { schedule: tomorrowOnly() });
+    connect('fine', { sessionLimits: { maxDuration: 60, maxIdle: 30 } }, { connectedAgo: 10000, idleFor: 5000 });
+    
+    assert.strictEqual(guard.enforceSessionLimits(now), 3);
+    assert.deepStrictEqual(sessions.long.closed, [4001, 'Session duration exceeded']);
+    assert.deepStrictEqual(sessions.idle.closed, [4002, 'Session idle for too long']);
+    assert.strictEqual(sessions.offhours.closed[0], 4003);
+    assert.ok(sessions.offhours.sent[0].nextAllowedAt);
+    assert.strictEqual(sessions.fine.closed, null);
+    
+    // Closing connections are not told twice
+    assert.strictEqual(guard.enforceSessionLimits(now), 0);
+    guard.cleanup();
+  });
+});
+
+describe('Multi-Tenancy', () => {
+  let api;
+  
+  beforeEach(() => {
+    api = new KeypointJS({
+      enableAuditLog: false,
+      enableRateLimiter: false,
+      tenancy: { sources: ['header', 'subdomain', 'path'], baseDomain: 'api.example.com' },
+      statelessTokens: { secret: 'tenant-test-secret-0123456789abcdef' }
+    });
+  });
+  
+  const requestFor = (headers, url = 'http://localhost/orders') => {
+    const ctx = createContext(headers, { url });
+    api.resolveTenant(ctx);
+    return ctx;
+  };
+  
+  it('should resolve the tenant from a header, subdomain or path prefix', () => {
+    const resolver = new TenantResolver({ sources: ['header', 'subdomain', 'path'], baseDomain: 'api.example.com' });
+    const request = (headers, url) => ({ headers, url: new URL(url) });
+    
+    assert.deepStrictEqual(resolver.resolve(request({ 'x-tenant-id': 'acme' }, 'http://localhost/orders')),
+      { tenantId: 'acme', source: 'header', path: null });
+    assert.strictEqual(resolver.resolve(request({}, 'http://acme.api.example.com/orders')).tenantId, 'acme');
+    assert.strictEqual(resolver.resolve(request({}, 'http://a.b.api.example.com/orders')), null);
+    assert.deepStrictEqual(resolver.resolve(request({}, 'http://localhost/t/acme/orders/7')),
+      { tenantId: 'acme', source: 'path', path: '/orders/7' });
+    
+    assert.match(resolver.resolve(request({ 'x-tenant-id': 'acme' }, 'http://globex.api.example.com/')).error, /does not match/);
+    assert.match(resolver.resolve(request({ 'x-tenant-id': '../etc' }, 'http://localhost/')).error, /Invalid tenant id/);
+    
+    const ctx = requestFor({}, 'http://localhost/t/acme/orders?page=2');
+    assert.strictEqual(ctx.tenantId, 'acme');
+    assert.strictEqual(ctx.path, '/orders');
+    assert.strictEqual(ctx.request.url.searchParams.get('page'), '2');
+    
+    assert.throws(() => requestFor({ 'x-tenant-id': 'acme' }, 'http://globex.api.example.com/'),
+      error => error.code === 400 && error.details.errorCode === KeypointErrorCodes.TENANT_INVALID);
+    
+    const strict = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, tenancy: { required: true } });
+    assert.throws(() => strict.resolveTenant(createContext({})),
+      error => error.code === 400 && error.details.errorCode === KeypointErrorCodes.TENANT_REQUIRED);
+  });
+  
+  it('should never resolve a keypoint under another tenant', async () => {
+    const { secret } = await api.createKeypoint({ keyId: 'acme_app', tenantId: 'acme' });
+    const shared = await api.createKeypoint({ keyId: 'shared' });
+    const credentials = { 'x-keypoint-id': 'acme_app', 'x-keypoint-secret': secret };
+    
+    const own = requestFor({ ...credentials, 'x-tenant-id': 'acme' });
+    assert.strictEqual(await api.keypointValidator.validate(own), true);
+    assert.strictEqual(own.getTenantId(), 'acme');
+    
+    // Indistinguishable from an unknown key id
+    const invalid = error => error.code === 401 && error.details.errorCode === KeypointErrorCodes.INVALID;
+    await assert.rejects(api.keypointValidator.validate(requestFor({ ...credentials, 'x-tenant-id': 'globex' })), invalid);
+    await assert.rejects(api.keypointValidator.validate(requestFor(
+      { 'x-keypoint-id': 'shared', 'x-keypoint-secret': shared.secret, 'x-tenant-id': 'acme' })), invalid);
+    
+    // Without a tenant on the request it comes from the keypoint
+    const derived = requestFor(credentials);
+    assert.strictEqual(await api.keypointValidator.validate(derived), true);
+    assert.strictEqual(derived.tenantId, 'acme');
+    
+    const { token } = await api.issueStatelessToken('acme_app');
+    await assert.rejects(api.keypointValidator.validate(requestFor({ authorization: `Bearer ${token}`, 'x-tenant-id': 'globex' })), invalid);
+    const stateless = requestFor({ authorization: `Bearer ${token}` });
+    assert.strictEqual(await api.keypointValidator.validate(stateless), true);
+    assert.strictEqual(stateless.tenantId, 'acme');
+  });
+  
+  it('should verify signed requests against the path they were sent to', async () => {
+    const { secret } = await api.createKeypoint({ keyId: 'acme_signed', tenantId: 'acme', authModes: ['signature'] });
+    const signed = path => requestFor(
+      new RequestSigner().sign({ keyId: 'acme_signed', secret, method: 'GET', path }),
+      'http://localhost/t/acme/orders?page=2'
+    );
+    
+    const ctx = signed('/t/acme/orders?page=2');
+    assert.strictEqual(ctx.path, '/orders');
+    assert.strictEqual(await api.keypointValidator.validate(ctx), true);
+    assert.strictEqual(ctx.getAuthMode(), 'signature');
+    assert.strictEqual(ctx.tenantId, 'acme');
+    
+    await assert.rejects(api.keypointValidator.validate(signed('/orders?page=2')), {
+      details: { errorCode: KeypointErrorCodes.SIGNATURE_INVALID }
+    });
+  });
+  
+  it('should scope listings and storage access to one tenant', async () => {
+    await api.createKeypoint({ keyId: 'acme_1', tenantId: 'acme', name: 'web', canDelegate: true });
+    await api.createKeypoint({ keyId: 'globex_1', tenantId: 'globex', name: 'web' });
+    await api.createKeypoint({ keyId: 'shared' });
+    await assert.rejects(api.createKeypoint({ keyId: 'bad', tenantId: 'a b' }), { name: 'ValidationError', code: 400 });
+    
+    const child = await api.createChildKeypoint('acme_1', { tenantId: 'globex' });
+    assert.strictEqual(child.tenantId, 'acme');
+    
+    const ids = keypoints => keypoints.map(k => k.keyId).sort();
+    assert.deepStrictEqual(ids(await api.listKeypoints({ tenantId: 'acme' })), ['acme_1', child.keyId].sort());
+    assert.deepStrictEqual(ids(await api.listKeypoints({ tenantId: null })), ['shared']);
+    assert.strictEqual(await api.getKeypoint('globex_1', { tenantId: 'acme' }), null);
+    
+    const acme = api.getTenantStorage('acme');
+    assert.ok(acme instanceof TenantScopedStorage);
+    assert.strictEqual(await acme.get('globex_1'), null);
+    assert.deepStrictEqual(ids(await acme.getByName('web')), ['acme_1']);
+    assert.strictEqual(await acme.count(), 2);
+    assert.strictEqual(await acme.update('globex_1', { name: 'taken' }), false);
+    assert.strictEqual(await acme.delete('globex_1'), false);
+    assert.ok(await api.getKeypoint('globex_1'));
+    
+    await acme.set(new Keypoint({ keyId: 'acme_2' }));
+    assert.strictEqual((await api.getKeypoint('acme_2')).tenantId, 'acme');
+    await assert.rejects(acme.set(new Keypoint({ keyId: 'globex_1' })), /another tenant/);
+    await assert.rejects(acme.update('acme_2', { tenantId: 'globex' }), /another tenant/);
+    
+    const report = await acme.importKeypoints([{ keyId: 'globex_1' }, { keyId: 'acme_3', tenantId: 'globex' }]);
+    assert.deepStrictEqual(report.items.map(item => item.action), ['error', 'create']);
+    assert.strictEqual((await api.getKeypoint('acme_3')).tenantId, 'acme');
+  });
+  
+  it('should keep rate limits, quotas, policies and audit logs per tenant', async () => {
+    const state = new MemorySharedState();
+    const limiter = new RateLimiter({ state });
+    const acme = new Keypoint({ keyId: 'same', tenantId: 'acme', rateLimit: { requests: 1 } });
+    const globex = new Keypoint({ keyId: 'same', tenantId: 'globex', rateLimit: { requests: 1 } });
+    
+    const pass = keypoint => {
+      const ctx = createContext({});
+      ctx.keypoint = keypoint;
+      return limiter.process(ctx, () => true);
+    };
+    assert.strictEqual(await pass(acme), true);
+    assert.strictEqual(await pass(globex), true);
+    await assert.rejects(pass(acme), /Rate limit exceeded/);
+    
+    const quotas = new QuotaManager();
+    assert.notStrictEqual(quotas.limits({ ...acme, quota: { daily: 1 } })[0].key, quotas.limits({ ...globex, quota: { daily: 1 } })[0].key);
+    
+    api.addPolicyRule(new PolicyRule('acme_only_get', ctx => ({ allowed: ctx.method === 'GET', reason: 'Read only' }), { tenantId: 'acme' }));
+    api.addPolicy('strict', () => ({ allowed: false, reason: 'acme policy' }), { tenantId: 'acme' });
+    
+    const evaluate = (tenantId, method) => {
+      const ctx = createContext({}, { method });
+      ctx.tenantId = tenantId;
+      ctx.keypoint = new Keypoint({ keyId: 'k', tenantId, metadata: { policy: 'strict' } });
+      return api.policyEngine.evaluate(ctx);
+    };
+    assert.strictEqual((await evaluate('globex', 'POST')).allowed, true);
+    assert.strictEqual((await evaluate('acme', 'POST')).reason, 'Read only');
+    assert.strictEqual((await evaluate('acme', 'GET')).reason, 'acme policy');
+    
+    const auditLogger = new AuditLogger({ logToConsole: false });
+    api.registerPlugin(auditLogger);
+    await api.createKeypoint({ keyId: 'acme_key', tenantId: 'acme' });
+    await api.createKeypoint({ keyId: 'globex_key', tenantId: 'globex' });
+    await api.suspendKeypoint('acme_key');
+    await api.suspendKeypoint('globex_key');
+    
+    const ctx = createContext({});
+    ctx.tenantId = 'acme';
+    await auditLogger.logRequest(ctx, { status: 'success' });
+    
+    const { logs } = await auditLogger.queryLogs({ tenantId: 'acme' });
+    assert.deepStrictEqual(logs.map(log => log.event || 'request').sort(), ['keypoint:suspended', 'request']);
+  });
+  
+  it('should pass route options through the router', () => {
+    api.get('/orders', () => ({ status: 200 }), { requireTenant: true });
+    api.get('/health', () => ({ status: 200 }));
+    
+    assert.strictEqual(api.router.match('GET', '/orders').options.requireTenant, true);
+    assert.deepStrictEqual(api.router.match('GET', '/health').options, {});
+  });
+});
+
+describe('Scope Resolution', () => {
+  it('should match wildcards segment by segment', () => {
+    assert.strictEqual(scopeMatches('*', 'anything:at:all'), true);
+    assert.strictEqual(scopeMatches('user:*', 'user:read'), true);
+    assert.strictEqual(scopeMatches('user:*', 'user:profile:read'), true);
+    assert.strictEqual(scopeMatches('user:*', 'user'), false);
+    assert.strictEqual(scopeMatches('user:*', 'username:read'), false);
+    assert.strictEqual(scopeMatches('*:read', 'post:read'), true);
+    assert.strictEqual(scopeMatches('*:read', 'post:comment:read'), false);
+    assert.strictEqual(scopeMatches('user:read', 'user:read:self'), false);
+    
+    const manager = new ScopeManager();
+    assert.deepStrictEqual(manager.matchScopes('user:*', ['user:read', 'username', 'post:read']), ['user:read']);
+  });
+  
+  it('should honor the hierarchy and wildcards in contexts and policies', async () => {
+    const api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+    api.scopeManager.addInheritance('billing:admin', ['billing:read', 'invoice:*']);
+    
+    const ctx = createContext({});
+    ctx.scopeManager = api.scopeManager;
+    ctx.keypoint = new Keypoint({ keyId: 'finance', scopes: ['billing:admin', 'user:*'] });
+    
+    assert.strictEqual(ctx.hasScope('billing:read'), true);
+    assert.strictEqual(ctx.hasScope('invoice:refund'), true);
+    assert.strictEqual(ctx.hasScope('user:profile:write'), true);
+    assert.strictEqual(ctx.hasScope('post:read'), false);
+    assert.strictEqual(ctx.hasAllScopes(['billing:read', 'user:read']), true);
+    assert.strictEqual(ctx.hasAnyScope(['post:read', 'invoice:list']), true);
+    
+    const rule = BuiltInRules.scopeRule('invoice:list');
+    assert.strictEqual((await rule.evaluate(ctx)).allowed, true);
+    
+    const policy = api.policyEngine.allow({ scope: 'user:delete' });
+    assert.strictEqual((await policy(ctx)).allowed, true);
+    ctx.keypoint = new Keypoint({ keyId: 'reader', scopes: ['read'] });
+    assert.strictEqual((await policy(ctx)).allowed, false);
+    
+    // The default manager knows the built-in hierarchy (write -> read)
+    assert.strictEqual(new Keypoint({ keyId: 'writer', scopes: ['write'] }).hasScope('read'), true);
+  });
+  
+  it('should cache expanded scopes per keypoint until scopes or hierarchy change', () => {
+    const manager = new ScopeManager();
+    const keypoint = new Keypoint({ keyId: 'cached', scopes: ['reports:admin'] });
+    
+    assert.strictEqual(keypoint.hasScope('reports:read', manager), false);
+    const entry = manager.grantCache.get(keypoint);
+    assert.strictEqual(keypoint.hasScope('reports:write', manager), false);
+    assert.strictEqual(manager.grantCache.get(keypoint), entry);
+    
+    manager.addInheritance('reports:admin', ['reports:read']);
+    assert.strictEqual(keypoint.hasScope('reports:read', manager), true);
+    
+    keypoint.scopes = ['reports:*'];
+    assert.strictEqual(keypoint.hasScope('reports:write', manager), true);
+    assert.notStrictEqual(manager.grantCache.get(keypoint), entry);
+  });
+});
+
+describe('Parameterized Scopes', () => {
+  let api;
+  
+  beforeEach(() => {
+    api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+    api.put('/projects/:projectId', () => ({ status: 200 }), { scopes: ['project:{projectId}:write'] });
+    api.post('/orgs/:orgId/invites', () => ({ status: 201 }), { scopes: ['org:{orgId}:*'] });
+    api.post('/transfers', () => ({ status: 201 }), { scopes: ['account:{accountId}:transfer'] });
+  });
+  
+  const requestAs = (scopes, method, url, body) => {
+    const ctx = createContext({}, { method, url: `http://localhost${url}`, body });
+    ctx.scopeManager = api.scopeManager;
+    ctx.keypoint = new Keypoint({ keyId: 'k', scopes });
+    return ctx;
+  };
+  
+  const check = ctx => api.checkRouteAccess(ctx, api.router.match(ctx.method, ctx.path));
+  
+  it('should match route params, preferring literal routes', () => {
+    api.get('/projects/archive', () => ({ status: 200 }));
+    
+    assert.deepStrictEqual(api.router.match('PUT', '/projects/42').params, { projectId: '42' });
+    assert.strictEqual(api.router.match('PUT', '/projects/42').route, 'PUT:/projects/:projectId');
+    assert.deepStrictEqual(api.router.match('PUT', '/projects/a%20b').params, { projectId: 'a b' });
+    assert.strictEqual(api.router.match('GET', '/projects/archive').route, 'GET:/projects/archive');
+    assert.strictEqual(api.router.match('PUT', '/projects/'), null);
+    assert.strictEqual(api.router.match('PUT', '/projects/42/members'), null);
+    assert.strictEqual(api.router.match('PUT', '/projects/%E0%A4%A'), null);
+  });
+  
+  it('should only accept keypoints holding the scope for the concrete params', () => {
+    const own = requestAs(['project:42:write'], 'PUT', '/projects/42');
+    check(own);
+    assert.deepStrictEqual(own.params, { projectId: '42' });
+    
+    assert.throws(() => check(requestAs(['project:42:write'], 'PUT', '/projects/43')), error => {
+      assert.strictEqual(error.code, 403);
+      assert.strictEqual(error.details.errorCode, KeypointErrorCodes.INSUFFICIENT_SCOPE);
+      assert.deepStrictEqual(error.details.required, ['project:43:write']);
+      return true;
+    });
+    
+    check(requestAs(['project:*'], 'PUT', '/projects/43'));
+    check(requestAs(['org:7:*'], 'POST', '/orgs/7/invites'));
+    assert.throws(() => check(requestAs(['org:7:invite'], 'POST', '/orgs/7/invites')), { code: 403 });
+    
+    // Ids that would reshape the scope never match
+    assert.throws(() => check(requestAs(['project:*:write', 'project:a:*'], 'PUT', '/projects/a%3Awrite')), { code: 403 });
+  });
+  
+  it('should fill templates from body fields and in policies', async () => {
+    check(requestAs(['account:acc_9:transfer'], 'POST', '/transfers', { accountId: 'acc_9' }));
+    assert.throws(() => check(requestAs(['account:acc_9:transfer'], 'POST', '/transfers', { accountId: 'acc_1' })), { code: 403 });
+    assert.throws(() => check(requestAs(['account:acc_9:transfer'], 'POST', '/transfers', {})), error => {
+      assert.deepStrictEqual(error.details.required, ['account:{accountId}:transfer']);
+      return true;
+    });
+    
+    const ctx = requestAs(['user:7:read'], 'GET', '/users/7');
+    ctx.params = { id: '7' };
+    assert.strictEqual(ctx.hasScope('user:{id}:read'), true);
+    assert.strictEqual((await api.policyEngine.allow({ scope: 'user:{id}:read' })(ctx)).allowed, true);
+    assert.strictEqual((await BuiltInRules.scopeRule('user:{id}:write').evaluate(ctx)).allowed, false);
+    
+    assert.strictEqual(resolveScopeTemplate('org:{orgId}:{team}:read', name => ({ orgId: 7, team: 'ops' })[name]), 'org:7:ops:read');
+    assert.strictEqual(resolveScopeTemplate('org:{orgId}:read', () => '*'), null);
+  });
+});
+
+describe('Deny Scopes', () => {
+  it('should take scopes away from wildcards and inherited grants', () => {
+    const manager = new ScopeManager();
+    assert.strictEqual(manager.hasScope(['*', '!billing:*'], 'user:read'), true);
+    assert.strictEqual(manager.hasScope(['*', '!billing:*'], 'billing:invoice:read'), false);
+    assert.strictEqual(manager.hasScope(['*', '!billing:*'], 'billing'), true);
+    
+    manager.addInheritance('support', ['user:*', 'billing:read', '!billing:refund']);
+    assert.strictEqual(manager.hasScope(['support'], 'billing:read'), true);
+    assert.strictEqual(manager.hasScope(['support', 'billing:*'], 'billing:refund'), false);
+    
+    // A wildcard requirement is refused when a deny touches any part of it
+    assert.strictEqual(manager.hasScope(['*', '!billing:refund'], 'billing:*'), false);
+    assert.strictEqual(manager.hasScope(['*', '!billing:refund'], '*:read'), true);
+    assert.strictEqual(scopesOverlap('billing:*', '*:read'), true);
+    assert.strictEqual(scopesOverlap('billing:refund', 'user:*'), false);
+  });
+  
+  it('should keep denies through expand and drop what they cancel when reducing', () => {
+    const manager = new ScopeManager();
+    assert.deepStrictEqual(manager.expandScopes(['billing:read', 'user:read', '!billing:*']), ['user:read', '!billing:*']);
+    assert.deepStrictEqual(manager.reduceScopes(['*', 'user:read', '!billing:*', '!billing:refund']), ['*', '!billing:*']);
+    assert.deepStrictEqual(manager.reduceScopes(['write', 'read', '!post:*']), ['write']);
+    assert.deepStrictEqual(manager.reduceScopes(['user:*', '!user:delete']), ['user:*', '!user:delete']);
+  });
+  
+  it('should report grants the hierarchy denies in the scope tree', () => {
+    const manager = new ScopeManager();
+    manager.defineScope('support', 'Support staff');
+    manager.addInheritance('support', ['user:*', 'billing:read', '!billing:*']);
+    
+    assert.deepStrictEqual(manager.getScopeTree().support.conflicts, [
+      { scope: 'billing:read', deniedBy: '!billing:*', partial: false }
+    ]);
+    assert.deepStrictEqual(manager.getScopeTree().read.conflicts, []);
+    assert.deepStrictEqual(manager.findConflicts(['*', '!billing:*']), [
+      { scope: '*', deniedBy: '!billing:*', partial: true }
+    ]);
+  });
+  
+  it('should apply denies in contexts, policies, listings and delegation', async () => {
+    const api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false });
+    const ctx = createContext({});
+    ctx.scopeManager = api.scopeManager;
+    api.scopeManager.addInheritance('admin', ['*']);
+    ctx.keypoint = new Keypoint({ keyId: 'ops', scopes: ['admin', '!billing:*'] });
+    
+    assert.strictEqual(ctx.hasScope('post:write'), true);
+    assert.strictEqual(ctx.hasScope('billing:read'), false);
+    assert.strictEqual((await api.policyEngine.allow({ scope: 'billing:read' })(ctx)).allowed, false);
+    assert.strictEqual((await BuiltInRules.scopeRule('billing:read').evaluate(ctx)).allowed, false);
+    
+    const parent = await api.createKeypoint({ keyId: 'ops', scopes: ['*', '!billing:*'], canDelegate: true });
+    const child = await api.createChildKeypoint(parent.keyId, { scopes: ['user:read'] });
+    assert.deepStrictEqual(child.scopes, ['user:read', '!billing:*']);
+    
+    const wide = await api.createChildKeypoint(parent.keyId, { scopes: ['*'] });
+    assert.strictEqual(wide.hasScope('billing:read', api.scopeManager), false);
+    await assert.rejects(api.createChildKeypoint(parent.keyId, { scopes: ['billing:read'] }), { code: 403 });
+    
+    const listed = await api.keypointStorage.list({ scope: 'billing:read' });
+    assert.deepStrictEqual(listed.map(keypoint => keypoint.keyId), []);
+    assert.strictEqual((await api.keypointStorage.list({ scope: 'user:read' })).length, 3);
+  });
+});
+
+describe('Scope Catalog', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keypoint-scopes-'));
+  const file = path.join(dir, 'scopes.yaml');
+  
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  
+  const yaml = `
+# Billing team
+scopes:
+  billing:read:
+    description: Read invoices # inline comment
+    owner: payments
+  billing:admin:
+    description: "Manage billing, all of it"
+    inherits: [billing:read, 'invoice:*']
+  'project:*:write': Write to one project
+  post:read:
+    description: Don't use for new keys
+    deprecated: true
+    replacedBy: content:read
+  content:read:
+    description: Read content
+    inherits:
+    - '!content:secret'
+`;
+  
+  it('should parse the YAML subset like the equivalent JSON', () => {
+    assert.deepStrictEqual(ScopeCatalog.parse(yaml), {
+      scopes: {
+        'billing:read': { description: 'Read invoices', owner: 'payments' },
+        'billing:admin': { description: 'Manage billing, all of it', inherits: ['billing:read', 'invoice:*'] },
+        'project:*:write': 'Write to one project',
+        'post:read': { description: "Don't use for new keys", deprecated: true, replacedBy: 'content:read' },
+        'content:read': { description: 'Read content', inherits: ['!content:secret'] }
+      }
+    });
+    assert.deepStrictEqual(ScopeCatalog.parse('{"scopes": {"a": "A"}}'), { scopes: { a: 'A' } });
+    assert.throws(() => ScopeCatalog.parse('scopes:\n  a: A\n    b: B'), /Unexpected indentation \(line 3\)/);
+  });
+  
+  it('should reject unknown fields, unknown scopes and inheritance cycles', () => {
+    const errors = ScopeCatalog.validate({
+      scopes: {
+        a: { inherits: ['b'], owners: 'x' },
+        b: { inherits: ['c', 'missing'] },
+        c: { inherits: ['a'], replacedBy: 'gone' }
+      }
+    });
+    assert.deepStrictEqual(errors, [
+      { field: 'scopes.a.owners', message: 'Unknown field' },
+      { field: 'scopes.b.inherits', message: 'Unknown scope: missing' },
+      { field: 'scopes.c.replacedBy', message: 'Unknown scope: gone' },
+      { field: 'scopes.a.inherits', message: 'Inheritance cycle: a -> b -> c -> a' }
+    ]);
+    assert.throws(() => new ScopeManager({ catalog: { scopes: { a: { inherits: ['a'] } } } }), ScopeCatalogError);
+    
+    const manager = new ScopeManager();
+    manager.addInheritance('reports:admin', ['reports:read']);
+    assert.throws(() => manager.addInheritance('reports:read', ['reports:admin']), /cycle/);
+  });
+  
+  it('should replace the default scopes and warn about undefined or deprecated ones', () => {
+    const manager = new ScopeManager({ catalog: ScopeCatalog.parse(yaml) });
+    
+    assert.strictEqual(manager.validateScope('user:read'), false);
+    assert.strictEqual(manager.hasScope(['billing:admin'], 'invoice:refund'), true);
+    assert.strictEqual(manager.getScopeDefinition('billing:read').metadata.owner, 'payments');
+    assert.deepStrictEqual(manager.checkScopes(['billing:*', 'project:42:write', '!content:read', 'post:read', 'user:read']), [
+      { scope: 'post:read', problem: 'deprecated', replacedBy: 'content:read' },
+      { scope: 'user:read', problem: 'undefined' }
+    ]);
+  });
+  
+  it('should load the catalog from a file and reload it without a restart', async () => {
+    fs.writeFileSync(file, yaml);
+    const api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, scopeCatalog: file, watchScopeCatalog: false });
+    const warnings = [];
+    api.on('scope:warning', event => warnings.push(event));
+    
+    await api.createKeypoint({ keyId: 'legacy', scopes: ['post:read', 'billing:read'] });
+    assert.deepStrictEqual(warnings.map(event => event.keyId), ['legacy']);
+    assert.strictEqual(api.scopeManager.validateScope('write'), false);
+    
+    fs.writeFileSync(file, 'scopes:\n  content:read: Read content\n  billing:read: Read invoices\n');
+    assert.deepStrictEqual(await api.reloadScopeCatalog(), [
+      { keyId: 'legacy', warnings: [{ scope: 'post:read', problem: 'undefined' }] }
+    ]);
+    assert.strictEqual(api.scopeManager.getScopeDefinition('post:read'), null);
+    
+    // A broken catalog is refused and the loaded one stays
+    fs.writeFileSync(file, 'scopes:\n  a:\n    inherits: [a]\n');
+    await assert.rejects(api.reloadScopeCatalog(), error => {
+      assert.ok(error instanceof ScopeCatalogError);
+      assert.match(error.errors[0].message, /cycle: a -> a/);
+      return true;
+    });
+    assert.strictEqual(api.scopeManager.validateScope('content:read'), true);
+  });
+});
+
+describe('Route Scopes', () => {
+  let api;
+  let calls;
+  
+  beforeEach(() => {
+    calls = 0;
+    api = new KeypointJS({ enableAuditLog: false, enableRateLimiter: false, quotas: { state: new MemorySharedState(), allowVolatileState: true } });
+    api.get('/users', { scopes: ['user:read'] }, () => ({ status: 200 }));
+    api.delete('/users/:id', { allOf: ['user:write'], anyOf: ['admin', 'user:{id}:owner'] }, () => ({ status: 204 }));
+    api.post('/reports', () => ({ status: 201 }), { anyOf: ['reports:write', 'api:internal'] });
+    api.get('/health', () => ({ status: 200 }));
+  });
+  
+  const run = async (scopes, method, url) => {
+    const ctx = createContext({}, { method, url: `http://localhost${url}` });
+    ctx.scopeManager = api.scopeManager;
+    ctx.keypoint = new Keypoint({ keyId: 'k', scopes });
+    
+    api.checkRouteAccess(ctx, api.router.match(ctx.method, ctx.path));
+    calls++;
+    return ctx;
+  };
+  
+  it('should take options before or after the handler', () => {
+    const router = new MinimalRouter();
+    router.get('/a', { scopes: ['a:read'] }, () => 'a');
+    router.get('/b', () => 'b', { scopes: ['b:read'] });
+    
+    assert.deepStrictEqual(router.listRoutes().map(({ route, options }) => [route, options.scopes]), [
+      ['GET:/a', ['a:read']],
+      ['GET:/b', ['b:read']]
+    ]);
+    assert.strictEqual(router.match('GET', '/a').handler(), 'a');
+    assert.throws(() => router.get('/c', { scopes: ['c:read'] }), TypeError);
+  });
+  
+  it('should refuse requests missing scopes before the handler runs', async () => {
+    await run(['user:read'], 'GET', '/users');
+    await run(['user:write', 'user:7:owner'], 'DELETE', '/users/7');
+    await run(['user:write', 'admin'], 'DELETE', '/users/8');
+    await run(['api:internal'], 'POST', '/reports');
+    await run([], 'GET', '/health');
+    assert.strictEqual(calls, 5);
+    
+    await assert.rejects(run(['user:write', 'user:7:owner'], 'DELETE', '/users/8'), error => {
+      assert.strictEqual(error.code, 403);
+      assert.deepStrictEqual(error.details, {
+        errorCode: KeypointErrorCodes.INSUFFICIENT_SCOPE,
+        required: [],
+        anyOf: ['admin', 'user:8:owner']
+      });
+      
+      const response = api.defaultErrorHandler(error, createContext({}));
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual(response.headers['WWW-Authenticate'], 'Bearer error="insufficient_scope", scope="admin user:8:owner"');
+      return true;
+    });
+    await assert.rejects(run(['user:7:owner'], 'DELETE', '/users/7'), error => {
+      assert.deepStrictEqual(error.details.required, ['user:write']);
+      assert.strictEqual(error.details.anyOf, undefined);
+      return true;
+    });
+    assert.strictEqual(calls, 5);
+  });
+  
+  it('should list which routes each scope unlocks', () => {
+    const routes = api.getScopeRoutes();
+    
+    assert.deepStrictEqual(routes['user:read'], ['GET /users']);
+    assert.deepStrictEqual(routes['user:write'], ['DELETE /users/:id']);
+    assert.deepStrictEqual(routes['user:{id}:owner'], ['DELETE /users/:id']);
+    assert.deepStrictEqual(routes['reports:write'], ['POST /reports']);
+    assert.deepStrictEqual(routes['write'], []);
+    assert.deepStrictEqual(routes['admin'], ['DELETE /users/:id']);
+    
+    // Granting admin '*' is an explicit choice, after which it unlocks every route that names a scope
+    api.scopeManager.addInheritance('admin', ['*']);
+    assert.deepStrictEqual(api.getScopeRoutes()['admin'], ['GET /users', 'DELETE /users/:id', 'POST /reports']);
+  });
+  
+  it('should not let admin satisfy scopes it does not inherit', async () => {
+    await assert.rejects(run(['admin'], 'GET', '/users'), error => {
+      assert.strictEqual(error.code, 403);
+      assert.deepStrictEqual(error.details.required, ['user:read']);
+      return true;
+    });
+    await assert.rejects(run(['admin'], 'POST', '/reports'), { code: 403 });
+    assert.strictEqual(calls, 0);
+    
+    const ctx = createContext({});
+    ctx.scopeManager = api.scopeManager;
+    ctx.keypoint = new Keypoint({ keyId: 'k', scopes: ['admin'] });
+    assert.strictEqual(ctx.hasScope('write'), true);
+    assert.strictEqual(ctx.hasScope('billing:refund'), false);
+  });
+  
+  it('should refuse a request before its quota is charged', async () => {
+    await api.createKeypoint({ keyId: 'metered', scopes: ['user:write'], quota: { daily: 10 } });
+    const request = url => api.handleRequest({
+      method: 'GET',
+      url: `http://localhost${url}`,
+      headers: { 'x-keypoint-id': 'metered' },
+      ip: '127.0.0.1',
+      protocol: 'https'
+    });
+    
+    assert.strictEqual((await request('/users')).status, 403);
+    assert.deepStrictEqual((await api.getQuotaStatus('metered')).map(entry => entry.used), [0]);
+    
+    assert.strictEqual((await request('/health')).status, 200);
+    assert.deepStrictEqual((await api.getQuotaStatus('metered')).map(entry => entry.used), [1]);
+    
+    // Nor is a request no route answers
+    await request('/missing');
+    assert.deepStrictEqual((await api.getQuotaStatus('metered')).map(entry => entry.used), [1]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,248 @@
+import net from 'net';
+import { RespParser, RespError, encodeReply } from '../../src/core/RespClient.js';
+
+const OK = { status: 'OK' };
+
+// A small in-process server speaking enough of the Redis protocol for the
+// keypoint storage and shared state tests: strings, counters, sets, expiry,
+// WATCH/MULTI/EXEC and pub/sub. Not meant for anything but tests.
+export class RespStandInServer {
+  constructor(options = {}) {
+    this.options = {
+      password: null,
+      ...options
+    };
+    
+    this.data = new Map(); // key -> { type, value, expiresAt }
+    this.versions = new Map(); // key -> write counter, for WATCH
+    this.subscribers = new Map(); // channel -> Set of sockets
+    this.sockets = new Set();
+    this.commands = [];
+    this.server = net.createServer(socket => this.accept(socket));
+  }
+  
+  async listen(port = 0) {
+    await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+    return this;
+  }
+  
+  async close() {
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    await new Promise(resolve => this.server.close(resolve));
+  }
+  
+  accept(socket) {
+    const parser = new RespParser();
+    const session = { socket, authed: !this.options.password, watched: new Map(), queue: null, channels: new Set() };
+    this.sockets.add(socket);
+    
+    socket.on('data', chunk => {
+      parser.feed(chunk);
+      for (const args of parser.parse()) {
+        socket.write(encodeReply(this.handle(session, args)));
+      }
+    });
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      for (const channel of session.channels) {
+        this.subscribers.get(channel)?.delete(socket);
+      }
+    });
+    socket.on('error', () => {});
+  }
+  
+  handle(session, [name, ...args]) {
+    const command = name.toUpperCase();
+    this.commands.push(command);
+    
+    if (command === 'AUTH') {
+      session.authed = args[0] === this.options.password;
+      return session.authed ? OK : new RespError('WRONGPASS invalid password');
+    }
+    if (!session.authed) {
+      return new RespError('NOAUTH Authentication required');
+    }
+    
+    if (session.queue && !['EXEC', 'DISCARD', 'MULTI', 'WATCH'].includes(command)) {
+      session.queue.push([command, args]);
+      return { status: 'QUEUED' };
+    }
+    
+    switch (command) {
+      case 'WATCH':
+        for (const key of args) session.watched.set(key, this.versions.get(key) || 0);
+        return OK;
+      case 'UNWATCH':
+        session.watched.clear();
+        return OK;
+      case 'MULTI':
+        session.queue = [];
+        return OK;
+      case 'DISCARD':
+        session.queue = null;
+        session.watched.clear();
+        return OK;
+      case 'EXEC': {
+        const queue = session.queue;
+        const dirty = [...session.watched].some(([key, version]) => (this.versions.get(key) || 0) !== version);
+        session.queue = null;
+        session.watched.clear();
+        if (!queue) return new RespError('ERR EXEC without MULTI');
+        if (dirty) return null;
+        return queue.map(([queued, queuedArgs]) => this.execute(session, queued, queuedArgs));
+      }
+      default:
+        return this.execute(session, command, args);
+    }
+  }
+  
+  lookup(key, type) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+    
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      this.touch(key);
+      return null;
+    }
+    
+    if (type && entry.type !== type) {
+      throw new RespError('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry;
+  }
+  
+  touch(key) {
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+  }
+  
+  execute(session, command, args) {
+    try {
+      return this.run(session, command, args);
+    } catch (error) {
+      return error instanceof RespError ? error : new RespError(`ERR ${error.message}`);
+    }
+  }
+  
+  run(session, command, args) {
+    const [key] = args;
+    
+    switch (command) {
+      case 'PING':
+        return { status: 'PONG' };
+      case 'SELECT':
+        return OK;
+      case 'FLUSHDB':
+      case 'FLUSHALL':
+        for (const existing of this.data.keys()) this.touch(existing);
+        this.data.clear();
+        return OK;
+      case 'GET':
+        return this.lookup(key, 'string')?.value ?? null;
+      case 'MGET':
+        return args.map(each => {
+          const entry = this.lookup(each);
+          return entry?.type === 'string' ? entry.value : null;
+        });
+      case 'SET': {
+        const options = args.slice(2).map(String);
+        const upper = options.map(option => option.toUpperCase());
+        if (upper.includes('NX') && this.lookup(key)) return null;
+        
+        let expiresAt = null;
+        const px = upper.indexOf('PX');
+        const ex = upper.indexOf('EX');
+        if (px !== -1) expiresAt = Date.now() + Number(options[px + 1]);
+        if (ex !== -1) expiresAt = Date.now() + Number(options[ex + 1]) * 1000;
+        
+        this.data.set(key, { type: 'string', value: args[1], expiresAt });
+        this.touch(key);
+        return OK;
+      }
+      case 'DEL':
+      case 'UNLINK': {
+        let removed = 0;
+        for (const each of args) {
+          if (this.lookup(each)) {
+            this.data.delete(each);
+            this.touch(each);
+            removed++;
+          }
+        }
+        return removed;
+      }
+      case 'EXISTS':
+        return args.filter(each => this.lookup(each)).length;
+      case 'INCR':
+      case 'INCRBY': {
+        const entry = this.lookup(key, 'string');
+        const value = Number(entry?.value ?? 0) + Number(command === 'INCR' ? 1 : args[1]);
+        if (!Number.isInteger(value)) throw new RespError('ERR value is not an integer or out of range');
+        
+        this.data.set(key, { type: 'string', value: String(value), expiresAt: entry?.expiresAt ?? null });
+        this.touch(key);
+        return value;
+      }
+      case 'PEXPIRE': {
+        const entry = this.lookup(key);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + Number(args[1]);
+        this.touch(key);
+        return 1;
+      }
+      case 'PTTL': {
+        const entry = this.lookup(key);
+        if (!entry) return -2;
+        return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+      }
+      case 'SADD': {
+        const entry = this.lookup(key, 'set') || { type: 'set', value: new Set(), expiresAt: null };
+        const before = entry.value.size;
+        for (const member of args.slice(1)) entry.value.add(member);
+        this.data.set(key, entry);
+        this.touch(key);
+        return entry.value.size - before;
+      }
+      case 'SREM': {
+        const entry = this.lookup(key, 'set');
+        if (!entry) return 0;
+        const before = entry.value.size;
+        for (const member of args.slice(1)) entry.value.delete(member);
+        if (entry.value.size === 0) this.data.delete(key);
+        this.touch(key);
+        return before - entry.value.size;
+      }
+      case 'SMEMBERS':
+        return Array.from(this.lookup(key, 'set')?.value || []);
+      case 'SCARD':
+        return this.lookup(key, 'set')?.value.size || 0;
+      case 'SISMEMBER':
+        return this.lookup(key, 'set')?.value.has(args[1]) ? 1 : 0;
+      case 'PUBLISH': {
+        const sockets = this.subscribers.get(key) || new Set();
+        for (const socket of sockets) {
+          socket.write(encodeReply(['message', key, args[1]]));
+        }
+        return sockets.size;
+      }
+      case 'SUBSCRIBE':
+      case 'UNSUBSCRIBE': {
+        // One channel per command keeps the reply count simple
+        if (!this.subscribers.has(key)) this.subscribers.set(key, new Set());
+        if (command === 'SUBSCRIBE') {
+          this.subscribers.get(key).add(session.socket);
+          session.channels.add(key);
+        } else {
+          this.subscribers.get(key).delete(session.socket);
+          session.channels.delete(key);
+        }
+        return [command.toLowerCase(), key, session.channels.size];
+      }
+      default:
+        throw new RespError(`ERR unknown command '${command}'`);
+    }
+  }
+}